@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { createTable } = require('./tableStore');
+const { splitList } = require('./profiles');
+const partners = require('./partners');
+
+// Aggregates for the Analytics tab, computed from meetings rows as
+// fetchFromSupabase returns them: activity per partner over time, the last
+// contact with each partner, and themes trended by month. Themes are tagged
+// by the model once per row and kept in meeting_themes (re-tagged when the
+// row's text changes), so the charts never wait on the model.
+
+const themeStore = createTable('meeting_themes');
+
+const BUCKETS = ['week', 'month'];
+// Offered to the model; it may add others
+const DEFAULT_THEMES = [
+  'recruitment', 'selection', 'training', 'retention', 'alumni', 'fundraising', 'government relations',
+  'rural curriculum', 'leadership transition', 'impact measurement', 'partnerships', 'operations'
+];
+const MAX_ROW_THEMES = 3;
+// Generated summaries, not contact with a partner
+const EXCLUDED_TYPES = ['report'];
+
+function suggestedThemes() {
+  const list = splitList(process.env.ANALYTICS_THEMES || "").map(cleanTheme).filter(Boolean);
+  return list.length ? list : DEFAULT_THEMES;
+}
+
+function cleanTheme(t) {
+  return String(t || "").toLowerCase().replace(/[^a-z0-9&' -]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 40);
+}
+
+function isActivity(row) {
+  return !EXCLUDED_TYPES.includes(String(row.type || "").toLowerCase());
+}
+
+function isoDay(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+// "2025-02" for months, the Monday ("2025-02-10") for weeks
+function bucketOf(date, bucket) {
+  if (bucket === "month") return String(date).slice(0, 7);
+  const d = new Date(String(date).slice(0, 10) + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return isoDay(d);
+}
+
+// Every bucket from `from` to `to`, so gaps show as zeros
+function bucketRange(from, to, bucket) {
+  const out = [];
+  let key = bucketOf(from, bucket);
+  const last = bucketOf(to, bucket);
+  while (key <= last && out.length < 520) {
+    out.push(key);
+    const d = new Date((bucket === "month" ? key + "-01" : key) + "T00:00:00Z");
+    if (bucket === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+    else d.setUTCDate(d.getUTCDate() + 7);
+    key = bucket === "month" ? isoDay(d).slice(0, 7) : isoDay(d);
+  }
+  return out;
+}
+
+// The partners a row is about: its linked partner_ids, partner names in its
+// countries text, or else the countries as written
+function rowPartners(row, list) {
+  const linked = list.filter(p => (row.partner_ids || []).includes(p.id));
+  const found = linked.length ? linked : partners.partnersIn(row.countries, list);
+  if (found.length) return found.map(p => ({ key: p.id, country: p.country, partner_id: p.id }));
+  return splitList(row.countries).map(c => ({ key: "raw:" + c.toLowerCase(), country: c, partner_id: null }));
+}
+
+// Rows per partner per week or month (top partners by total), and per type
+function activitySeries(rows, list, { from, to, bucket = "month", top = 10 }) {
+  const buckets = bucketRange(from, to, bucket);
+  const index = Object.fromEntries(buckets.map((b, i) => [b, i]));
+  const byPartner = new Map();
+  const byType = {};
+  const totals = buckets.map(() => 0);
+  let counted = 0;
+
+  for (const row of rows) {
+    if (!isActivity(row) || !row.date_iso) continue;
+    const i = index[bucketOf(row.date_iso, bucket)];
+    if (i === undefined) continue;
+    counted++;
+    totals[i]++;
+    const type = row.type || "Other";
+    (byType[type] = byType[type] || buckets.map(() => 0))[i]++;
+    for (const p of rowPartners(row, list)) {
+      if (!byPartner.has(p.key)) byPartner.set(p.key, { country: p.country, partner_id: p.partner_id, counts: buckets.map(() => 0), total: 0 });
+      const s = byPartner.get(p.key);
+      s.counts[i]++;
+      s.total++;
+    }
+  }
+
+  const series = [...byPartner.values()].sort((a, b) => b.total - a.total || a.country.localeCompare(b.country));
+  return {
+    bucket,
+    buckets,
+    totals,
+    byType: Object.entries(byType).map(([type, counts]) => ({ type, counts, total: counts.reduce((a, b) => a + b, 0) }))
+      .sort((a, b) => b.total - a.total),
+    series: series.slice(0, top),
+    otherPartners: Math.max(0, series.length - top),
+    rows: counted
+  };
+}
+
+// Latest row for every registered partner, with an alert when it is older
+// than `staleWeeks` (or there is none)
+function lastContacts(rows, list, { today, staleWeeks, since }) {
+  const latest = new Map();
+  for (const row of rows) {
+    if (!isActivity(row) || !row.date_iso) continue;
+    for (const p of rowPartners(row, list)) {
+      if (!p.partner_id) continue;
+      const cur = latest.get(p.partner_id);
+      if (!cur || row.date_iso > cur.date_iso) latest.set(p.partner_id, row);
+    }
+  }
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const contacts = list.map(p => {
+    const row = latest.get(p.id);
+    const weeks = row ? Math.floor((Date.parse(today) - Date.parse(row.date_iso.slice(0, 10))) / (7 * dayMs)) : null;
+    return {
+      partner_id: p.id,
+      country: p.country,
+      name: p.name || "",
+      stage: p.stage || "",
+      last_date: row ? row.date_iso.slice(0, 10) : null,
+      last_type: row ? row.type || "" : "",
+      last_title: row ? row.title || "" : "",
+      last_id: row ? row.id : null,
+      weeks_since: weeks,
+      stale: weeks === null || weeks >= staleWeeks
+    };
+  });
+  // Longest without contact first
+  contacts.sort((a, b) => (b.weeks_since ?? Infinity) - (a.weeks_since ?? Infinity) || a.country.localeCompare(b.country));
+  return { today, since, staleWeeks, contacts, alerts: contacts.filter(c => c.stale).length };
+}
+
+// Themes
+
+function themeHash(row) {
+  return crypto.createHash('sha1').update(`${row.title}\n${row.summary_text}`).digest('hex');
+}
+
+async function allThemeRecords() {
+  const out = [];
+  for (let offset = 0; ; offset += 1000) {
+    const page = await themeStore.list({ limit: 1000, offset });
+    out.push(...page);
+    if (page.length < 1000) return out;
+  }
+}
+
+// Cached themes for the rows that have them (and whose text is unchanged),
+// and the rows still to be tagged
+async function cachedThemes(rows) {
+  const records = new Map((await allThemeRecords()).map(r => [String(r.id), r]));
+  const tagged = new Map();
+  const pending = [];
+  for (const row of rows) {
+    if (!isActivity(row) || row.id == null) continue;
+    const rec = records.get(String(row.id));
+    if (rec && rec.hash === themeHash(row)) tagged.set(String(row.id), rec.themes || []);
+    else pending.push(row);
+  }
+  return { tagged, pending };
+}
+
+async function saveThemes(row, themes, promptVersion) {
+  const clean = [...new Set((themes || []).map(cleanTheme).filter(Boolean))].slice(0, MAX_ROW_THEMES);
+  await themeStore.upsert({
+    id: String(row.id),
+    hash: themeHash(row),
+    themes: clean,
+    prompt_version: promptVersion || null,
+    tagged_at: new Date().toISOString()
+  });
+  return clean;
+}
+
+// Rows per theme per month, for the most frequent themes
+function themeTrends(rows, tagged, { from, to, top = 8 }) {
+  const months = bucketRange(from, to, "month");
+  const index = Object.fromEntries(months.map((m, i) => [m, i]));
+  const byTheme = new Map();
+  for (const row of rows) {
+    const themes = tagged.get(String(row.id));
+    const i = row.date_iso ? index[bucketOf(row.date_iso, "month")] : undefined;
+    if (!themes || i === undefined) continue;
+    for (const t of themes) {
+      if (!byTheme.has(t)) byTheme.set(t, { theme: t, counts: months.map(() => 0), total: 0 });
+      const s = byTheme.get(t);
+      s.counts[i]++;
+      s.total++;
+    }
+  }
+  const themes = [...byTheme.values()].sort((a, b) => b.total - a.total || a.theme.localeCompare(b.theme));
+  return { months, themes: themes.slice(0, top), otherThemes: Math.max(0, themes.length - top) };
+}
+
+module.exports = {
+  BUCKETS, MAX_ROW_THEMES, suggestedThemes, isActivity, bucketOf, bucketRange, activitySeries, lastContacts,
+  cachedThemes, saveThemes, themeTrends
+};
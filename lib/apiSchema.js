@@ -0,0 +1,219 @@
+// Parameter validation, error responses and the OpenAPI document for the
+// /api/v1 routes. A schema maps each parameter to a spec:
+//
+//   { type: "string" | "int" | "bool" | "date" | "enum" | "list" | "array" | "object",
+//     required, default, min, max (length for strings), values (enum),
+//     separator (list, default ","), description }
+//
+// validate() returns the cleaned values, or throws a 400 listing every
+// invalid parameter. The same specs are turned into OpenAPI parameters and
+// request bodies, so the document can't drift from what the routes accept.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// An error with an HTTP status and a stable code for clients
+function apiError(status, code, message, details) {
+  return Object.assign(new Error(message), { status, code, ...(details ? { details } : {}) });
+}
+
+function cleanValue(name, spec, raw) {
+  const type = spec.type || "string";
+  if (type === "string") {
+    if (typeof raw === "object") throw `${name} must be a string`;
+    const s = String(raw);
+    if (s.length > (spec.max || 2000)) throw `${name} must be at most ${spec.max || 2000} characters`;
+    return s;
+  }
+  if (type === "int") {
+    const n = Number(raw);
+    if (String(raw).trim() === "" || !Number.isInteger(n)) throw `${name} must be a whole number`;
+    if (spec.min != null && n < spec.min) throw `${name} must be at least ${spec.min}`;
+    if (spec.max != null && n > spec.max) throw `${name} must be at most ${spec.max}`;
+    return n;
+  }
+  if (type === "bool") {
+    if ([true, "true", "1", "on"].includes(raw)) return true;
+    if ([false, "false", "0", "off"].includes(raw)) return false;
+    throw `${name} must be true or false`;
+  }
+  if (type === "date") {
+    const s = String(raw).trim();
+    if (!DATE_RE.test(s) || isNaN(Date.parse(s)) || new Date(s).toISOString().slice(0, 10) !== s) throw `${name} must be a date (YYYY-MM-DD)`;
+    return s;
+  }
+  if (type === "enum") {
+    const s = String(raw).trim().toLowerCase();
+    if (!spec.values.includes(s)) throw `${name} must be one of: ${spec.values.join(", ")}`;
+    return s;
+  }
+  if (type === "list") {
+    const list = Array.isArray(raw) ? raw : String(raw).split(spec.separator || ",");
+    return list.map(x => String(x).trim()).filter(Boolean);
+  }
+  if (type === "array") {
+    // Multipart forms send arrays as JSON strings
+    let list = raw;
+    if (typeof list === "string") {
+      try {
+        list = JSON.parse(list);
+      } catch (e) {
+        throw `${name} must be a JSON array`;
+      }
+    }
+    if (!Array.isArray(list)) throw `${name} must be an array`;
+    return list;
+  }
+  if (type === "object") {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw `${name} must be an object`;
+    return raw;
+  }
+  throw `${name} has an unknown type`;
+}
+
+// Cleaned values for the parameters in `schema`; others are ignored. A blank
+// value is missing if the parameter is required or has a default, and is
+// otherwise passed on as "" (which clears a field in an edit). `from` must
+// not be after `to`.
+function validate(schema = {}, input = {}) {
+  const values = {};
+  const details = [];
+  for (const [name, spec] of Object.entries(schema)) {
+    const raw = input[name];
+    const blank = raw === null || (typeof raw === "string" && !raw.trim());
+    if (raw === undefined || (blank && (spec.required || spec.default !== undefined))) {
+      if (spec.required) details.push({ param: name, message: `${name} is required` });
+      else if (spec.default !== undefined) values[name] = spec.default;
+      continue;
+    }
+    if (blank) {
+      values[name] = "";
+      continue;
+    }
+    try {
+      values[name] = cleanValue(name, spec, raw);
+    } catch (message) {
+      if (typeof message !== "string") throw message;
+      details.push({ param: name, message });
+    }
+  }
+  if (values.from && values.to && values.from > values.to) details.push({ param: "from", message: "from must not be after to" });
+  if (details.length) throw apiError(400, "invalid_params", details.map(d => d.message).join("; "), details);
+  return values;
+}
+
+// Status and body for an error. Messages from the model provider, the
+// database and unexpected failures (status 500 and up) are not sent to the
+// client; the caller logs them.
+function errorResponse(err) {
+  if (err.status && err.code) {
+    return { status: err.status, body: { ok: false, error: err.message, code: err.code, ...(err.details ? { details: err.details } : {}) } };
+  }
+  if (err.type === "entity.parse.failed") return { status: 400, body: { ok: false, error: "The request body is not valid JSON", code: "invalid_json" } };
+  if (err.name === "MulterError") return { status: 400, body: { ok: false, error: err.message, code: "invalid_upload" } };
+  if (err.upstream === "model") return { status: 502, body: { ok: false, error: "The AI model request failed", code: "model_error" } };
+  if (err.upstream === "database") return { status: 502, body: { ok: false, error: "The database request failed", code: "database_error" } };
+  if (err.isAxiosError) return { status: 502, body: { ok: false, error: "An upstream service failed", code: "upstream_error" } };
+  return { status: 500, body: { ok: false, error: "Something went wrong", code: "internal_error" } };
+}
+
+// The message a client may see for an error (used by the legacy routes,
+// which keep answering 200 with { ok: false, error })
+function publicMessage(err) {
+  return errorResponse(err).body.error;
+}
+
+// OpenAPI
+
+function specSchema(spec) {
+  const type = spec.type || "string";
+  const out = type === "int" ? { type: "integer" }
+    : type === "bool" ? { type: "boolean" }
+    : type === "date" ? { type: "string", format: "date" }
+    : type === "enum" ? { type: "string", enum: spec.values }
+    : type === "list" ? { type: "string", description: "Comma-separated" }
+    : type === "array" ? { type: "array", items: spec.items || { type: "object" } }
+    : type === "object" ? { type: "object" }
+    : { type: "string" };
+  if (spec.min != null) out[type === "string" ? "minLength" : "minimum"] = spec.min;
+  if (spec.max != null) out[type === "string" ? "maxLength" : "maximum"] = spec.max;
+  if (spec.default !== undefined) out.default = spec.default;
+  if (spec.description) out.description = spec.description;
+  return out;
+}
+
+function parameters(schema = {}, where) {
+  return Object.entries(schema).map(([name, spec]) => ({
+    name,
+    in: where,
+    required: where === "path" || !!spec.required,
+    schema: specSchema(spec),
+    ...(spec.description ? { description: spec.description } : {})
+  }));
+}
+
+function bodySchema(schema) {
+  const required = Object.entries(schema).filter(([, s]) => s.required).map(([n]) => n);
+  return {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(schema).map(([n, s]) => [n, specSchema(s)])),
+    ...(required.length ? { required } : {})
+  };
+}
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    ok: { type: "boolean", enum: [false] },
+    error: { type: "string" },
+    code: { type: "string" },
+    details: { type: "array", items: { type: "object", properties: { param: { type: "string" }, message: { type: "string" } } } }
+  },
+  required: ["ok", "error", "code"]
+};
+
+// routes: [{ method, path ("/threads/:id"), summary, tag, role, params, query,
+// body, multipart (file field), produces (download types), status }]
+// -> OpenAPI 3 document
+function openApiDocument(routes, { title, version, serverUrl }) {
+  const paths = {};
+  for (const r of routes) {
+    const p = r.path.replace(/:(\w+)/g, "{$1}");
+    // Path parameters without a spec are plain strings
+    const pathParams = Object.fromEntries([...r.path.matchAll(/:(\w+)/g)].map(([, n]) => [n, (r.params || {})[n] || { type: "string" }]));
+    const op = {
+      summary: r.summary,
+      tags: [r.tag],
+      ...(r.role ? { description: `Requires the ${r.role} role.` } : {}),
+      parameters: [...parameters(pathParams, "path"), ...parameters(r.query, "query")],
+      responses: {
+        [r.status || 200]: r.produces
+          ? { description: "File download", content: Object.fromEntries(r.produces.map(t => [t, { schema: { type: "string", format: "binary" } }])) }
+          : { description: "Success", content: { "application/json": { schema: { type: "object", properties: { ok: { type: "boolean", enum: [true] } } } } } },
+        default: { description: "Error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } }
+      }
+    };
+    if (r.body) {
+      const schema = bodySchema(r.body);
+      op.requestBody = {
+        required: Object.values(r.body).some(s => s.required),
+        content: r.multipart
+          ? { "application/json": { schema }, "multipart/form-data": { schema: { ...schema, properties: { ...schema.properties, [r.multipart]: { type: "array", items: { type: "string", format: "binary" } } } } } }
+          : { "application/json": { schema } }
+      };
+    }
+    paths[p] = { ...paths[p], [r.method]: op };
+  }
+  return {
+    openapi: "3.0.3",
+    info: { title, version },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: { session: { type: "apiKey", in: "cookie", name: "tfa_session" } }
+    },
+    security: [{ session: [] }]
+  };
+}
+
+module.exports = { apiError, validate, errorResponse, publicMessage, openApiDocument };
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createTable } = require('./tableStore');
+
+// User accounts, password hashing (scrypt), signed session cookies and
+// failed-login throttling. Sessions are stateless signed tokens, so they work
+// on Vercel; each request still re-reads the user (cached briefly) so that
+// deleting, disabling or changing a password ends existing sessions.
+
+const scrypt = promisify(crypto.scrypt);
+const users = createTable('users');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const COOKIE_NAME = 'tfa_session';
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+const USER_CACHE_MS = 30 * 1000;
+const MAX_FAILED_PER_USER = 5;
+const MAX_FAILED_PER_IP = 20;
+const FAILED_WINDOW_MS = 15 * 60 * 1000;
+
+let _secret = null;
+function sessionSecret() {
+  if (_secret) return _secret;
+  _secret = process.env.SESSION_SECRET;
+  if (!_secret) {
+    console.warn('SESSION_SECRET is not set - using a random one, sessions end when the server restarts');
+    _secret = crypto.randomBytes(32).toString('hex');
+  }
+  return _secret;
+}
+
+function normalizeUsername(u) {
+  return String(u || "").trim().toLowerCase();
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// What the API exposes about a user (never the hash)
+function publicUser(u) {
+  if (!u) return null;
+  return { id: u.id, username: u.username, name: u.name || u.username, role: u.role, disabled: !!u.disabled, created_at: u.created_at, last_login_at: u.last_login_at || null };
+}
+
+// Stored as "scrypt$<salt>$<hash>" (base64)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Changes whenever the password does, so old sessions stop validating
+function passwordStamp(user) {
+  return crypto.createHash('sha256').update(String(user.password_hash || "")).digest('base64url').slice(0, 12);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', sessionSecret()).update(data).digest('base64url');
+}
+
+function createSessionToken(user) {
+  const payload = Buffer.from(JSON.stringify({ sub: user.id, pw: passwordStamp(user), exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+  return payload + '.' + sign(payload);
+}
+
+function readSessionToken(token) {
+  const [payload, sig] = String(token || "").split('.');
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data.exp > Date.now() ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  const out = {};
+  String(header || "").split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  });
+  return out;
+}
+
+// SameSite=Strict: the legacy API changes data over GET (e.g. addnote)
+function sessionCookie(token, secure) {
+  return `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}` + (secure ? '; Secure' : '');
+}
+
+function clearSessionCookie(secure) {
+  return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0` + (secure ? '; Secure' : '');
+}
+
+// User lookup with a short cache, since it runs on every request
+const userCache = new Map();
+
+async function findUser(id) {
+  id = normalizeUsername(id);
+  const cached = userCache.get(id);
+  if (cached && Date.now() - cached.at < USER_CACHE_MS) return cached.user;
+  const user = await users.get(id);
+  userCache.set(id, { user, at: Date.now() });
+  return user;
+}
+
+// The signed-in user for a request, or null
+async function userFromRequest(req) {
+  const data = readSessionToken(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  if (!data) return null;
+  const user = await findUser(data.sub);
+  if (!user || user.disabled || passwordStamp(user) !== data.pw) return null;
+  return publicUser(user);
+}
+
+// Failed-login throttling, per username+IP and per IP
+const failedLogins = new Map();
+
+function failureCount(key) {
+  const f = failedLogins.get(key);
+  if (!f) return 0;
+  if (Date.now() - f.first > FAILED_WINDOW_MS) { failedLogins.delete(key); return 0; }
+  return f.count;
+}
+
+function recordFailure(key) {
+  const f = failedLogins.get(key);
+  if (f && Date.now() - f.first <= FAILED_WINDOW_MS) f.count++;
+  else failedLogins.set(key, { count: 1, first: Date.now() });
+}
+
+async function login(username, password, ip) {
+  username = normalizeUsername(username);
+  const userKey = `${ip}|${username}`;
+  const ipKey = `${ip}|*`;
+  if (failureCount(userKey) >= MAX_FAILED_PER_USER || failureCount(ipKey) >= MAX_FAILED_PER_IP) {
+    return { ok: false, status: 429, error: `Too many failed logins. Try again in ${FAILED_WINDOW_MS / 60000} minutes.` };
+  }
+
+  const user = username ? await users.get(username) : null;
+  const valid = user && !user.disabled && await verifyPassword(password, user.password_hash);
+  if (!valid) {
+    recordFailure(userKey);
+    recordFailure(ipKey);
+    return { ok: false, status: 401, error: "Invalid username or password" };
+  }
+
+  failedLogins.delete(userKey);
+  const updated = await users.update(user.id, { last_login_at: new Date().toISOString() }) || user;
+  userCache.delete(user.id);
+  return { ok: true, user: publicUser(updated), token: createSessionToken(updated) };
+}
+
+// Admin user management
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+}
+
+function validatePassword(password) {
+  if (String(password || "").length < 8) throw new Error("Password must be at least 8 characters");
+}
+
+async function listUsers() {
+  const rows = await users.list({ order: { column: 'username' } });
+  return rows.map(publicUser);
+}
+
+async function createUser({ username, password, name, role = 'viewer' }) {
+  const id = normalizeUsername(username);
+  if (!/^[a-z0-9._@-]{2,64}$/.test(id)) throw new Error("Username may only contain letters, digits and . _ @ -");
+  validateRole(role);
+  validatePassword(password);
+  if (await users.get(id)) throw new Error("User already exists");
+  const now = new Date().toISOString();
+  const row = await users.upsert({
+    id,
+    username: id,
+    name: String(name || "").trim() || id,
+    role,
+    password_hash: await hashPassword(password),
+    disabled: false,
+    created_at: now,
+    updated_at: now
+  });
+  return publicUser(row);
+}
+
+async function updateUser(id, { name, role, password, disabled }) {
+  id = normalizeUsername(id);
+  const patch = { updated_at: new Date().toISOString() };
+  if (name !== undefined) patch.name = String(name).trim();
+  if (role !== undefined) { validateRole(role); patch.role = role; }
+  if (password !== undefined) { validatePassword(password); patch.password_hash = await hashPassword(password); }
+  if (disabled !== undefined) patch.disabled = !!disabled;
+  const row = await users.update(id, patch);
+  userCache.delete(id);
+  if (!row) throw new Error("User not found");
+  return publicUser(row);
+}
+
+async function deleteUser(id) {
+  id = normalizeUsername(id);
+  userCache.delete(id);
+  return await users.remove(id);
+}
+
+// Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD (or the old
+// shared APP_PASSWORD) when it doesn't exist yet. Returns { anyUsers,
+// created }: with no users, the app runs without logins as before; created
+// is the username of the new admin, or null.
+async function ensureAdmin() {
+  const password = process.env.ADMIN_PASSWORD || process.env.APP_PASSWORD;
+  const username = normalizeUsername(process.env.ADMIN_USERNAME || 'admin');
+  let created = null;
+  if (password && !(await users.get(username))) {
+    await createUser({ username, password, name: 'Administrator', role: 'admin' });
+    created = username;
+  }
+  const anyUsers = (await users.list({ limit: 1, fields: ['id'] })).length > 0;
+  return { anyUsers, created };
+}
+
+module.exports = {
+  ROLES,
+  COOKIE_NAME,
+  normalizeUsername,
+  hasRole,
+  publicUser,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  readSessionToken,
+  parseCookies,
+  sessionCookie,
+  clearSessionCookie,
+  userFromRequest,
+  login,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdmin
+};
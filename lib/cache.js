@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { dataDir } = require('./vectorStore');
+
+// In-memory LRU caches with a time to live per entry. Caches created with
+// `persist: true` are also written to DATA_DIR/cache/<name>.json when
+// CACHE_PERSIST=on, so they survive restarts. CACHE=off turns every cache
+// off (each lookup is a miss and nothing is stored).
+//
+// Values are shared, not copied: callers must not modify what they get back.
+
+const SAVE_DELAY_MS = 2000;
+const caches = new Map();
+
+function enabled() {
+  return String(process.env.CACHE || "on").toLowerCase() !== "off";
+}
+
+function persistEnabled() {
+  return String(process.env.CACHE_PERSIST || "off").toLowerCase() === "on";
+}
+
+// name: for stats and the file; max: entries kept; ttlMs: 0 means the cache is off
+function createCache(name, { max = 500, ttlMs = 0, persist = false } = {}) {
+  const file = persist && persistEnabled() ? path.join(dataDir(), 'cache', name + '.json') : null;
+  // key -> { value, expires }; Map order is least recently used first
+  let entries = new Map();
+  const loading = new Map();
+  const counts = { hits: 0, misses: 0, evictions: 0 };
+  let saveTimer = null;
+
+  const active = () => enabled() && ttlMs > 0;
+
+  if (file) {
+    try {
+      if (fs.pathExistsSync(file)) {
+        const now = Date.now();
+        entries = new Map((fs.readJsonSync(file).entries || []).filter(([, e]) => e.expires > now).slice(-max));
+      }
+    } catch (e) {
+      console.error(`Failed to load cache ${file}:`, e.message);
+    }
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(async () => {
+      saveTimer = null;
+      try {
+        await fs.outputJson(file, { entries: Array.from(entries.entries()) });
+      } catch (e) {
+        // Read-only filesystems (e.g. serverless) keep the cache in memory only
+        console.error(`Failed to save cache ${file}:`, e.message);
+      }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  // The value, or undefined (counted as a miss) if absent or expired
+  function get(key) {
+    if (!active()) return undefined;
+    const e = entries.get(key);
+    if (!e || e.expires <= Date.now()) {
+      if (e) entries.delete(key);
+      counts.misses++;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, e);
+    counts.hits++;
+    return e.value;
+  }
+
+  function set(key, value) {
+    if (!active() || value === undefined) return;
+    entries.delete(key);
+    entries.set(key, { value, expires: Date.now() + ttlMs });
+    while (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+      counts.evictions++;
+    }
+    scheduleSave();
+  }
+
+  // Cached value, or load() it and keep it unless keep(value) is false.
+  // Concurrent calls for the same key share one load.
+  async function getOrLoad(key, load, keep = () => true) {
+    const hit = get(key);
+    if (hit !== undefined) return hit;
+    if (loading.has(key)) return loading.get(key);
+    const p = (async () => {
+      try {
+        const value = await load();
+        if (keep(value)) set(key, value);
+        return value;
+      } finally {
+        loading.delete(key);
+      }
+    })();
+    loading.set(key, p);
+    return p;
+  }
+
+  function clear() {
+    if (!entries.size) return;
+    entries = new Map();
+    scheduleSave();
+  }
+
+  function stats() {
+    const lookups = counts.hits + counts.misses;
+    return {
+      name,
+      enabled: active(),
+      persisted: !!file,
+      size: entries.size,
+      max,
+      ttlSeconds: Math.round(ttlMs / 1000),
+      ...counts,
+      hitRate: lookups ? Math.round(counts.hits / lookups * 1000) / 1000 : null
+    };
+  }
+
+  const cache = { get, set, getOrLoad, clear, stats };
+  caches.set(name, cache);
+  return cache;
+}
+
+// Stats of every cache, for the debug panel
+function allStats() {
+  return Array.from(caches.values()).map(c => c.stats());
+}
+
+function clearAll() {
+  for (const c of caches.values()) c.clear();
+}
+
+module.exports = { createCache, allStats, clearAll };
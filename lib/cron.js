@@ -0,0 +1,67 @@
+// Minimal cron schedules: "minute hour day-of-month month day-of-week" with
+// *, lists, ranges and steps (e.g. "0 7 * * 1" = Mondays at 07:00), in UTC
+// like Vercel Cron, so a schedule means the same in both places whatever the
+// server's time zone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dom', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dow', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const m = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name} "${text}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    let from = min, to = max;
+    if (m[1] !== '*') {
+      from = Number(m[2]);
+      to = m[3] != null ? Number(m[3]) : (m[4] ? max : from);
+    }
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron ${name} "${text}"`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  if (name === 'dow' && values.has(7)) values.add(0);
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expr}"`);
+  const cron = {};
+  FIELDS.forEach((f, i) => { cron[f.name] = parseField(parts[i], f); });
+  cron.domAny = parts[2] === '*';
+  cron.dowAny = parts[4] === '*';
+  return cron;
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getUTCMinutes()) || !cron.hour.has(date.getUTCHours()) || !cron.month.has(date.getUTCMonth() + 1)) return false;
+  const dom = cron.dom.has(date.getUTCDate());
+  const dow = cron.dow.has(date.getUTCDay());
+  // As in cron: when both day fields are restricted, either may match
+  if (cron.domAny) return dow;
+  if (cron.dowAny) return dom;
+  return dom || dow;
+}
+
+// Calls fn at every matching minute. Returns a function that stops it.
+function scheduleCron(expr, fn) {
+  const cron = parseCron(expr);
+  let timer = null;
+  const tick = () => {
+    const now = new Date();
+    if (cronMatches(cron, now)) {
+      Promise.resolve().then(fn).catch(err => console.error(`Scheduled job "${expr}" failed:`, err.message));
+    }
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 50);
+  };
+  timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 50);
+  return () => clearTimeout(timer);
+}
+
+module.exports = { parseCron, cronMatches, scheduleCron };
@@ -0,0 +1,270 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { dataDir } = require('./vectorStore');
+
+// Local copy of the transcripts in a Google Drive folder (and its subfolders,
+// three levels down), kept up to date with the Drive changes API. The first
+// sync lists the folder and downloads every transcript; later syncs only ask
+// Drive what changed since the saved page token, so a rename updates the
+// name, a delete or a move out of the folder removes the copy, and only
+// files whose content changed are downloaded again. Google Docs are stored
+// as their plain-text export.
+//
+// The mirror lives in `dir` (DATA_DIR/drive-mirror by default): state.json
+// with the page token and file list, and files/<id>.txt with each body.
+// `getDrive` returns a googleapis Drive v3 client, or anything with the same
+// files/changes methods (the tests use test/helpers/fakeDrive.js).
+
+const FOLDER_TYPE = 'application/vnd.google-apps.folder';
+const DOC_TYPE = 'application/vnd.google-apps.document';
+const MAX_DEPTH = 3;
+const FILE_FIELDS = 'id, name, mimeType, modifiedTime, md5Checksum, parents, trashed';
+
+function isTranscriptFile(f) {
+  const name = String(f.name || '').toLowerCase();
+  return name.endsWith('.txt') || name.endsWith('.vtt') || name.endsWith('.srt') || f.mimeType === DOC_TYPE;
+}
+
+// Changes when the content does: the checksum for uploaded files, the
+// modified time for Docs (which have no checksum)
+function contentKey(f) {
+  return f.md5Checksum || f.modifiedTime || "";
+}
+
+function status(e) {
+  return Number(e.response?.status || e.code) || null;
+}
+
+function createDriveMirror({ getDrive, folderId, dir = path.join(dataDir(), 'drive-mirror') }) {
+  const stateFile = path.join(dir, 'state.json');
+  // { folderId, pageToken, syncedAt, folders: { id: { name, parent, depth } },
+  //   files: { id: { id, name, mimeType, modifiedTime, parent, key } } }
+  let state = null;
+  let syncing = null;
+
+  const emptyState = () => ({ folderId, pageToken: null, syncedAt: null, folders: {}, files: {} });
+  const bodyPath = id => path.join(dir, 'files', encodeURIComponent(id) + '.txt');
+
+  async function load() {
+    if (state) return;
+    try {
+      if (await fs.pathExists(stateFile)) state = await fs.readJson(stateFile);
+    } catch (e) {
+      console.error(`Failed to load Drive mirror ${stateFile}:`, e.message);
+    }
+    // Another folder was mirrored before: start over
+    if (!state || state.folderId !== folderId) state = emptyState();
+  }
+
+  async function save() {
+    await fs.outputJson(stateFile, state);
+  }
+
+  async function download(drive, f) {
+    const res = f.mimeType === DOC_TYPE
+      ? await drive.files.export({ fileId: f.id, mimeType: 'text/plain' }, { responseType: 'text' })
+      : await drive.files.get({ fileId: f.id, alt: 'media' }, { responseType: 'text' });
+    await fs.outputFile(bodyPath(f.id), typeof res.data === 'string' ? res.data : String(res.data || ''));
+  }
+
+  // Add or update a file, downloading it only if its content changed. A file
+  // that can't be downloaded is kept without a key and retried next sync.
+  async function putFile(drive, f, parent, stats) {
+    const cur = state.files[f.id];
+    let key = contentKey(f);
+    if (!cur || !cur.key || cur.key !== key || !(await fs.pathExists(bodyPath(f.id)))) {
+      try {
+        await download(drive, f);
+        stats.downloaded++;
+      } catch (e) {
+        console.error(`Failed to download ${f.name} from Drive:`, e.message);
+        stats.failed++;
+        key = null;
+      }
+    } else if (cur.name !== f.name || cur.parent !== parent) {
+      stats.renamed++;
+    }
+    state.files[f.id] = { id: f.id, name: f.name, mimeType: f.mimeType, modifiedTime: f.modifiedTime, parent, key };
+  }
+
+  async function dropFile(id, stats) {
+    if (!state.files[id]) return;
+    delete state.files[id];
+    await fs.remove(bodyPath(id));
+    stats.removed++;
+  }
+
+  // List the whole folder tree; used for the first sync, after a folder
+  // change and when the page token is no longer valid
+  async function fullSync(drive, stats) {
+    // Taken first, so changes made while listing are picked up next time
+    const { startPageToken } = (await drive.changes.getStartPageToken({})).data;
+    const folders = { [folderId]: { name: "", parent: null, depth: 0 } };
+    const seen = new Set();
+
+    async function walk(id, depth) {
+      let pageToken;
+      do {
+        const res = await drive.files.list({
+          q: `'${id}' in parents and trashed = false`,
+          fields: `nextPageToken, files(${FILE_FIELDS})`,
+          pageSize: 200,
+          pageToken
+        });
+        for (const f of res.data.files || []) {
+          if (f.mimeType === FOLDER_TYPE) {
+            if (depth + 1 > MAX_DEPTH || folders[f.id]) continue;
+            folders[f.id] = { name: f.name, parent: id, depth: depth + 1 };
+            await walk(f.id, depth + 1);
+          } else if (isTranscriptFile(f)) {
+            seen.add(f.id);
+            await putFile(drive, f, id, stats);
+          }
+        }
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+    }
+
+    await walk(folderId, 0);
+    for (const id of Object.keys(state.files)) {
+      if (!seen.has(id)) await dropFile(id, stats);
+    }
+    state.folders = folders;
+    state.pageToken = startPageToken;
+    stats.full = true;
+  }
+
+  // The folder in the tree `f` is in, or null
+  function treeParent(f) {
+    return (f.parents || []).find(p => state.folders[p]) || null;
+  }
+
+  // Apply the changes since the saved page token. Returns false when the
+  // folder tree itself changed and the whole folder has to be listed again.
+  async function applyChanges(drive, stats) {
+    let pageToken = state.pageToken;
+    while (pageToken) {
+      const res = await drive.changes.list({
+        pageToken,
+        pageSize: 1000,
+        includeRemoved: true,
+        spaces: 'drive',
+        fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${FILE_FIELDS}))`
+      });
+      for (const c of res.data.changes || []) {
+        const f = c.file;
+        const gone = c.removed || !f || f.trashed;
+        // The mirrored folder itself: only its removal matters
+        if (c.fileId === folderId && !gone) continue;
+        if ((f && f.mimeType === FOLDER_TYPE) || state.folders[c.fileId]) {
+          const known = state.folders[c.fileId];
+          const parent = gone ? null : treeParent(f);
+          // A renamed folder stays where it was; any other change to a folder
+          // in (or into) the tree moves files in or out of the mirror
+          if (known && parent && parent === known.parent) {
+            known.name = f.name;
+            continue;
+          }
+          if (known || parent) return false;
+          continue;
+        }
+        const parent = gone ? null : treeParent(f);
+        if (parent && isTranscriptFile(f)) await putFile(drive, f, parent, stats);
+        else await dropFile(c.fileId, stats);
+      }
+      if (res.data.newStartPageToken) {
+        state.pageToken = res.data.newStartPageToken;
+        return true;
+      }
+      pageToken = res.data.nextPageToken;
+    }
+    return true;
+  }
+
+  // Downloads that failed last time
+  async function retryFailed(drive, stats) {
+    for (const cur of Object.values(state.files)) {
+      if (cur.key) continue;
+      try {
+        const f = (await drive.files.get({ fileId: cur.id, fields: FILE_FIELDS })).data;
+        const parent = f.trashed ? null : treeParent(f);
+        if (parent && isTranscriptFile(f)) await putFile(drive, f, parent, stats);
+        else await dropFile(cur.id, stats);
+      } catch (e) {
+        if (status(e) === 404) await dropFile(cur.id, stats);
+        else stats.failed++;
+      }
+    }
+  }
+
+  // Bring the mirror up to date, unless it was synced less than maxAgeMs ago.
+  // Concurrent calls share one sync.
+  async function sync({ maxAgeMs = 0 } = {}) {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      await load();
+      if (state.syncedAt && Date.now() - Date.parse(state.syncedAt) < maxAgeMs) return { skipped: true, ...describe() };
+      const drive = await getDrive();
+      if (!drive) throw new Error('Google Drive not configured');
+
+      const stats = { full: false, downloaded: 0, renamed: 0, removed: 0, failed: 0 };
+      let done = false;
+      if (state.pageToken) {
+        try {
+          done = await applyChanges(drive, stats);
+        } catch (e) {
+          // Expired or unknown page token: list everything again
+          if (![400, 404, 410].includes(status(e))) throw e;
+          console.error('Drive page token rejected, re-listing the folder:', e.message);
+        }
+      }
+      if (done) await retryFailed(drive, stats);
+      else await fullSync(drive, stats);
+      state.syncedAt = new Date().toISOString();
+      await save();
+      return { skipped: false, ...stats, ...describe() };
+    })();
+    try {
+      return await syncing;
+    } finally {
+      syncing = null;
+    }
+  }
+
+  function describe() {
+    return {
+      folderId,
+      files: Object.keys(state.files).length,
+      folders: Object.keys(state.folders).length,
+      syncedAt: state.syncedAt
+    };
+  }
+
+  // Mirrored files: [{ id, name, mimeType, modifiedTime, parent, key }]
+  async function listing() {
+    await load();
+    return Object.values(state.files).filter(f => f.key);
+  }
+
+  // The mirrored text of a file, or null if it isn't mirrored
+  async function read(fileId) {
+    await load();
+    const f = state.files[fileId];
+    if (!f || !f.key) return null;
+    try {
+      return await fs.readFile(bodyPath(fileId), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function info() {
+    await load();
+    return describe();
+  }
+
+  return { sync, listing, read, info };
+}
+
+module.exports = { createDriveMirror };
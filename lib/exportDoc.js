@@ -0,0 +1,179 @@
+const docx = require('docx');
+const PDFDocument = require('pdfkit');
+const { htmlToMarkdown } = require('./htmlText');
+
+// Renders answers, chats and reports for download as Markdown, DOCX or PDF,
+// entirely on the server (no network needed).
+//
+// A document is { title, meta: ["Filters: ...", ...], sections }, where each
+// section is { heading, html, sources } and sources[n - 1] is the item the
+// answer cites as [n]. Citations become footnotes with the source's date,
+// type, countries and title (numbered notes after each section in PDFs).
+
+const EXPORT_FORMATS = {
+  md: { ext: "md", contentType: "text/markdown; charset=utf-8" },
+  docx: { ext: "docx", contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" },
+  pdf: { ext: "pdf", contentType: "application/pdf" }
+};
+
+const CITATION_RE = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+
+function sourceNote(s) {
+  const where = [s.date, s.type, s.countries].filter(Boolean).join(" · ");
+  return (where ? `${where} — ` : "") + (s.title || "(untitled)");
+}
+
+// Numbers the cited sources across the whole document, in order of first
+// citation; a source cited twice in one section keeps its number
+function numberCitations(doc) {
+  const notes = [];
+  const sections = doc.sections.map(sec => {
+    const ids = {};
+    const md = htmlToMarkdown(sec.html).replace(/\*\*(\[\d+(?:\s*,\s*\d+)*\])\*\*/g, "$1");
+    const text = md.replace(CITATION_RE, (m, list) => {
+      const refs = list.split(",").map(n => Number(n.trim())).map(n => {
+        const s = (sec.sources || [])[n - 1];
+        if (!s) return null;
+        if (!ids[n]) {
+          notes.push({ text: sourceNote(s), url: s.source_url || "" });
+          ids[n] = notes.length;
+        }
+        return ids[n];
+      });
+      // Citations with no matching source are left as they were
+      return refs.every(Boolean) ? refs.map(k => `[^${k}]`).join("") : m;
+    });
+    return { heading: sec.heading, md: text, notes: [...new Set(Object.values(ids))] };
+  });
+  return { sections, notes };
+}
+
+// Markdown lines -> headings, bullets and paragraphs
+function mdBlocks(md) {
+  const out = [];
+  let para = null;
+  for (const line of md.split("\n")) {
+    const t = line.trim();
+    const h = t.match(/^#{1,6}\s+(.*)$/);
+    if (!t) para = null;
+    else if (h) { out.push({ kind: "heading", text: h[1] }); para = null; }
+    else if (t.startsWith("- ")) { out.push({ kind: "bullet", text: t.slice(2) }); para = null; }
+    else if (para) para.text += " " + t;
+    else { para = { kind: "para", text: t }; out.push(para); }
+  }
+  return out;
+}
+
+// Inline Markdown -> runs of { text, bold, italic, link } or { note }
+function mdRuns(text) {
+  const runs = [];
+  const re = /\*\*([\s\S]+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)|\[\^(\d+)\]|(?<!\w)_([^_]+)_(?!\w)/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) runs.push({ text: text.slice(last, m.index) });
+    if (m[1] != null) runs.push({ text: m[1], bold: true });
+    else if (m[2] != null) runs.push({ text: m[2], link: m[3] });
+    else if (m[4] != null) runs.push({ note: Number(m[4]) });
+    else runs.push({ text: m[5], italic: true });
+    last = re.lastIndex;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last) });
+  return runs;
+}
+
+function toMarkdown(doc) {
+  const { sections, notes } = numberCitations(doc);
+  const lines = [`# ${doc.title}`, ""];
+  if (doc.meta && doc.meta.length) lines.push(...doc.meta, "");
+  for (const sec of sections) {
+    if (sec.heading) lines.push(`## ${sec.heading}`, "");
+    if (sec.md) lines.push(sec.md, "");
+  }
+  notes.forEach((n, i) => lines.push(`[^${i + 1}]: ${n.text}${n.url ? ` <${n.url}>` : ""}`));
+  return Buffer.from(lines.join("\n").trim() + "\n", "utf8");
+}
+
+async function toDocx(doc) {
+  const { sections, notes } = numberCitations(doc);
+  const { Paragraph, TextRun, HeadingLevel, FootnoteReferenceRun, ExternalHyperlink } = docx;
+
+  const inline = text => mdRuns(text).map(r => {
+    if (r.note) return new FootnoteReferenceRun(r.note);
+    if (r.link) return new ExternalHyperlink({ link: r.link, children: [new TextRun({ text: r.text, style: "Hyperlink" })] });
+    return new TextRun({ text: r.text, bold: r.bold, italics: r.italic });
+  });
+
+  const children = [new Paragraph({ text: doc.title, heading: HeadingLevel.TITLE })];
+  for (const line of doc.meta || []) children.push(new Paragraph({ children: [new TextRun({ text: line, color: "666666" })] }));
+  for (const sec of sections) {
+    if (sec.heading) children.push(new Paragraph({ text: sec.heading, heading: HeadingLevel.HEADING_1 }));
+    for (const b of mdBlocks(sec.md)) {
+      if (b.kind === "heading") children.push(new Paragraph({ children: inline(b.text), heading: HeadingLevel.HEADING_2 }));
+      else if (b.kind === "bullet") children.push(new Paragraph({ children: inline(b.text), bullet: { level: 0 } }));
+      else children.push(new Paragraph({ children: inline(b.text) }));
+    }
+  }
+
+  const footnotes = {};
+  notes.forEach((n, i) => {
+    footnotes[i + 1] = { children: [new Paragraph({ children: [new TextRun(n.text + (n.url ? ` ${n.url}` : ""))] })] };
+  });
+  return await docx.Packer.toBuffer(new docx.Document({ footnotes, sections: [{ children }] }));
+}
+
+function toPdf(doc) {
+  const { sections, notes } = numberCitations(doc);
+  const pdf = new PDFDocument({ size: "A4", margin: 56, info: { Title: doc.title } });
+  const chunks = [];
+  pdf.on("data", c => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+  });
+
+  const write = (text, opts = {}) => {
+    const runs = mdRuns(text);
+    if (!runs.length) return;
+    runs.forEach((r, i) => {
+      const font = r.bold ? "Helvetica-Bold" : r.italic ? "Helvetica-Oblique" : "Helvetica";
+      const str = r.note ? `[${r.note}]` : r.text;
+      pdf.font(font).fillColor(r.link || r.note ? "#1a56db" : "black")
+        .text(str, { ...opts, link: r.link || null, continued: i < runs.length - 1 });
+    });
+    pdf.fillColor("black");
+  };
+
+  pdf.font("Helvetica-Bold").fontSize(18).text(doc.title);
+  pdf.fontSize(9).fillColor("#666666");
+  for (const line of doc.meta || []) pdf.font("Helvetica").text(line);
+  pdf.fillColor("black").moveDown();
+
+  for (const sec of sections) {
+    if (sec.heading) pdf.font("Helvetica-Bold").fontSize(14).text(sec.heading).moveDown(0.4);
+    pdf.fontSize(11);
+    for (const b of mdBlocks(sec.md)) {
+      if (b.kind === "heading") { pdf.moveDown(0.3).fontSize(12); write(b.text); pdf.fontSize(11); }
+      else if (b.kind === "bullet") write("•  " + b.text, { indent: 12 });
+      else { write(b.text); pdf.moveDown(0.4); }
+    }
+    if (sec.notes.length) {
+      pdf.moveDown(0.5).fontSize(9).fillColor("#444444");
+      for (const k of sec.notes) pdf.font("Helvetica").text(`[${k}] ${notes[k - 1].text}`, { link: notes[k - 1].url || null });
+      pdf.fillColor("black");
+    }
+    pdf.moveDown();
+  }
+  pdf.end();
+  return done;
+}
+
+// { filename, contentType, body } for a download
+async function renderExport(doc, format, base) {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  const body = format === "docx" ? await toDocx(doc) : format === "pdf" ? await toPdf(doc) : toMarkdown(doc);
+  return { filename: `${base}.${f.ext}`, contentType: f.contentType, body };
+}
+
+module.exports = { EXPORT_FORMATS, renderExport };
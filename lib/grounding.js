@@ -0,0 +1,104 @@
+// Grounding check for answers. The model appends its claims after the HTML
+// answer, each with the source it cites and a quote copied from it:
+//
+//   <ul><li>Budget was approved <strong>[2]</strong></li></ul>
+//   <!--CLAIMS-->
+//   [{"claim": "The budget was approved", "source": 2, "quote": "Budget approved for next year"}]
+//
+// The prompt lines asking for this are in prompts/partials/claims.txt.
+// splitClaims() separates the two, and checkClaims() looks for each quote in
+// the text of the source it names (and, for transcripts, the turn it's in).
+
+const CLAIMS_MARKER = "<!--CLAIMS-->";
+const MARKER_RE = /<!--\s*claims\s*-->/i;
+// The end of a partly streamed answer that could still become the marker
+const MARKER_START_RE = /(?:<|<!|<!-|<!--\s*(?:c|cl|cla|clai|claim|claims\s*-{0,2})?)$/i;
+const MAX_CLAIMS = 40;
+
+function splitClaims(answer) {
+  const text = String(answer || "");
+  const m = text.match(MARKER_RE);
+  if (!m) return { html: text.trim(), claims: null };
+  const html = text.slice(0, m.index).trim();
+  const tail = text.slice(m.index + m[0].length).replace(/```(?:json)?/gi, "");
+  const start = tail.indexOf("[");
+  const end = tail.lastIndexOf("]");
+  let claims = null;
+  try {
+    if (start >= 0 && end > start) claims = JSON.parse(tail.slice(start, end + 1));
+  } catch (e) {
+    claims = null;
+  }
+  return { html, claims: Array.isArray(claims) ? claims.filter(c => c && typeof c === "object").slice(0, MAX_CLAIMS) : null };
+}
+
+// Case, accent, quote-style and punctuation-insensitive words
+function normWords(s) {
+  return String(s || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+// Every "..."-separated piece of the quote, in order, as whole words
+function quoteIn(quote, text) {
+  const pieces = String(quote || "").split(/\.{3,}|…/).map(normWords).filter(Boolean);
+  if (!pieces.length) return false;
+  const hay = ` ${normWords(text)} `;
+  let pos = 0;
+  for (const piece of pieces) {
+    const i = hay.indexOf(` ${piece} `, pos);
+    if (i < 0) return false;
+    pos = i + piece.length + 1;
+  }
+  return true;
+}
+
+// `sources[n - 1]` is { text, segments? } for the source cited as [n];
+// segments are transcript turns ({ time, speaker, text }). `named` holds
+// sources cited by label instead, such as open tasks ("T1").
+function checkClaims(claims, html, sources, { single = false, named = {} } = {}) {
+  // [n] citations with no matching source
+  const cited = [...String(html || "").replace(/<[^>]+>/g, "").matchAll(/\[(\d+)\]/g)].map(m => Number(m[1]));
+  const invalidCitations = single ? [] : [...new Set(cited.filter(n => n < 1 || n > sources.length))];
+
+  if (!claims) return { checked: false, claims: [], supported: 0, unsupported: 0, invalidCitations };
+
+  const out = claims.map(c => {
+    const claim = String(c.claim || "").trim().slice(0, 500);
+    const quote = String(c.quote || "").trim().slice(0, 500);
+    const label = String(c.source ?? "").replace(/^\[|\]$/g, "").toUpperCase();
+    const source = single ? 1 : (named[label] ? label : Number(label));
+    const src = named[source] || (Number.isInteger(source) ? sources[source - 1] : null);
+    if (!src) return { claim, quote, source: c.source ?? null, status: "invalid_source" };
+    if (!quote) return { claim, quote, source, status: "no_quote" };
+    if (!quoteIn(quote, src.text)) return { claim, quote, source, status: "unsupported" };
+    const turn = (src.segments || []).find(t => quoteIn(quote, t.text));
+    return { claim, quote, source, status: "supported", ...(turn ? { segment: { time: turn.time, start: turn.start, speaker: turn.speaker } } : {}) };
+  });
+  const supported = out.filter(c => c.status === "supported").length;
+  return { checked: true, claims: out, supported, unsupported: out.length - supported, invalidCitations };
+}
+
+// Streams the answer through onToken, holding back the claims: text is
+// passed on up to the marker (in any of the spellings splitClaims accepts),
+// keeping back anything that could be its start.
+function answerOnly(onToken) {
+  let buf = "";
+  let done = false;
+  return text => {
+    if (done) return;
+    buf += text;
+    const m = buf.match(MARKER_RE);
+    if (m) {
+      if (m.index > 0) onToken(buf.slice(0, m.index));
+      done = true;
+      buf = "";
+      return;
+    }
+    const start = buf.match(MARKER_START_RE);
+    const keep = start ? start.index : buf.length;
+    if (keep > 0) onToken(buf.slice(0, keep));
+    buf = buf.slice(keep);
+  };
+}
+
+module.exports = { CLAIMS_MARKER, splitClaims, checkClaims, answerOnly };
@@ -0,0 +1,41 @@
+// Converting the model's answer HTML (h4, ul/li, strong, p, a) to Markdown
+// and plain text for exports.
+
+function decodeEntities(s) {
+  return String(s || "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function escapeHtml(s) {
+  return String(s || "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
+
+function stripFences(html) {
+  return String(html || "").replace(/```html/gi, "").replace(/```/g, "").trim();
+}
+
+function htmlToMarkdown(html) {
+  let s = stripFences(html).replace(/\r/g, "");
+  s = s.replace(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi, (m, t) => `\n\n#### ${t.trim()}\n\n`);
+  s = s.replace(/<(strong|b)>([\s\S]*?)<\/\1>/gi, (m, tag, t) => `**${t}**`);
+  s = s.replace(/<(em|i)>([\s\S]*?)<\/\1>/gi, (m, tag, t) => `_${t}_`);
+  s = s.replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (m, href, t) => `[${t}](${href})`);
+  s = s.replace(/\s*<li[^>]*>/gi, "\n- ").replace(/<\/li>/gi, "");
+  s = s.replace(/<\/?(ul|ol)[^>]*>/gi, "\n");
+  s = s.replace(/<br\s*\/?>/gi, "\n");
+  s = s.replace(/<p[^>]*>/gi, "\n\n").replace(/<\/p>/gi, "\n\n");
+  s = s.replace(/<[^>]+>/g, "");
+  s = decodeEntities(s);
+  return s.split("\n").map(l => l.replace(/\s+$/, "")).join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+function htmlToText(html) {
+  return htmlToMarkdown(html).replace(/\*\*|__|^#### /gm, "").replace(/\[([^\]]*)\]\([^)]*\)/g, "$1");
+}
+
+module.exports = { htmlToMarkdown, htmlToText, stripFences, decodeEntities, escapeHtml };
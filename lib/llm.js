@@ -0,0 +1,437 @@
+const axios = require('axios');
+const fs = require('fs');
+
+// LLM provider layer. LLM_PROVIDER selects one of the providers below;
+// each provider reads its own model / temperature / timeout settings.
+const DEFAULT_PROVIDER = "gemini";
+
+// Errors reported by the provider's API. The /api/v1 routes answer these with
+// a 502 and a generic message instead of the provider's response body.
+function providerError(message) {
+  return Object.assign(new Error(message), { upstream: "model" });
+}
+
+function num(v, fallback) {
+  const n = Number(v);
+  return v !== undefined && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+function getProviderConfig(name) {
+  const env = process.env;
+  if (name === "gemini") {
+    return {
+      apiKey: env.GEMINI_API_KEY,
+      model: env.GEMINI_MODEL || "gemini-2.0-flash",
+      embedModel: env.GEMINI_EMBED_MODEL || "text-embedding-004",
+      temperature: num(env.GEMINI_TEMPERATURE, 0.2),
+      timeoutMs: num(env.GEMINI_TIMEOUT_MS, 60000)
+    };
+  }
+  if (name === "openai") {
+    return {
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: (env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, ""),
+      model: env.OPENAI_MODEL || "gpt-4o-mini",
+      embedModel: env.OPENAI_EMBED_MODEL || "text-embedding-3-small",
+      temperature: num(env.OPENAI_TEMPERATURE, 0.2),
+      timeoutMs: num(env.OPENAI_TIMEOUT_MS, 60000)
+    };
+  }
+  if (name === "fixture") {
+    return {
+      model: "fixture",
+      embedModel: "fixture-hash-256",
+      fixturesFile: env.LLM_FIXTURES_FILE || "",
+      promptLog: env.LLM_FIXTURES_LOG || "",
+      temperature: 0,
+      timeoutMs: 0
+    };
+  }
+  throw new Error(`Unknown LLM_PROVIDER "${name}" (expected gemini, openai or fixture)`);
+}
+
+// Gemini generateContent
+async function geminiGenerate(cfg, userText, conversationHistory) {
+  if (!cfg.apiKey) throw new Error("Missing GEMINI_API_KEY in environment variables.");
+
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(cfg.model)}:generateContent?key=${encodeURIComponent(cfg.apiKey)}`;
+
+  const contents = [];
+  for (const msg of conversationHistory) {
+    contents.push({ role: msg.role, parts: [{ text: msg.text }] });
+  }
+  contents.push({ role: "user", parts: [{ text: userText }] });
+
+  const payload = {
+    contents,
+    generationConfig: { temperature: cfg.temperature }
+  };
+  if (cfg.system) payload.systemInstruction = { parts: [{ text: cfg.system }] };
+
+  try {
+    const response = await axios.post(url, payload, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: cfg.timeoutMs
+    });
+
+    const text = (((response.data.candidates || [])[0] || {}).content || {}).parts?.[0]?.text || "";
+    if (!text.trim()) {
+      const meta = response.data.promptFeedback || response.data.safetyRatings || response.data;
+      throw providerError("Gemini API error: " + JSON.stringify(meta));
+    }
+    return text.trim();
+  } catch (error) {
+    if (error.response) {
+      throw providerError(`Gemini HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`);
+    }
+    throw error;
+  }
+}
+
+// Gemini streamGenerateContent (server-sent events)
+async function geminiStream(cfg, userText, conversationHistory, onToken, signal) {
+  if (!cfg.apiKey) throw new Error("Missing GEMINI_API_KEY in environment variables.");
+
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(cfg.model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(cfg.apiKey)}`;
+
+  const contents = [];
+  for (const msg of conversationHistory) {
+    contents.push({ role: msg.role, parts: [{ text: msg.text }] });
+  }
+  contents.push({ role: "user", parts: [{ text: userText }] });
+
+  let full = "";
+  try {
+    const response = await axios.post(url, {
+      contents,
+      generationConfig: { temperature: cfg.temperature },
+      ...(cfg.system ? { systemInstruction: { parts: [{ text: cfg.system }] } } : {})
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: cfg.timeoutMs,
+      responseType: 'stream',
+      signal
+    });
+
+    let lastMeta = null;
+    await readSseStream(response.data, data => {
+      const chunk = JSON.parse(data);
+      lastMeta = chunk.promptFeedback || lastMeta;
+      const text = (((chunk.candidates || [])[0] || {}).content || {}).parts?.map(p => p.text || "").join("") || "";
+      if (text) {
+        full += text;
+        onToken(text);
+      }
+    });
+
+    if (!full.trim()) throw providerError("Gemini API error: " + JSON.stringify(lastMeta || {}));
+    return full.trim();
+  } catch (error) {
+    if (error.response) {
+      const body = await readStreamText(error.response.data);
+      throw providerError(`Gemini HTTP ${error.response.status}: ${body}`);
+    }
+    throw error;
+  }
+}
+
+// OpenAI-compatible /chat/completions (OpenAI, Azure proxies, vLLM, Ollama, LM Studio...)
+async function openaiGenerate(cfg, userText, conversationHistory) {
+  const messages = conversationHistory.map(msg => ({
+    role: msg.role === "model" ? "assistant" : msg.role,
+    content: msg.text
+  }));
+  messages.push({ role: "user", content: userText });
+  if (cfg.system) messages.unshift({ role: "system", content: cfg.system });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (cfg.apiKey) headers.Authorization = "Bearer " + cfg.apiKey;
+
+  try {
+    const response = await axios.post(cfg.baseUrl + "/chat/completions", {
+      model: cfg.model,
+      messages,
+      temperature: cfg.temperature
+    }, { headers, timeout: cfg.timeoutMs });
+
+    const text = (((response.data.choices || [])[0] || {}).message || {}).content || "";
+    if (!text.trim()) {
+      throw providerError("OpenAI API error: " + JSON.stringify(response.data));
+    }
+    return text.trim();
+  } catch (error) {
+    if (error.response) {
+      throw providerError(`OpenAI HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`);
+    }
+    throw error;
+  }
+}
+
+async function openaiStream(cfg, userText, conversationHistory, onToken, signal) {
+  const messages = conversationHistory.map(msg => ({
+    role: msg.role === "model" ? "assistant" : msg.role,
+    content: msg.text
+  }));
+  messages.push({ role: "user", content: userText });
+  if (cfg.system) messages.unshift({ role: "system", content: cfg.system });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (cfg.apiKey) headers.Authorization = "Bearer " + cfg.apiKey;
+
+  let full = "";
+  try {
+    const response = await axios.post(cfg.baseUrl + "/chat/completions", {
+      model: cfg.model,
+      messages,
+      temperature: cfg.temperature,
+      stream: true
+    }, { headers, timeout: cfg.timeoutMs, responseType: 'stream', signal });
+
+    await readSseStream(response.data, data => {
+      if (data === "[DONE]") return;
+      const chunk = JSON.parse(data);
+      const text = (((chunk.choices || [])[0] || {}).delta || {}).content || "";
+      if (text) {
+        full += text;
+        onToken(text);
+      }
+    });
+
+    if (!full.trim()) throw providerError("OpenAI API error: empty streamed response");
+    return full.trim();
+  } catch (error) {
+    if (error.response) {
+      const body = await readStreamText(error.response.data);
+      throw providerError(`OpenAI HTTP ${error.response.status}: ${body}`);
+    }
+    throw error;
+  }
+}
+
+// Deterministic offline provider. Answers come from LLM_FIXTURES_FILE
+// ([{ "match": "substring", "answer": "<p>...</p>" }]) when one matches the
+// system instruction or prompt, otherwise it echoes the question back as HTML.
+// With LLM_FIXTURES_LOG set, each request is appended to that file as a JSON
+// line ({ system, prompt }), so tests can check what the model was sent.
+function loadFixtures(file) {
+  if (!file) return [];
+  try {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error('Failed to read LLM fixtures file:', e.message);
+    return [];
+  }
+}
+
+function extractQuestion(prompt) {
+  const lines = String(prompt || "").split("\n");
+  const idx = lines.findIndex(l => l.trim() === "Question:");
+  if (idx >= 0 && lines[idx + 1]) return lines[idx + 1].trim();
+  return lines.map(l => l.trim()).filter(Boolean).slice(-2, -1)[0] || "";
+}
+
+function escapeHtml(s) {
+  return String(s || "").replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+async function fixtureGenerate(cfg, userText, conversationHistory) {
+  if (cfg.promptLog) fs.appendFileSync(cfg.promptLog, JSON.stringify({ system: cfg.system || "", prompt: String(userText || "") }) + "\n");
+  const hay = ((cfg.system ? cfg.system + "\n" : "") + String(userText || "")).toLowerCase();
+  const hit = loadFixtures(cfg.fixturesFile).find(f => f && f.match && hay.includes(String(f.match).toLowerCase()));
+  if (hit) return String(hit.answer || "").trim();
+
+  const question = extractQuestion(userText);
+  const citations = (String(userText).match(/^\[\d+\]/gm) || []).slice(0, 3);
+  return [
+    "<h4>Offline answer</h4>",
+    "<ul>",
+    `<li><strong>Question:</strong> ${escapeHtml(question)}</li>`,
+    `<li><strong>Prompt size:</strong> ${String(userText || "").length} characters, ${conversationHistory.length / 2} earlier turns</li>`,
+    citations.length ? `<li><strong>Sources:</strong> ${citations.map(c => `<strong>${c}</strong>`).join(" ")}</li>` : "",
+    "</ul>"
+  ].filter(Boolean).join("\n");
+}
+
+// Replays the fixture answer in small pieces so the streaming UI can be exercised offline.
+async function fixtureStream(cfg, userText, conversationHistory, onToken, signal) {
+  const text = await fixtureGenerate(cfg, userText, conversationHistory);
+  for (let i = 0; i < text.length; i += 16) {
+    if (signal && signal.aborted) throw new Error("canceled");
+    onToken(text.slice(i, i + 16));
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return text;
+}
+
+// Embeddings. Each returns one vector per input text, in order.
+const EMBED_BATCH = 100;
+
+async function geminiEmbed(cfg, texts) {
+  if (!cfg.apiKey) throw new Error("Missing GEMINI_API_KEY in environment variables.");
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(cfg.embedModel)}:batchEmbedContents?key=${encodeURIComponent(cfg.apiKey)}`;
+
+  const out = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    const requests = texts.slice(i, i + EMBED_BATCH).map(text => ({
+      model: "models/" + cfg.embedModel,
+      content: { parts: [{ text }] }
+    }));
+    try {
+      const response = await axios.post(url, { requests }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: cfg.timeoutMs
+      });
+      for (const e of response.data.embeddings || []) out.push(e.values || []);
+    } catch (error) {
+      if (error.response) {
+        throw providerError(`Gemini embed HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`);
+      }
+      throw error;
+    }
+  }
+  return out;
+}
+
+async function openaiEmbed(cfg, texts) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (cfg.apiKey) headers.Authorization = "Bearer " + cfg.apiKey;
+
+  const out = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    try {
+      const response = await axios.post(cfg.baseUrl + "/embeddings", {
+        model: cfg.embedModel,
+        input: texts.slice(i, i + EMBED_BATCH)
+      }, { headers, timeout: cfg.timeoutMs });
+      const data = (response.data.data || []).slice().sort((a, b) => a.index - b.index);
+      for (const e of data) out.push(e.embedding || []);
+    } catch (error) {
+      if (error.response) {
+        throw providerError(`OpenAI embed HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`);
+      }
+      throw error;
+    }
+  }
+  return out;
+}
+
+// Hashed bag-of-words vectors: crude, but deterministic and offline.
+const FIXTURE_DIMS = 256;
+
+function fixtureEmbedOne(text) {
+  const v = new Array(FIXTURE_DIMS).fill(0);
+  const words = String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  for (const w of words) {
+    let h = 2166136261;
+    for (let i = 0; i < w.length; i++) {
+      h ^= w.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    v[(h >>> 0) % FIXTURE_DIMS] += 1;
+  }
+  const len = Math.sqrt(v.reduce((a, x) => a + x * x, 0)) || 1;
+  return v.map(x => x / len);
+}
+
+async function fixtureEmbed(cfg, texts) {
+  return texts.map(fixtureEmbedOne);
+}
+
+// Read the "data:" payloads of a server-sent-events response body.
+function readSseStream(body, onData) {
+  return new Promise((resolve, reject) => {
+    let buf = "";
+    const flush = line => {
+      line = line.replace(/\r$/, "");
+      if (line.startsWith("data:")) onData(line.slice(5).trim());
+    };
+    body.setEncoding('utf8');
+    body.on('data', chunk => {
+      buf += chunk;
+      let nl;
+      try {
+        while ((nl = buf.indexOf("\n")) >= 0) {
+          flush(buf.slice(0, nl));
+          buf = buf.slice(nl + 1);
+        }
+      } catch (e) {
+        body.destroy();
+        reject(e);
+      }
+    });
+    body.on('end', () => {
+      try {
+        if (buf) flush(buf);
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    });
+    body.on('error', reject);
+  });
+}
+
+async function readStreamText(body) {
+  if (!body || typeof body.on !== 'function') return JSON.stringify(body);
+  let out = "";
+  try {
+    for await (const chunk of body) out += chunk;
+  } catch (e) {
+    // Ignore, return what we have
+  }
+  return out.slice(0, 1000);
+}
+
+const PROVIDERS = {
+  gemini: { generate: geminiGenerate, stream: geminiStream, embed: geminiEmbed },
+  openai: { generate: openaiGenerate, stream: openaiStream, embed: openaiEmbed },
+  fixture: { generate: fixtureGenerate, stream: fixtureStream, embed: fixtureEmbed }
+};
+
+function providerName() {
+  return String(process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+}
+
+function describeProvider() {
+  const name = providerName();
+  try {
+    const cfg = getProviderConfig(name);
+    const configured = name === "fixture" || !!cfg.apiKey || (name === "openai" && !!process.env.OPENAI_BASE_URL);
+    return `${name} (${cfg.model}) — ${configured ? 'Configured' : 'Not configured'}`;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Generate a completion with the configured provider. `overrides.system` is
+// sent as the model's system instruction.
+async function generate(userText, conversationHistory = [], overrides = {}) {
+  const name = overrides.provider || providerName();
+  const cfg = { ...getProviderConfig(name), ...overrides };
+  return PROVIDERS[name].generate(cfg, userText, conversationHistory);
+}
+
+// Stream a completion, calling onToken for each text delta. Resolves with the
+// full answer; rejects if `signal` is aborted before the model finishes.
+async function stream(userText, conversationHistory = [], onToken = () => {}, { signal, ...overrides } = {}) {
+  const name = overrides.provider || providerName();
+  const cfg = { ...getProviderConfig(name), ...overrides };
+  return PROVIDERS[name].stream(cfg, userText, conversationHistory, onToken, signal);
+}
+
+// Embed a list of texts with the configured provider's embedding model.
+async function embed(texts, overrides = {}) {
+  const name = overrides.provider || providerName();
+  const cfg = { ...getProviderConfig(name), ...overrides };
+  if (!texts.length) return [];
+  return PROVIDERS[name].embed(cfg, texts);
+}
+
+// Identifies the embedding space, so stored vectors can be invalidated when it changes.
+function embeddingModelId() {
+  const name = providerName();
+  return name + ":" + getProviderConfig(name).embedModel;
+}
+
+module.exports = { generate, stream, embed, embeddingModelId, describeProvider, providerName, getProviderConfig };
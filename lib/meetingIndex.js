@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const llm = require('./llm');
+const { createVectorStore } = require('./vectorStore');
+
+// Embedding index over meetings (headline + summary, chunked). Rows are
+// embedded lazily the first time they show up as retrieval candidates and
+// re-embedded when their content changes.
+const CHUNK_CHARS = 700;
+const CHUNK_OVERLAP = 120;
+
+const store = createVectorStore('meeting-chunks');
+
+// Split text into ~size character chunks on word boundaries, with overlap
+function chunkText(text, size = CHUNK_CHARS, overlap = CHUNK_OVERLAP) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  if (t.length <= size) return [t];
+
+  const chunks = [];
+  let start = 0;
+  while (start < t.length) {
+    let end = Math.min(start + size, t.length);
+    if (end < t.length) {
+      const space = t.lastIndexOf(" ", end);
+      if (space > start + size / 2) end = space;
+    }
+    chunks.push(t.slice(start, end).trim());
+    if (end >= t.length) break;
+    const next = t.indexOf(" ", Math.max(end - overlap, start + 1));
+    start = next > start && next < end ? next + 1 : end;
+  }
+  return chunks;
+}
+
+function rowKey(row) {
+  return String(row.id != null ? row.id : contentHash(row));
+}
+
+function contentHash(row) {
+  return crypto.createHash('sha1').update(`${row.title}\n${row.summary_text}`).digest('hex');
+}
+
+function chunkId(key, i) {
+  return `${key}#${i}`;
+}
+
+// Make sure every row has up-to-date chunk vectors in the store
+async function indexRows(rows) {
+  await store.load();
+  store.useModel(llm.embeddingModelId());
+
+  const pending = [];
+  for (const row of rows) {
+    const key = rowKey(row);
+    const hash = contentHash(row);
+    const first = store.get(chunkId(key, 0));
+    if (first && first.hash === hash) continue;
+
+    if (first) {
+      for (let i = 0; i < first.chunkCount; i++) store.remove(chunkId(key, i));
+    }
+    const chunks = chunkText(row.summary_text || row.title);
+    chunks.forEach((text, i) => pending.push({ key, hash, row, text, chunk: i, chunkCount: chunks.length }));
+  }
+
+  if (!pending.length) return { embedded: 0 };
+
+  const vectors = await llm.embed(pending.map(p =>
+    `${p.row.title} — ${p.row.date_iso}${p.row.countries ? " — " + p.row.countries : ""}\n${p.text}`
+  ));
+  pending.forEach((p, i) => {
+    store.upsert({
+      id: chunkId(p.key, p.chunk),
+      rowKey: p.key,
+      hash: p.hash,
+      chunk: p.chunk,
+      chunkCount: p.chunkCount,
+      text: p.text,
+      vector: vectors[i] || []
+    });
+  });
+  await store.save();
+  return { embedded: pending.length };
+}
+
+// Top-k chunks most relevant to the question, restricted to the given rows
+async function retrieve(question, rows, k) {
+  const { embedded } = await indexRows(rows);
+  const byKey = new Map(rows.map(r => [rowKey(r), r]));
+  const [qv] = await llm.embed([String(question || "")]);
+
+  const hits = store.query(qv || [], k, e => byKey.has(e.rowKey)).map(({ entry, score }) => ({
+    row: byKey.get(entry.rowKey),
+    text: entry.text,
+    chunk: entry.chunk,
+    chunkCount: entry.chunkCount,
+    score
+  }));
+  return { hits, embedded, indexed: store.size() };
+}
+
+module.exports = { retrieve, indexRows, chunkText };
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { restUrl, supabaseHeaders, supabaseError } = require('./supabase');
+const { buildQuery, contains, selectRows } = require('./postgrest');
+const { createTable } = require('./tableStore');
+const { splitList } = require('./profiles');
+const partners = require('./partners');
+const uploads = require('./uploads');
+
+// Notes are meetings rows with type "Note", so Ask, reports and partner pages
+// read them like any other row. On top of the row they carry tags, links to
+// the transcripts or meetings they are about, and file attachments
+// (supabase/migrations/008_notes.sql). Each edit saves the note as it was
+// before into note_revisions.
+
+const revisions = createTable('note_revisions');
+
+const NOTE_TYPE = "Note";
+const NOTE_LINK_TYPES = ['transcript', 'meeting'];
+const MAX_NOTE_CHARS = 20000;
+const MAX_NOTE_TAGS = 20;
+const MAX_NOTE_LINKS = 20;
+const MAX_NOTE_ATTACHMENTS = 20;
+// Fields whose old values are kept in the history
+const REVISION_FIELDS = ['date', 'countries', 'headline', 'summary', 'tags', 'links'];
+
+function cleanDate(d) {
+  const m = String(d || "").match(/^\d{4}-\d{2}-\d{2}$/);
+  return m && !isNaN(Date.parse(m[0])) ? m[0] : null;
+}
+
+function cleanTags(v) {
+  const seen = new Set();
+  return splitList(v).map(t => t.replace(/^#/, "").slice(0, 40)).filter(t => {
+    const key = t.toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_NOTE_TAGS);
+}
+
+// [{ type: "transcript" | "meeting", id, title }]; a JSON string is accepted
+// from multipart forms
+function cleanLinks(v) {
+  let list = v;
+  if (typeof list === "string") {
+    try {
+      list = list.trim() ? JSON.parse(list) : [];
+    } catch (e) {
+      throw new Error("links must be a JSON array");
+    }
+  }
+  if (!Array.isArray(list)) throw new Error("links must be an array");
+  if (list.length > MAX_NOTE_LINKS) throw new Error(`A note can have at most ${MAX_NOTE_LINKS} links`);
+  const out = [];
+  for (const l of list) {
+    if (!l || !NOTE_LINK_TYPES.includes(l.type)) throw new Error(`Link type must be one of: ${NOTE_LINK_TYPES.join(', ')}`);
+    const id = String(l.id ?? "").trim().slice(0, 500);
+    if (!id) throw new Error("Every link needs an id");
+    if (!out.some(o => o.type === l.type && o.id === id)) out.push({ type: l.type, id, title: String(l.title || "").trim().slice(0, 200) });
+  }
+  return out;
+}
+
+// Validated fields for a new note (no `current`) or an edit of one
+function cleanNote(input, current) {
+  const next = {};
+  if (input.summary !== undefined || input.note !== undefined || !current) {
+    next.summary = String(input.summary ?? input.note ?? "").trim();
+    if (!next.summary) throw new Error("Note content is required");
+    if (next.summary.length > MAX_NOTE_CHARS) throw new Error(`Notes can be at most ${MAX_NOTE_CHARS} characters`);
+  }
+  if (input.headline !== undefined) next.headline = String(input.headline).trim().slice(0, 300);
+  if (input.date !== undefined && input.date !== "") {
+    next.date = cleanDate(input.date);
+    if (!next.date) throw new Error("date must be YYYY-MM-DD");
+  }
+  if (input.countries !== undefined) next.countries = splitList(input.countries).join(", ");
+  if (input.tags !== undefined) next.tags = cleanTags(input.tags);
+  if (input.links !== undefined) next.links = cleanLinks(input.links);
+  if (current && next.headline === "") throw new Error("Headline can't be empty");
+  return next;
+}
+
+// The note as the API returns it (attachment paths stay on the server)
+function publicNote(row) {
+  return {
+    ...row,
+    tags: row.tags || [],
+    links: row.links || [],
+    attachments: (row.attachments || []).map(({ path, ...a }) => a)
+  };
+}
+
+function noteFilter(id) {
+  return [{ column: "id", op: "eq", value: id }, { column: "type", op: "eq", value: NOTE_TYPE }];
+}
+
+async function getNoteRow(id) {
+  const { rows } = await selectRows("meetings", { where: noteFilter(id), limit: 1 }, { label: "Supabase notes" });
+  return rows[0] || null;
+}
+
+async function getNote(id) {
+  const row = await getNoteRow(id);
+  return row ? publicNote(row) : null;
+}
+
+// Newest first. q searches headline and text; tag, countries, linked
+// (a transcript or meeting id), from and to narrow it down.
+async function listNotes({ q, tag, countries, linked, from, to, limit = 50, offset = 0 } = {}) {
+  const where = [{ column: "type", op: "eq", value: NOTE_TYPE }];
+  if (from) where.push({ column: "date", op: "gte", value: from });
+  if (to) where.push({ column: "date", op: "lte", value: to });
+  if (tag) where.push({ column: "tags", op: "cs", value: [String(tag).replace(/^#/, "")] });
+  if (linked) where.push({ column: "links", op: "cs", value: [{ id: String(linked) }] });
+  const groups = [];
+  if (q) groups.push({ or: [contains("headline", q), contains("summary", q)] });
+  const terms = countries ? (await partners.expandCountries(countries)).terms : [];
+  if (terms.length) groups.push({ or: terms.map(t => contains("countries", t)) });
+  if (groups.length) where.push(groups.length === 1 ? groups[0] : { and: groups });
+
+  const { rows, total } = await selectRows("meetings", {
+    where,
+    order: [{ column: "date", desc: true }, { column: "id", desc: true }],
+    limit: Math.min(Number(limit) || 50, 200),
+    offset: Number(offset) || 0
+  }, { count: true, label: "Supabase notes" });
+  return { notes: rows.map(publicNote), total };
+}
+
+async function patchRow(id, patch) {
+  try {
+    const res = await axios.patch(restUrl("meetings") + "?" + buildQuery({ where: noteFilter(id) }), patch, {
+      headers: supabaseHeaders({ "Content-Type": "application/json", Prefer: "return=representation" })
+    });
+    return (res.data || [])[0] || null;
+  } catch (error) {
+    throw supabaseError("Supabase notes", error);
+  }
+}
+
+// Returns null if there is no such note
+async function updateNote(id, input, user) {
+  const current = await getNoteRow(id);
+  if (!current) return null;
+  const patch = cleanNote(input, current);
+  if (patch.countries !== undefined) {
+    const linked = await partners.linkCountries(patch.countries);
+    patch.countries = linked.countries;
+    patch.partner_ids = linked.partner_ids;
+  }
+  const changed = REVISION_FIELDS.filter(k => patch[k] !== undefined && JSON.stringify(patch[k]) !== JSON.stringify(current[k] ?? (k === "tags" || k === "links" ? [] : "")));
+  if (!changed.length) return { note: publicNote(current), changed };
+
+  const now = new Date().toISOString();
+  const old = {};
+  for (const k of REVISION_FIELDS) old[k] = current[k] ?? null;
+  await revisions.upsert({
+    id: crypto.randomUUID(),
+    note_id: String(current.id),
+    ...old,
+    changed,
+    edited_by: user.id,
+    edited_at: now
+  });
+  const row = await patchRow(current.id, { ...patch, updated_at: now, updated_by: user.id });
+  return { note: publicNote(row || { ...current, ...patch }), changed };
+}
+
+// Earlier versions of a note, newest first, with the fields each edit changed
+async function noteHistory(id) {
+  return await revisions.list({ where: { note_id: String(id) }, order: { column: 'edited_at', desc: true } });
+}
+
+async function removeNote(id) {
+  const current = await getNoteRow(id);
+  if (!current) return false;
+  try {
+    await axios.delete(restUrl("meetings") + "?" + buildQuery({ where: noteFilter(current.id) }), { headers: supabaseHeaders() });
+  } catch (error) {
+    throw supabaseError("Supabase notes", error);
+  }
+  for (const att of current.attachments || []) {
+    await uploads.removeAttachment(att).catch(e => console.error(`Could not delete attachment ${att.name}:`, e.message));
+  }
+  for (const r of await noteHistory(current.id)) await revisions.remove(r.id);
+  return true;
+}
+
+// Stores the files and adds them to the note; null if there is no such note
+async function addAttachments(id, files, user) {
+  const current = await getNoteRow(id);
+  if (!current) return null;
+  const list = current.attachments || [];
+  if (list.length + files.length > MAX_NOTE_ATTACHMENTS) throw new Error(`A note can have at most ${MAX_NOTE_ATTACHMENTS} attachments`);
+  const added = [];
+  for (const f of files) added.push({ ...(await uploads.saveAttachment(current.id, f)), uploaded_by: user.id });
+  const row = await patchRow(current.id, { attachments: [...list, ...added], updated_at: new Date().toISOString(), updated_by: user.id });
+  return publicNote(row || { ...current, attachments: [...list, ...added] });
+}
+
+// { name, body } of an attachment, or null
+async function readAttachment(id, attachmentId) {
+  const current = await getNoteRow(id);
+  const att = current && (current.attachments || []).find(a => a.id === attachmentId);
+  if (!att) return null;
+  return { name: att.name, body: await uploads.readAttachment(att) };
+}
+
+async function removeAttachment(id, attachmentId, user) {
+  const current = await getNoteRow(id);
+  const att = current && (current.attachments || []).find(a => a.id === attachmentId);
+  if (!att) return null;
+  await uploads.removeAttachment(att);
+  const attachments = current.attachments.filter(a => a.id !== attachmentId);
+  const row = await patchRow(current.id, { attachments, updated_at: new Date().toISOString(), updated_by: user.id });
+  return publicNote(row || { ...current, attachments });
+}
+
+module.exports = {
+  NOTE_TYPE, NOTE_LINK_TYPES, MAX_NOTE_ATTACHMENTS, cleanNote, publicNote, getNote, listNotes, updateNote, noteHistory,
+  removeNote, addAttachments, readAttachment, removeAttachment
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { createTable } = require('./tableStore');
+const { splitList } = require('./profiles');
+
+// Registry of partner organizations: one per country, with the names the
+// country and organization go by in notes ("Slovakia", "SK", "Slovak
+// Republic", "Teach for Slovakia"). Country filters expand to every alias,
+// and new meetings rows are tagged with the partners they mention.
+
+const partners = createTable('partners');
+
+const PARTNER_STAGES = ['exploring', 'early-stage', 'growing', 'established'];
+
+// Case-, accent- and punctuation-insensitive ("España" = "espana"); letters
+// of any script are kept ("Україна", "日本")
+function norm(s) {
+  return String(s || "").normalize('NFD').replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+function slug(s) {
+  return norm(s).replace(/ /g, "-").slice(0, 60);
+}
+
+// Every name the partner goes by, canonical country first
+function partnerTerms(p) {
+  return [...new Set([p.country, p.name, ...(p.aliases || [])].map(s => String(s || "").trim()).filter(Boolean))];
+}
+
+async function listPartners() {
+  const rows = await partners.list({ order: { column: 'country' } });
+  return rows.sort((a, b) => String(a.country).localeCompare(String(b.country)));
+}
+
+async function getPartner(id) {
+  return await partners.get(String(id));
+}
+
+// The partner a filter term refers to (id, country, org name or alias)
+function findPartner(term, list) {
+  const key = norm(term);
+  if (!key) return null;
+  return list.find(p => p.id === term || partnerTerms(p).some(t => norm(t) === key)) || null;
+}
+
+// Partners whose names appear as whole words in free text such as a
+// meetings row's countries column
+function partnersIn(text, list) {
+  const hay = ` ${norm(text)} `;
+  return list.filter(p => partnerTerms(p).some(t => norm(t) && hay.includes(` ${norm(t)} `)));
+}
+
+// Postgres regexes (for PostgREST imatch) that find a name as whole words in
+// free text such as the countries column, with any spaces or punctuation
+// between its words: the name as written and without its accents, since the
+// database match, unlike norm(), is accent-sensitive
+function wordPatterns(term) {
+  const variants = [String(term || ""), String(term || "").normalize('NFD').replace(/[\u0300-\u036f]/g, "")];
+  const patterns = variants.map(v => {
+    const words = v.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return words.length ? `(^|[^[:alnum:]])${words.join("[^[:alnum:]]+")}([^[:alnum:]]|$)` : null;
+  });
+  return [...new Set(patterns.filter(Boolean))];
+}
+
+// "SK, Espana, Narnia" -> every alias of Slovakia and Spain, plus "Narnia"
+// (unknown terms are also listed in "others")
+async function expandCountries(countries) {
+  const wanted = String(countries || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!wanted.length) return { terms: [], partners: [], others: [] };
+  const list = await listPartners();
+  const terms = [];
+  const matched = [];
+  const others = [];
+  for (const w of wanted) {
+    const p = findPartner(w, list);
+    if (p && !matched.includes(p)) matched.push(p);
+    if (!p) others.push(w);
+    terms.push(...(p ? partnerTerms(p) : [w]));
+  }
+  return { terms: [...new Set(terms)], partners: matched, others };
+}
+
+// Free-text countries for a new row, with known aliases replaced by the
+// canonical country, and the ids of the partners it names
+async function linkCountries(countries) {
+  const list = await listPartners();
+  const names = [];
+  const ids = [];
+  for (const c of String(countries || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const p = findPartner(c, list);
+    if (p && !ids.includes(p.id)) ids.push(p.id);
+    if (!names.includes(p ? p.country : c)) names.push(p ? p.country : c);
+  }
+  return { countries: names.join(", "), partner_ids: ids };
+}
+
+// Transcript search query matching any of the partner's names
+function keywordQuery(p) {
+  return partnerTerms(p).map(t => `"${t.replace(/"/g, "")}"`).join(" OR ");
+}
+
+function cleanPartner(input, current) {
+  const next = { ...current };
+  for (const k of ['country', 'name', 'region', 'ceo']) {
+    if (input[k] !== undefined) next[k] = String(input[k]).trim().slice(0, 100);
+  }
+  if (input.about !== undefined) next.about = String(input.about).trim().slice(0, 1000);
+  if (input.aliases !== undefined) next.aliases = splitList(input.aliases);
+  if (input.contacts !== undefined) {
+    const list = Array.isArray(input.contacts) ? input.contacts : String(input.contacts).split("\n");
+    next.contacts = list.map(s => String(s).trim().slice(0, 200)).filter(Boolean).slice(0, 30);
+  }
+  if (input.stage !== undefined) {
+    if (input.stage && !PARTNER_STAGES.includes(input.stage)) throw new Error(`stage must be one of: ${PARTNER_STAGES.join(', ')}`);
+    next.stage = input.stage || "";
+  }
+  if (!next.country) throw new Error("Country is required");
+  return next;
+}
+
+// A name can only point at one partner, or filters would be ambiguous
+function checkTerms(p, list) {
+  for (const t of partnerTerms(p)) {
+    const other = list.find(o => o.id !== p.id && partnerTerms(o).some(ot => norm(ot) === norm(t)));
+    if (other) throw new Error(`"${t}" is already used by ${other.country}`);
+  }
+}
+
+async function createPartner(input) {
+  const now = new Date().toISOString();
+  const p = cleanPartner(input, { name: "", aliases: [], region: "", stage: "", ceo: "", contacts: [], about: "" });
+  if (input.id && !slug(input.id)) throw new Error("id must contain letters or digits");
+  // A country written only in symbols still gets an id
+  p.id = slug(input.id || p.country) || `partner-${crypto.randomBytes(4).toString('hex')}`;
+  const list = await listPartners();
+  if (list.some(o => o.id === p.id)) throw new Error(`Partner "${p.id}" already exists`);
+  checkTerms(p, list);
+  return await partners.upsert({ ...p, created_at: now, updated_at: now });
+}
+
+async function updatePartner(id, input) {
+  const current = await getPartner(id);
+  if (!current) throw new Error("Partner not found");
+  const p = cleanPartner(input, current);
+  checkTerms(p, await listPartners());
+  return await partners.update(current.id, { ...p, id: current.id, updated_at: new Date().toISOString() });
+}
+
+async function removePartner(id) {
+  return await partners.remove(String(id));
+}
+
+module.exports = {
+  PARTNER_STAGES, partnerTerms, listPartners, getPartner, expandCountries, linkCountries, partnersIn, wordPatterns, keywordQuery,
+  createPartner, updatePartner, removePartner
+};
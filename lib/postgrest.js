@@ -0,0 +1,177 @@
+const axios = require('axios');
+const { restUrl, supabaseHeaders, supabaseError } = require('./supabase');
+
+// Builds PostgREST query strings from filter objects instead of string
+// concatenation, so user input can't break out of a filter.
+//
+// A condition is { column, op, value } (fts ops also take a text search
+// "config"); a group is { or: [...] } or { and: [...] } and can nest.
+// Top-level conditions are ANDed.
+//
+//   buildQuery({
+//     where: [{ column: 'date', op: 'gte', value: '2025-01-01' },
+//             { or: [contains('countries', 'Spain'), contains('countries', 'Portugal')] }],
+//     order: [{ column: 'date', desc: true }],
+//     limit: 50
+//   })
+
+const OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'match', 'imatch', 'in', 'is', 'cs', 'ov', 'fts', 'plfts', 'phfts', 'wfts'];
+const FTS_OPS = ['fts', 'plfts', 'phfts', 'wfts'];
+const PAGE_SIZE = 1000; // Supabase's default max rows per request
+
+function checkIdent(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(String(name))) throw new Error(`Invalid column name "${name}"`);
+  return name;
+}
+
+function checkCount(n, label) {
+  if (!Number.isInteger(Number(n)) || Number(n) < 0) throw new Error(`${label} must be a non-negative integer`);
+  return Number(n);
+}
+
+// Substring match, with the LIKE wildcards in the text itself removed
+function contains(column, text) {
+  return { column, op: 'ilike', value: "*" + String(text).replace(/[*%\\]/g, "") + "*" };
+}
+
+// Inside or=(...) / and=(...), values with reserved characters must be quoted
+function treeValue(v) {
+  const s = String(v);
+  return /[,.:()"\\\s]/.test(s) ? '"' + s.replace(/[\\"]/g, m => "\\" + m) + '"' : s;
+}
+
+function opPrefix(c) {
+  if (!OPS.includes(c.op)) throw new Error(`Unsupported filter operator "${c.op}"`);
+  if (FTS_OPS.includes(c.op) && c.config) return `${c.op}(${checkIdent(c.config)})`;
+  return c.op;
+}
+
+// cs on a jsonb column takes JSON ([{ "id": "x" }]), on an array column a list
+function isJsonValue(v) {
+  return v !== null && typeof v === 'object' && (!Array.isArray(v) || v.some(x => x !== null && typeof x === 'object'));
+}
+
+function opValue(c, quote) {
+  if (c.op === 'is') {
+    if (![null, true, false].includes(c.value)) throw new Error(`"is" filters take null, true or false`);
+    return String(c.value);
+  }
+  if (c.op === 'in') return "(" + [].concat(c.value).map(treeValue).join(",") + ")";
+  if (c.op === 'cs' && isJsonValue(c.value)) return quote ? treeValue(JSON.stringify(c.value)) : JSON.stringify(c.value);
+  if (c.op === 'cs' || c.op === 'ov') return "{" + [].concat(c.value).map(treeValue).join(",") + "}";
+  return quote ? treeValue(c.value) : String(c.value);
+}
+
+function isGroup(c) {
+  return Array.isArray(c.or) || Array.isArray(c.and);
+}
+
+// or(a.eq.1,b.ilike.*x*) form, used inside logic trees
+function treeItem(c) {
+  if (isGroup(c)) {
+    const kind = c.or ? 'or' : 'and';
+    const items = c[kind];
+    if (!items.length) throw new Error(`Empty "${kind}" group`);
+    return `${kind}(${items.map(treeItem).join(",")})`;
+  }
+  return `${checkIdent(c.column)}.${opPrefix(c)}.${opValue(c, true)}`;
+}
+
+function buildQuery({ select = "*", where = [], order = [], limit, offset } = {}) {
+  const params = [];
+  const cols = Array.isArray(select) ? select.map(checkIdent).join(",") : (select === "*" ? "*" : checkIdent(select));
+  params.push(["select", cols]);
+
+  const groups = [];
+  for (const c of where) {
+    if (isGroup(c)) groups.push(c);
+    else params.push([checkIdent(c.column), `${opPrefix(c)}.${opValue(c, false)}`]);
+  }
+  // One logic-tree parameter: two or= parameters would not both apply
+  if (groups.length === 1) {
+    const kind = groups[0].or ? 'or' : 'and';
+    params.push([kind, treeItem(groups[0]).slice(kind.length)]);
+  } else if (groups.length > 1) {
+    params.push(["and", "(" + groups.map(treeItem).join(",") + ")"]);
+  }
+
+  if (order.length) {
+    params.push(["order", order.map(o =>
+      checkIdent(o.column) + (o.desc ? ".desc" : ".asc") + (o.nulls ? (o.nulls === "first" ? ".nullsfirst" : ".nullslast") : "")
+    ).join(",")]);
+  }
+  if (limit != null) params.push(["limit", checkCount(limit, "limit")]);
+  if (offset) params.push(["offset", checkCount(offset, "offset")]);
+
+  // Keep PostgREST's own syntax characters readable; everything else is encoded
+  return params.map(([k, v]) => k + "=" + encodeURIComponent(v).replace(/%2C/g, ",").replace(/%28/g, "(").replace(/%29/g, ")")).join("&");
+}
+
+// Approximate SQL for the debug panel, with literals escaped
+function sqlLiteral(v) {
+  return "'" + String(v).replace(/'/g, "''") + "'";
+}
+
+const TSQUERY_FN = { fts: 'to_tsquery', plfts: 'plainto_tsquery', phfts: 'phraseto_tsquery', wfts: 'websearch_to_tsquery' };
+const SQL_OPS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'like', ilike: 'ilike', match: '~', imatch: '~*' };
+
+function sqlCondition(c) {
+  if (isGroup(c)) {
+    const kind = c.or ? 'or' : 'and';
+    return "(" + c[kind].map(sqlCondition).join(` ${kind} `) + ")";
+  }
+  const col = checkIdent(c.column);
+  if (SQL_OPS[c.op]) {
+    const v = (c.op === 'like' || c.op === 'ilike') ? String(c.value).replace(/\*/g, "%") : c.value;
+    return `${col} ${SQL_OPS[c.op]} ${sqlLiteral(v)}`;
+  }
+  if (c.op === 'in') return `${col} in (${[].concat(c.value).map(sqlLiteral).join(", ")})`;
+  if (c.op === 'is') return `${col} is ${String(c.value)}`;
+  if (c.op === 'cs' && isJsonValue(c.value)) return `${col} @> ${sqlLiteral(JSON.stringify(c.value))}`;
+  if (c.op === 'cs') return `${col} @> ${sqlLiteral("{" + [].concat(c.value).join(",") + "}")}`;
+  if (c.op === 'ov') return `${col} && ${sqlLiteral("{" + [].concat(c.value).join(",") + "}")}`;
+  if (TSQUERY_FN[c.op]) {
+    const cfg = c.config ? sqlLiteral(checkIdent(c.config)) + ", " : "";
+    return `to_tsvector(${cfg}${col}) @@ ${TSQUERY_FN[c.op]}(${cfg}${sqlLiteral(c.value)})`;
+  }
+  throw new Error(`Unsupported filter operator "${c.op}"`);
+}
+
+function describeQuery(table, { select = "*", where = [], order = [], limit, offset } = {}) {
+  return [
+    `select ${Array.isArray(select) ? select.join(", ") : select} from public.${checkIdent(table)}`,
+    "where " + (where.length ? where.map(sqlCondition).join("\n  and ") : "true"),
+    order.length ? "order by " + order.map(o => o.column + (o.desc ? " desc" : "")).join(", ") : "",
+    limit != null ? `limit ${Number(limit)}` + (offset ? ` offset ${Number(offset)}` : "") : ""
+  ].filter(Boolean).join("\n") + ";";
+}
+
+// Reads up to opts.limit rows, a page at a time past Supabase's max rows per
+// request. With count: true also returns the total number of matching rows.
+async function selectRows(table, opts = {}, { count = false, label = `Supabase ${table}` } = {}) {
+  const want = opts.limit != null ? checkCount(opts.limit, "limit") : Infinity;
+  let offset = opts.offset ? checkCount(opts.offset, "offset") : 0;
+  const rows = [];
+  let total = null;
+  while (rows.length < want) {
+    const pageLimit = Math.min(PAGE_SIZE, want - rows.length);
+    const url = restUrl(table) + "?" + buildQuery({ ...opts, limit: pageLimit, offset });
+    let response;
+    try {
+      response = await axios.get(url, { headers: supabaseHeaders(count && total === null ? { Prefer: "count=exact" } : {}) });
+    } catch (error) {
+      throw supabaseError(label, error);
+    }
+    const page = response.data || [];
+    if (total === null && count) {
+      const m = String(response.headers?.["content-range"] || "").match(/\/(\d+)$/);
+      total = m ? Number(m[1]) : null;
+    }
+    rows.push(...page.slice(0, pageLimit));
+    offset += page.length;
+    if (page.length < pageLimit) break;
+  }
+  return { rows, total };
+}
+
+module.exports = { OPS, contains, buildQuery, describeQuery, selectRows };
@@ -0,0 +1,56 @@
+const { createTable } = require('./tableStore');
+
+// Per-user profile ("persona") that frames answers: who is asking, their
+// role, region and partner portfolio, and how they like answers written.
+// Stored by user id in the "profiles" table.
+
+const profiles = createTable('profiles');
+
+const ANSWER_STYLES = ['normal', 'short'];
+const MAX_ABOUT = 600;
+
+function splitList(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(/[,;\n]/);
+  return [...new Set(list.map(s => String(s).trim()).filter(Boolean))].slice(0, 40);
+}
+
+function defaults(user) {
+  return { id: user.id, name: user.name || user.username || "", title: "", region: "", countries: [], answer_style: "normal", about: "" };
+}
+
+async function getProfile(user) {
+  const row = await profiles.get(user.id);
+  return { ...defaults(user), ...(row || {}) };
+}
+
+async function saveProfile(user, input) {
+  const current = await getProfile(user);
+  const next = { ...current, updated_at: new Date().toISOString() };
+  if (input.name !== undefined) next.name = String(input.name).trim().slice(0, 100);
+  if (input.title !== undefined) next.title = String(input.title).trim().slice(0, 100);
+  if (input.region !== undefined) next.region = String(input.region).trim().slice(0, 100);
+  if (input.countries !== undefined) next.countries = splitList(input.countries);
+  if (input.about !== undefined) next.about = String(input.about).trim().slice(0, MAX_ABOUT);
+  if (input.answer_style !== undefined) {
+    if (!ANSWER_STYLES.includes(input.answer_style)) throw new Error(`answer_style must be one of: ${ANSWER_STYLES.join(', ')}`);
+    next.answer_style = input.answer_style;
+  }
+  return await profiles.upsert(next);
+}
+
+// The "CONTEXT" paragraph for prompts, written in the user's voice
+function profileContext(profile) {
+  const name = profile.name || "a Teach For All staff member";
+  const parts = [
+    profile.title
+      ? `My name is ${name}, and I am ${/^[aeiou]/i.test(profile.title) ? "an" : "a"} ${profile.title} at Teach For All.`
+      : `My name is ${name}, and I work at Teach For All.`
+  ];
+  if (profile.name) parts.push(`Any references to '${profile.name.split(/\s+/)[0]}' refer to me.`);
+  if (profile.region) parts.push(`I work in the ${profile.region} region.`);
+  if (profile.countries && profile.countries.length) parts.push(`My partner countries are: ${profile.countries.join(", ")}.`);
+  if (profile.about) parts.push(profile.about);
+  return parts.join(" ");
+}
+
+module.exports = { ANSWER_STYLES, getProfile, saveProfile, profileContext, splitList };
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Prompt templates, one file per version: prompts/<name>.v<N>.txt, with
+// shared pieces in prompts/partials/<name>.txt. The highest version of each
+// template is used unless PROMPT_VERSIONS pins another ("ask=1,transcript=2").
+//
+// Templates use a small Mustache subset:
+//   {{question}}            a variable (arrays are joined with newlines)
+//   {{#tasks}}...{{/tasks}} only when the variable is non-empty
+//   {{^tasks}}...{{/tasks}} only when it is empty
+//   {{> format-rules}}      a partial
+//   {{! comment }}          dropped; the first comment describes the template
+// A line holding only a section or comment tag is removed entirely.
+// Variable values are inserted as they are and never parsed as template text.
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+const FILE_RE = /^([a-z0-9-]+)\.v(\d+)\.txt$/;
+const TAG_RE = /\{\{\s*([#^\/>!]?)\s*([^}]*?)\s*\}\}/g;
+
+let cache = null;
+
+function readDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+}
+
+// Standalone section/comment lines disappear instead of leaving blank lines
+function stripStandalone(src) {
+  return src.replace(/\r\n/g, "\n").replace(/^[ \t]*(\{\{\s*[#^\/!][^}]*\}\})[ \t]*\n/gm, "$1");
+}
+
+function loadAll() {
+  const partials = {};
+  for (const f of readDir(path.join(PROMPTS_DIR, 'partials'))) {
+    if (f.endsWith('.txt')) partials[f.slice(0, -4)] = stripStandalone(fs.readFileSync(path.join(PROMPTS_DIR, 'partials', f), 'utf8')).replace(/\n$/, "");
+  }
+  const templates = [];
+  for (const f of readDir(PROMPTS_DIR)) {
+    const m = f.match(FILE_RE);
+    if (!m) continue;
+    templates.push({ name: m[1], version: Number(m[2]), file: f, source: stripStandalone(fs.readFileSync(path.join(PROMPTS_DIR, f), 'utf8')) });
+  }
+  templates.sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version);
+  return { partials, templates };
+}
+
+function store() {
+  if (!cache) cache = loadAll();
+  return cache;
+}
+
+// Re-read the files (after editing a template without restarting)
+function reloadPrompts() {
+  cache = null;
+  return store();
+}
+
+function pinnedVersions() {
+  const pins = {};
+  for (const pair of String(process.env.PROMPT_VERSIONS || "").split(",")) {
+    const [name, v] = pair.split("=").map(s => (s || "").trim());
+    if (name && Number(v)) pins[name] = Number(v);
+  }
+  return pins;
+}
+
+function findTemplate(name, version) {
+  const all = store().templates.filter(t => t.name === name);
+  if (!all.length) throw new Error(`Unknown prompt template "${name}"`);
+  const want = version != null ? Number(version) : pinnedVersions()[name];
+  if (want == null) return all[all.length - 1];
+  const t = all.find(x => x.version === want);
+  if (!t) throw new Error(`Prompt template "${name}" has no version ${want}`);
+  return t;
+}
+
+// Template text -> tree of text, var, section and partial nodes
+function parse(src, name, partials, seen = []) {
+  const root = [];
+  const stack = [{ children: root }];
+  let last = 0;
+  let m;
+  const re = new RegExp(TAG_RE.source, 'g');
+  while ((m = re.exec(src))) {
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.children.push({ type: "text", text: src.slice(last, m.index) });
+    last = re.lastIndex;
+    const [, kind, key] = m;
+    if (kind === "!") continue;
+    if (kind === ">") {
+      if (!(key in partials)) throw new Error(`Prompt "${name}" uses unknown partial "${key}"`);
+      if (seen.includes(key)) throw new Error(`Prompt partial "${key}" includes itself`);
+      top.children.push(...parse(partials[key], name, partials, [...seen, key]));
+    } else if (kind === "#" || kind === "^") {
+      const node = { type: "section", key, inverted: kind === "^", children: [] };
+      top.children.push(node);
+      stack.push(node);
+    } else if (kind === "/") {
+      if (stack.length < 2 || top.key !== key) throw new Error(`Prompt "${name}": unexpected {{/${key}}}`);
+      stack.pop();
+    } else {
+      top.children.push({ type: "var", key });
+    }
+  }
+  if (last < src.length) stack[stack.length - 1].children.push({ type: "text", text: src.slice(last) });
+  if (stack.length > 1) throw new Error(`Prompt "${name}": {{#${stack[stack.length - 1].key}}} is never closed`);
+  return root;
+}
+
+function isEmpty(v) {
+  return v == null || v === false || v === "" || (Array.isArray(v) && !v.length);
+}
+
+function renderNodes(nodes, vars, name, { lenient }) {
+  return nodes.map(n => {
+    if (n.type === "text") return n.text;
+    if (n.type === "section") {
+      // Previews show sections whose variable wasn't given
+      const on = lenient && vars[n.key] === undefined ? !n.inverted : isEmpty(vars[n.key]) === n.inverted;
+      return on ? renderNodes(n.children, vars, name, { lenient }) : "";
+    }
+    if (vars[n.key] === undefined) {
+      if (lenient) return `{{${n.key}}}`;
+      throw new Error(`Prompt "${name}" needs variable "${n.key}"`);
+    }
+    return Array.isArray(vars[n.key]) ? vars[n.key].join("\n") : String(vars[n.key] ?? "");
+  }).join("");
+}
+
+function variablesOf(nodes, out = new Set()) {
+  for (const n of nodes) {
+    if (n.type === "var" || n.type === "section") out.add(n.key);
+    if (n.children) variablesOf(n.children, out);
+  }
+  return out;
+}
+
+// The hash covers the template with its partials expanded, so it changes
+// whenever the text an answer was generated with does
+function describe(t) {
+  const tree = parse(t.source, t.name, store().partials);
+  const comment = t.source.match(/^\s*\{\{!\s*([\s\S]*?)\s*\}\}/);
+  return {
+    name: t.name,
+    version: t.version,
+    id: `${t.name}@${t.version}`,
+    hash: crypto.createHash('sha1').update(JSON.stringify(tree)).digest('hex').slice(0, 10),
+    description: comment ? comment[1].replace(/\s+/g, " ") : "",
+    variables: [...variablesOf(tree)],
+    file: t.file,
+    tree
+  };
+}
+
+// { text, id: "ask@2", hash } for the active (or given) version
+function renderPrompt(name, vars = {}, { version } = {}) {
+  const d = describe(findTemplate(name, version));
+  const text = renderNodes(d.tree, vars, name, { lenient: false }).trim();
+  return { text, id: d.id, hash: d.hash };
+}
+
+// Every template version, newest first within a name, marking the active ones
+function listPrompts() {
+  const { templates } = store();
+  const active = new Set([...new Set(templates.map(t => t.name))].map(n => findTemplate(n).file));
+  return templates.slice().sort((a, b) => a.name.localeCompare(b.name) || b.version - a.version).map(t => {
+    const { tree, ...d } = describe(t);
+    return { ...d, active: active.has(t.file), source: t.source };
+  });
+}
+
+// Renders a template with sample values; variables not given are shown as {{name}}
+function previewPrompt(name, vars = {}, version) {
+  const d = describe(findTemplate(name, version));
+  return {
+    id: d.id,
+    hash: d.hash,
+    variables: d.variables,
+    missing: d.variables.filter(v => vars[v] === undefined),
+    text: renderNodes(d.tree, vars, name, { lenient: true })
+  };
+}
+
+module.exports = { PROMPTS_DIR, renderPrompt, listPrompts, previewPrompt, reloadPrompts };
@@ -0,0 +1,112 @@
+// Allow-list HTML sanitizer for model answers and stored report summaries,
+// which the browser renders with innerHTML. The output is rebuilt from the
+// parsed input: text is escaped, and only the tags below are written back,
+// with no attributes except a safe href on links. Anything else is dropped,
+// keeping its text, or removed with its content (script, style, ...).
+
+const ALLOWED_TAGS = ['h4', 'ul', 'ol', 'li', 'p', 'br', 'strong', 'b', 'em', 'i', 'a'];
+const VOID_TAGS = ['br'];
+const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'noembed', 'noframes',
+  'template', 'textarea', 'title', 'svg', 'math', 'select', 'xmp', 'plaintext'];
+const SAFE_HREF = /^(https?:\/\/|mailto:|#)/i;
+
+// Comments, <!doctype>/<?xml>, or a tag with its attributes
+const TOKEN_RE = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTR_RE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function escapeText(s) {
+  // Entities are kept as they are; a bare & or < is escaped
+  return s.replace(/&(?!#?[A-Za-z0-9]+;)/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function decodeAttr(s) {
+  return String(s)
+    .replace(/&#x([0-9a-f]+);?/gi, (m, h) => String.fromCodePoint(parseInt(h, 16) || 0))
+    .replace(/&#(\d+);?/g, (m, d) => String.fromCodePoint(Number(d) || 0))
+    .replace(/&colon;/gi, ":").replace(/&tab;/gi, "\t").replace(/&newline;/gi, "\n")
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+// http(s), mailto and in-page links only; whitespace and control characters
+// are removed first, as browsers ignore them ("java\tscript:")
+function safeHref(raw) {
+  const href = decodeAttr(raw).replace(/[\u0000- \u007f-\u009f]/g, "");
+  if (!SAFE_HREF.test(href)) return null;
+  return href.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function openTag(name, attrs) {
+  if (name !== "a") return `<${name}>`;
+  let href = null;
+  for (const m of attrs.matchAll(ATTR_RE)) {
+    if (m[1].toLowerCase() === "href") href = safeHref(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  if (!href) return null;
+  return href.startsWith("#") ? `<a href="${href}">` : `<a href="${href}" target="_blank" rel="noopener noreferrer">`;
+}
+
+// `closeOpen: false` leaves unclosed tags open, so the output for a prefix of
+// the input is a prefix of the output for all of it (see sanitizeStream)
+function sanitizeHtml(html, { closeOpen = true } = {}) {
+  const input = String(html || "").replace(/```(?:html)?/gi, "");
+  const out = [];
+  const open = [];
+  let last = 0;
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(input))) {
+    out.push(escapeText(input.slice(last, m.index)));
+    last = TOKEN_RE.lastIndex;
+    const name = (m[2] || "").toLowerCase();
+    if (!name) continue;
+    if (!m[1] && DROP_WITH_CONTENT.includes(name)) {
+      // Skip to the matching close tag, or the end if there is none
+      const close = input.slice(last).search(new RegExp(`</${name}\\s*>`, "i"));
+      last = close < 0 ? input.length : last + close + input.slice(last + close).indexOf(">") + 1;
+      TOKEN_RE.lastIndex = last;
+      continue;
+    }
+    if (!ALLOWED_TAGS.includes(name)) continue;
+    if (m[1]) {
+      // Close tags only for elements that are open, closing any inside them
+      const at = open.lastIndexOf(name);
+      if (at < 0) continue;
+      while (open.length > at) out.push(`</${open.pop()}>`);
+    } else if (VOID_TAGS.includes(name)) {
+      out.push(`<${name}>`);
+    } else {
+      const tag = openTag(name, m[3] || "");
+      // An unsafe link keeps its text but loses the tag
+      if (!tag) continue;
+      out.push(tag);
+      open.push(name);
+    }
+  }
+  out.push(escapeText(input.slice(last)));
+  if (closeOpen) while (open.length) out.push(`</${open.pop()}>`);
+  return out.join("").trim();
+}
+
+// Sanitizes a streamed answer as it arrives: each call sanitizes everything
+// received so far, up to any unfinished tag, entity or fence at the end, and
+// passes on what was added since the last call. The final answer is
+// sanitized in full separately, so if the output ever stops being a prefix
+// (a ">" inside a quoted attribute), the rest is simply held back.
+function sanitizeStream(onToken) {
+  let raw = "";
+  let sent = "";
+  return text => {
+    raw += text;
+    const tagStart = raw.lastIndexOf("<");
+    let cut = tagStart > raw.lastIndexOf(">") ? tagStart : raw.length;
+    const partial = raw.slice(0, cut).match(/&[#A-Za-z0-9]*$|```[A-Za-z]*$|`{1,2}$/);
+    if (partial) cut -= partial[0].length;
+    const clean = sanitizeHtml(raw.slice(0, cut), { closeOpen: false });
+    if (clean.length > sent.length && clean.startsWith(sent)) {
+      onToken(clean.slice(sent.length));
+      sent = clean;
+    }
+  };
+}
+
+module.exports = { ALLOWED_TAGS, sanitizeHtml, sanitizeStream };
@@ -0,0 +1,32 @@
+// Shared helpers for the Supabase REST (PostgREST) API
+
+function supabaseConfigured() {
+  return !!(process.env.SUPABASE_URL && process.env.SUPABASE_KEY);
+}
+
+function restUrl(table) {
+  if (!supabaseConfigured()) throw new Error("Supabase credentials not configured");
+  return process.env.SUPABASE_URL.replace(/\/$/, "") + "/rest/v1/" + table;
+}
+
+function supabaseHeaders(extra = {}) {
+  const key = process.env.SUPABASE_KEY;
+  return {
+    apikey: key,
+    Authorization: "Bearer " + key,
+    Accept: "application/json",
+    ...extra
+  };
+}
+
+// Turn an axios error into an Error with the HTTP status and a short body
+// (marked as a database error, which /api/v1 doesn't show to clients)
+function supabaseError(label, error) {
+  if (error.response) {
+    const body = typeof error.response.data === "string" ? error.response.data : JSON.stringify(error.response.data);
+    return Object.assign(new Error(`${label} HTTP ${error.response.status}: ${String(body || "").substring(0, 300)}`), { upstream: "database", httpStatus: error.response.status });
+  }
+  return Object.assign(error, { upstream: error.upstream || "database" });
+}
+
+module.exports = { supabaseConfigured, restUrl, supabaseHeaders, supabaseError };
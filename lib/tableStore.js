@@ -0,0 +1,169 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const { supabaseConfigured, restUrl, supabaseHeaders, supabaseError } = require('./supabase');
+const { buildQuery } = require('./postgrest');
+const { dataDir } = require('./vectorStore');
+
+// Small record store for app data (conversations, users, ...). Uses a
+// Supabase table when Supabase is configured (see supabase/migrations) and a
+// JSON file under DATA_DIR otherwise. STORAGE_BACKEND=supabase|file forces one.
+//
+// Only what the app needs: equality filters, one sort column, limit/offset.
+
+function backend() {
+  const forced = String(process.env.STORAGE_BACKEND || "").toLowerCase();
+  if (forced === "file" || forced === "supabase") return forced;
+  return supabaseConfigured() ? "supabase" : "file";
+}
+
+function pick(row, fields) {
+  if (!fields) return row;
+  const out = {};
+  for (const f of fields) if (row[f] !== undefined) out[f] = row[f];
+  return out;
+}
+
+function supabaseTable(name) {
+  const label = `Supabase ${name}`;
+
+  function query({ where = {}, order, limit, offset, fields } = {}) {
+    return buildQuery({
+      select: fields || "*",
+      where: Object.entries(where).map(([column, value]) => ({ column, op: value === null ? "is" : "eq", value })),
+      order: order ? [order] : [],
+      limit: limit || undefined,
+      offset
+    });
+  }
+
+  function byId(id) {
+    return buildQuery({ where: [{ column: "id", op: "eq", value: id }] });
+  }
+
+  async function request(fn) {
+    try {
+      return (await fn()).data;
+    } catch (error) {
+      throw supabaseError(label, error);
+    }
+  }
+
+  return {
+    async list(opts) {
+      return await request(() => axios.get(restUrl(name) + "?" + query(opts), { headers: supabaseHeaders() })) || [];
+    },
+    async get(id) {
+      const rows = await this.list({ where: { id }, limit: 1 });
+      return rows[0] || null;
+    },
+    async upsert(row) {
+      const rows = await request(() => axios.post(restUrl(name) + "?on_conflict=id", row, {
+        headers: supabaseHeaders({ "Content-Type": "application/json", Prefer: "resolution=merge-duplicates,return=representation" })
+      }));
+      return (rows || [])[0] || row;
+    },
+    async update(id, patch) {
+      const rows = await request(() => axios.patch(restUrl(name) + "?" + byId(id), patch, {
+        headers: supabaseHeaders({ "Content-Type": "application/json", Prefer: "return=representation" })
+      }));
+      return (rows || [])[0] || null;
+    },
+    async remove(id) {
+      const rows = await request(() => axios.delete(restUrl(name) + "?" + byId(id), {
+        headers: supabaseHeaders({ Prefer: "return=representation" })
+      }));
+      return (rows || []).length > 0;
+    }
+  };
+}
+
+function fileTable(name) {
+  const file = path.join(dataDir(), name + ".json");
+  // Serialize read-modify-write cycles within this process
+  let queue = Promise.resolve();
+
+  // A missing file is an empty table. Any other failure (a corrupt file, no
+  // permission) is thrown: treating it as empty would make users.json look
+  // like there are no accounts, and open the app to everyone.
+  async function readAll() {
+    try {
+      return await fs.readJson(file);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw new Error(`Failed to read ${file}: ${e.message}`);
+    }
+  }
+
+  function mutate(fn) {
+    const run = queue.then(async () => {
+      const rows = await readAll();
+      const result = fn(rows);
+      await fs.outputJson(file, rows);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async list({ where = {}, order, limit, offset = 0, fields } = {}) {
+      let rows = (await readAll()).filter(r =>
+        Object.entries(where).every(([col, val]) => (val === null ? r[col] == null : String(r[col]) === String(val))));
+      if (order) {
+        rows.sort((a, b) => {
+          const x = a[order.column], y = b[order.column];
+          const c = x < y ? -1 : x > y ? 1 : 0;
+          return order.desc ? -c : c;
+        });
+      }
+      rows = rows.slice(offset, limit ? offset + Number(limit) : undefined);
+      return rows.map(r => pick(r, fields));
+    },
+    async get(id) {
+      return (await readAll()).find(r => String(r.id) === String(id)) || null;
+    },
+    upsert(row) {
+      return mutate(rows => {
+        const i = rows.findIndex(r => String(r.id) === String(row.id));
+        if (i >= 0) rows[i] = { ...rows[i], ...row };
+        else rows.push(row);
+        return i >= 0 ? rows[i] : row;
+      });
+    },
+    update(id, patch) {
+      return mutate(rows => {
+        const r = rows.find(x => String(x.id) === String(id));
+        if (!r) return null;
+        Object.assign(r, patch);
+        return r;
+      });
+    },
+    remove(id) {
+      return mutate(rows => {
+        const i = rows.findIndex(r => String(r.id) === String(id));
+        if (i >= 0) rows.splice(i, 1);
+        return i >= 0;
+      });
+    }
+  };
+}
+
+function createTable(name) {
+  const tables = {};
+  // Resolve the backend per call so env changes (tests, scripts) take effect
+  const current = () => {
+    const b = backend();
+    if (!tables[b]) tables[b] = b === "supabase" ? supabaseTable(name) : fileTable(name);
+    return tables[b];
+  };
+  return {
+    list: opts => current().list(opts),
+    get: id => current().get(id),
+    upsert: row => current().upsert(row),
+    update: (id, patch) => current().update(id, patch),
+    remove: id => current().remove(id)
+  };
+}
+
+module.exports = { createTable, backend };
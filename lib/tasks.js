@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { createTable } = require('./tableStore');
+
+// Tracked action items / follow-ups extracted from transcripts and notes.
+// Each task points back at its source: a transcript id (file path, gdrive:
+// or storage: id) or a meetings row id.
+
+const tasks = createTable('tasks');
+
+const TASK_STATUSES = ['open', 'done'];
+
+function normTitle(t) {
+  return String(t || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+function cleanDate(d) {
+  const m = String(d || "").match(/^\d{4}-\d{2}-\d{2}$/);
+  return m ? m[0] : null;
+}
+
+function cleanTask(t) {
+  return {
+    title: String(t.title || "").trim().slice(0, 300),
+    owner: String(t.owner || "").trim().slice(0, 100),
+    due_date: cleanDate(t.due_date),
+    country: String(t.country || "").trim().slice(0, 100),
+    quote: String(t.quote || "").trim().slice(0, 500)
+  };
+}
+
+// Open tasks first, soonest due first; filters are exact except country/owner (case-insensitive)
+async function listTasks({ status, country, owner, sourceId, limit = 200 } = {}) {
+  const where = {};
+  if (status && status !== "all") where.status = status;
+  if (sourceId) where.source_id = String(sourceId);
+  let rows = await tasks.list({ where, order: { column: 'created_at', desc: true }, limit: 1000 });
+
+  const countries = String(country || "").split(",").map(c => c.trim().toLowerCase()).filter(Boolean);
+  if (countries.length) rows = rows.filter(t => countries.includes(String(t.country || "").toLowerCase()));
+  if (owner) rows = rows.filter(t => String(t.owner || "").toLowerCase().includes(String(owner).toLowerCase()));
+
+  rows.sort((a, b) => (a.status === b.status ? 0 : a.status === "open" ? -1 : 1) ||
+    String(a.due_date || "9999").localeCompare(String(b.due_date || "9999")));
+  return rows.slice(0, Number(limit));
+}
+
+// Stores extracted items for one source, skipping ones it already has
+async function addTasks(items, source, user) {
+  const existing = await tasks.list({ where: { source_id: String(source.id) } });
+  const seen = new Set(existing.map(t => normTitle(t.title)));
+  const created = [];
+  const now = new Date().toISOString();
+  for (const item of items.map(cleanTask)) {
+    const key = normTitle(item.title);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    created.push(await tasks.upsert({
+      id: crypto.randomUUID(),
+      ...item,
+      status: "open",
+      source_type: source.type,
+      source_id: String(source.id),
+      source_title: String(source.title || "").slice(0, 300),
+      source_date: cleanDate(source.date),
+      created_by: user.id,
+      created_at: now,
+      updated_at: now,
+      completed_at: null,
+      completed_by: null
+    }));
+  }
+  return { created, skipped: items.length - created.length };
+}
+
+async function updateTask(id, input, user) {
+  const patch = { updated_at: new Date().toISOString() };
+  for (const k of ['title', 'owner', 'country']) {
+    if (input[k] !== undefined) patch[k] = cleanTask({ [k]: input[k] })[k];
+  }
+  if (patch.title === "") throw new Error("Title can't be empty");
+  if (input.due_date !== undefined) {
+    patch.due_date = cleanDate(input.due_date);
+    if (input.due_date && !patch.due_date) throw new Error("due_date must be YYYY-MM-DD");
+  }
+  if (input.status !== undefined) {
+    if (!TASK_STATUSES.includes(input.status)) throw new Error(`status must be one of: ${TASK_STATUSES.join(', ')}`);
+    patch.status = input.status;
+    patch.completed_at = input.status === "done" ? patch.updated_at : null;
+    patch.completed_by = input.status === "done" ? user.id : null;
+  }
+  const row = await tasks.update(id, patch);
+  if (!row) throw new Error("Task not found");
+  return row;
+}
+
+async function removeTask(id) {
+  return await tasks.remove(id);
+}
+
+module.exports = { TASK_STATUSES, listTasks, addTasks, updateTask, removeTask };
@@ -0,0 +1,102 @@
+// Splitting long transcripts into speaker/time-aware parts and picking the
+// parts most relevant to a question.
+
+const SPEAKER_LINE = /^\s*(?:[\[(]?(?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d+)?[\])]?\s+)?([\p{Lu}][\p{L}.'\- ]{0,40}):\s/u;
+const TIME_LINE = /^\s*[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})(?:[.,]\d+)?/;
+
+const STOPWORDS = new Set(("a an and are as at be but by did do does for from had has have how i in is it its " +
+  "me my of on or our so that the their them they this to was we were what when where which who why will with " +
+  "you your about any all can could would should there these those been into out up").split(" "));
+
+function terms(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => w.length > 1 && !STOPWORDS.has(w));
+}
+
+// Lines where a new speaker turn, timestamp or paragraph starts are safe cut points
+function isBoundary(line) {
+  return !line.trim() || SPEAKER_LINE.test(line) || TIME_LINE.test(line);
+}
+
+function describePart(lines) {
+  const speakers = [];
+  let start = null, end = null;
+  for (const line of lines) {
+    const sm = line.match(SPEAKER_LINE);
+    if (sm && !speakers.includes(sm[1].trim()) && speakers.length < 8) speakers.push(sm[1].trim());
+    const tm = line.match(TIME_LINE);
+    if (tm) {
+      if (!start) start = tm[1];
+      end = tm[1];
+    }
+  }
+  return { speakers, start, end };
+}
+
+// Split text into parts of at most maxChars, cutting only at turn boundaries
+// unless a single turn is longer than maxChars.
+function splitTranscript(text, maxChars) {
+  const lines = String(text || "").split("\n");
+  const parts = [];
+  let cur = [], curLen = 0, startLine = 0, offset = 0, startOffset = 0;
+
+  const flush = endLine => {
+    if (!cur.length) return;
+    const body = cur.join("\n");
+    if (body.trim()) {
+      parts.push({ text: body, startLine: startLine + 1, endLine, startChar: startOffset, endChar: startOffset + body.length, ...describePart(cur) });
+    }
+    cur = [];
+    curLen = 0;
+  };
+
+  lines.forEach((line, i) => {
+    const nextLen = curLen + line.length + 1;
+    // Prefer a turn boundary, but never run more than 25% over the limit
+    if (cur.length && nextLen > maxChars && (isBoundary(line) || nextLen > maxChars * 1.25)) {
+      flush(i);
+      startLine = i;
+      startOffset = offset;
+    }
+    // Hard split for a single very long turn
+    while (line.length > maxChars) {
+      flush(i);
+      parts.push({ text: line.slice(0, maxChars), startLine: i + 1, endLine: i + 1, startChar: offset, endChar: offset + maxChars, ...describePart([line]) });
+      line = line.slice(maxChars);
+      offset += maxChars;
+      startLine = i;
+      startOffset = offset;
+    }
+    cur.push(line);
+    curLen += line.length + 1;
+    offset += line.length + 1;
+  });
+  flush(lines.length);
+
+  return parts.map((p, i) => ({ ...p, index: i, label: partLabel(p, i, parts.length) }));
+}
+
+function partLabel(p, i, total) {
+  const bits = [`Part ${i + 1}/${total}`];
+  if (p.start) bits.push(p.start === p.end ? p.start : `${p.start}–${p.end}`);
+  else bits.push(`lines ${p.startLine}–${p.endLine}`);
+  if (p.speakers.length) bits.push(p.speakers.join(", "));
+  return bits.join(" · ");
+}
+
+// Rank parts by how often they mention the question's terms (length-normalized)
+// and keep the best `max`, returned in transcript order.
+function selectParts(parts, question, max) {
+  if (parts.length <= max) return parts.slice();
+  const qTerms = Array.from(new Set(terms(question)));
+  const scored = parts.map(p => {
+    const counts = new Map();
+    for (const w of terms(p.text)) counts.set(w, (counts.get(w) || 0) + 1);
+    const hits = qTerms.reduce((a, w) => a + (counts.has(w) ? 1 + Math.log(counts.get(w)) : 0), 0);
+    return { p, score: hits / Math.sqrt(1 + p.text.length / 1000) };
+  });
+  scored.sort((a, b) => b.score - a.score || a.p.index - b.p.index);
+  return scored.slice(0, max).map(s => s.p).sort((a, b) => a.index - b.index);
+}
+
+module.exports = { splitTranscript, selectParts };
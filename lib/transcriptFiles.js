@@ -0,0 +1,39 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Transcript ids come from the client, so a local id is only read when it
+// names a transcript file inside the transcripts folder (uploads included):
+// no other paths, no "..", and no symlinks leading out of the folder.
+
+const TRANSCRIPT_EXTS = ['.txt', '.vtt', '.srt'];
+
+function transcriptsFolder() {
+  return process.env.TRANSCRIPTS_FOLDER || './transcripts';
+}
+
+function hasTranscriptExt(name) {
+  return TRANSCRIPT_EXTS.includes(path.extname(String(name || '')).toLowerCase());
+}
+
+function isInside(folder, file) {
+  const rel = path.relative(folder, file);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// The real path of the transcript `id` names, or null
+async function localTranscriptPath(id, folder = transcriptsFolder()) {
+  if (!id || String(id).includes('\0') || !hasTranscriptExt(id)) return null;
+  const root = path.resolve(folder);
+  const file = path.resolve(String(id));
+  if (!isInside(root, file)) return null;
+  try {
+    const [realRoot, realFile] = await Promise.all([fs.realpath(root), fs.realpath(file)]);
+    if (!isInside(realRoot, realFile)) return null;
+    return (await fs.stat(realFile)).isFile() ? realFile : null;
+  } catch (e) {
+    if (['ENOENT', 'ENOTDIR', 'EACCES'].includes(e.code)) return null;
+    throw e;
+  }
+}
+
+module.exports = { TRANSCRIPT_EXTS, transcriptsFolder, hasTranscriptExt, localTranscriptPath };
@@ -0,0 +1,315 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { dataDir } = require('./vectorStore');
+
+// Persistent full-text index for transcript search. Documents are kept with
+// their term frequencies in one JSON file and re-indexed only when their
+// version (file mtime / Drive modifiedTime) changes. Queries support
+// "exact phrases", AND, OR, NOT / -term and parentheses; bare terms are
+// OR-ed and results are ranked with BM25.
+
+const K1 = 1.2;
+const B = 0.75;
+const NAME_WEIGHT = 3; // filename terms count as if repeated
+const SNIPPET_CHARS = 260;
+
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function escapeHtml(s) {
+  return String(s || "").replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+// Query parsing: tokens are ( ) "phrase" AND OR NOT -x and bare words
+function lexQuery(q) {
+  const out = [];
+  const re = /\s*(?:(\()|(\))|"([^"]*)"?|(-)(?=\S)|([^\s()"]+))/g;
+  let m;
+  while ((m = re.exec(String(q || ""))) && m[0]) {
+    if (m[1]) out.push({ t: "(" });
+    else if (m[2]) out.push({ t: ")" });
+    else if (m[3] !== undefined) out.push({ t: "phrase", v: m[3] });
+    else if (m[4]) out.push({ t: "NOT" });
+    else if (/^(AND|OR|NOT)$/.test(m[5])) out.push({ t: m[5] });
+    else out.push({ t: "word", v: m[5].replace(/^,+|,+$/g, "") });
+  }
+  return out.filter(tok => tok.t !== "word" || tok.v);
+}
+
+function parseQuery(q) {
+  const toks = lexQuery(q);
+  let i = 0;
+  const peek = () => toks[i];
+
+  function primary() {
+    const tok = toks[i++];
+    if (!tok) return null;
+    if (tok.t === "(") {
+      const e = orExpr();
+      if (peek() && peek().t === ")") i++;
+      return e;
+    }
+    if (tok.t === "NOT") {
+      const e = primary();
+      return e ? { op: "not", e } : null;
+    }
+    if (tok.t === "word" || tok.t === "phrase") {
+      const terms = tokenize(tok.v);
+      if (!terms.length) return primary();
+      return terms.length === 1 ? { op: "term", term: terms[0] } : { op: "phrase", terms };
+    }
+    return primary(); // stray operator
+  }
+
+  function andExpr() {
+    let left = primary();
+    while (peek() && peek().t === "AND") {
+      i++;
+      const right = primary();
+      if (right) left = left ? { op: "and", a: left, b: right } : right;
+    }
+    return left;
+  }
+
+  function orExpr() {
+    let left = andExpr();
+    while (peek() && peek().t !== ")") {
+      if (peek().t === "OR") i++;
+      const right = andExpr();
+      if (!right) break;
+      // NOT binds to the whole query: "a b -c" means (a OR b) AND NOT c
+      if (right.op === "not") left = left ? { op: "and", a: left, b: right } : right;
+      else left = left ? { op: "or", a: left, b: right } : right;
+    }
+    return left;
+  }
+
+  return orExpr();
+}
+
+// Terms that contribute to ranking (everything not under a NOT)
+function positiveTerms(node, out = new Set()) {
+  if (!node) return out;
+  if (node.op === "term") out.add(node.term);
+  else if (node.op === "phrase") node.terms.forEach(t => out.add(t));
+  else if (node.op !== "not") { positiveTerms(node.a, out); positiveTerms(node.b, out); }
+  return out;
+}
+
+function containsPhrase(tokens, terms) {
+  outer:
+  for (let i = 0; i + terms.length <= tokens.length; i++) {
+    for (let j = 0; j < terms.length; j++) {
+      if (tokens[i + j] !== terms[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+function createTranscriptIndex(name) {
+  const file = path.join(dataDir(), name + '.json');
+  let docs = new Map();       // id -> { id, name, version, date, ..., text, len, tf }
+  let postings = new Map();   // term -> Map(id -> tf)
+  let loaded = false;
+  let syncing = null;
+
+  function addPostings(doc) {
+    for (const [term, n] of Object.entries(doc.tf)) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(doc.id, n);
+    }
+  }
+
+  function removeDoc(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const term of Object.keys(doc.tf)) {
+      const p = postings.get(term);
+      if (p) {
+        p.delete(id);
+        if (!p.size) postings.delete(term);
+      }
+    }
+    docs.delete(id);
+  }
+
+  function putDoc(meta, text) {
+    removeDoc(meta.id);
+    const tf = {};
+    const tokens = tokenize(text);
+    for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+    for (const t of tokenize(meta.name)) tf[t] = (tf[t] || 0) + NAME_WEIGHT;
+    const doc = { ...meta, text, len: tokens.length + tokenize(meta.name).length * NAME_WEIGHT, tf };
+    docs.set(doc.id, doc);
+    addPostings(doc);
+  }
+
+  async function load() {
+    if (loaded) return;
+    loaded = true;
+    try {
+      if (await fs.pathExists(file)) {
+        const data = await fs.readJson(file);
+        for (const doc of data.docs || []) {
+          docs.set(doc.id, doc);
+          addPostings(doc);
+        }
+      }
+    } catch (e) {
+      console.error(`Failed to load transcript index ${file}:`, e.message);
+    }
+  }
+
+  async function save() {
+    try {
+      await fs.outputJson(file, { docs: Array.from(docs.values()) });
+    } catch (e) {
+      console.error(`Failed to save transcript index ${file}:`, e.message);
+    }
+  }
+
+  // Bring the index in line with a listing of
+  // { id, name, version, date, mimeType, link, read: async () => text }.
+  // Only new or changed documents are read.
+  async function sync(listing) {
+    if (syncing) await syncing.catch(() => {});
+    syncing = (async () => {
+      await load();
+      let changed = 0;
+      const seen = new Set();
+      for (const item of listing) {
+        seen.add(item.id);
+        const doc = docs.get(item.id);
+        if (doc && doc.version === item.version) {
+          if (doc.name !== item.name || doc.date !== item.date) {
+            Object.assign(doc, { name: item.name, date: item.date, link: item.link });
+            changed++;
+          }
+          continue;
+        }
+        try {
+          const text = await item.read();
+          const { read, ...meta } = item;
+          putDoc(meta, text);
+          changed++;
+        } catch (e) {
+          console.error(`Failed to index transcript ${item.name}:`, e.message);
+        }
+      }
+      for (const id of Array.from(docs.keys())) {
+        if (!seen.has(id)) {
+          removeDoc(id);
+          changed++;
+        }
+      }
+      if (changed) await save();
+      return { changed, size: docs.size };
+    })();
+    try {
+      return await syncing;
+    } finally {
+      syncing = null;
+    }
+  }
+
+  function evaluate(node) {
+    if (node.op === "term") return new Set((postings.get(node.term) || new Map()).keys());
+    if (node.op === "phrase") {
+      let ids = null;
+      for (const t of node.terms) {
+        const s = new Set((postings.get(t) || new Map()).keys());
+        ids = ids ? new Set([...ids].filter(id => s.has(id))) : s;
+      }
+      return new Set([...(ids || [])].filter(id => {
+        const d = docs.get(id);
+        return containsPhrase(tokenize(d.text), node.terms) || containsPhrase(tokenize(d.name), node.terms);
+      }));
+    }
+    if (node.op === "not") {
+      const ex = evaluate(node.e);
+      return new Set([...docs.keys()].filter(id => !ex.has(id)));
+    }
+    const a = evaluate(node.a), b = evaluate(node.b);
+    if (node.op === "and") return new Set([...a].filter(id => b.has(id)));
+    return new Set([...a, ...b]);
+  }
+
+  function bm25(doc, terms, avgLen) {
+    let score = 0;
+    for (const t of terms) {
+      const p = postings.get(t);
+      const tf = p && p.get(doc.id);
+      if (!tf) continue;
+      const idf = Math.log(1 + (docs.size - p.size + 0.5) / (p.size + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.len / avgLen));
+    }
+    return score;
+  }
+
+  // Window of the text with the most distinct query terms, matches in <mark>
+  function snippet(text, terms) {
+    const t = String(text || "").replace(/\s+/g, " ").trim();
+    if (!terms.size) return escapeHtml(t.slice(0, SNIPPET_CHARS)) + (t.length > SNIPPET_CHARS ? "…" : "");
+
+    const re = /[\p{L}\p{N}]+/gu;
+    const hits = [];
+    let m;
+    while ((m = re.exec(t))) {
+      const norm = tokenize(m[0])[0];
+      if (terms.has(norm)) hits.push({ start: m.index, end: m.index + m[0].length, term: norm });
+    }
+    if (!hits.length) return escapeHtml(t.slice(0, SNIPPET_CHARS)) + (t.length > SNIPPET_CHARS ? "…" : "");
+
+    let best = 0, bestCount = 0;
+    for (let i = 0; i < hits.length; i++) {
+      const distinct = new Set();
+      for (let j = i; j < hits.length && hits[j].start < hits[i].start + SNIPPET_CHARS; j++) distinct.add(hits[j].term);
+      if (distinct.size > bestCount) { best = i; bestCount = distinct.size; }
+    }
+    const from = Math.max(0, hits[best].start - 60);
+    const to = Math.min(t.length, from + SNIPPET_CHARS);
+
+    let out = "", pos = from;
+    for (const h of hits) {
+      if (h.start < from || h.end > to) continue;
+      out += escapeHtml(t.slice(pos, h.start)) + "<mark>" + escapeHtml(t.slice(h.start, h.end)) + "</mark>";
+      pos = h.end;
+    }
+    out += escapeHtml(t.slice(pos, to));
+    return (from > 0 ? "…" : "") + out + (to < t.length ? "…" : "");
+  }
+
+  // Ranked search within an optional [fromMs, toMs) date range
+  function search(query, { fromMs = null, toMs = null, limit = 10 } = {}) {
+    const ast = parseQuery(query);
+    const inRange = d => {
+      const ms = Date.parse(d.date);
+      return !(fromMs && ms < fromMs) && !(toMs && ms >= toMs);
+    };
+
+    if (!ast) {
+      return Array.from(docs.values()).filter(inRange)
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+        .slice(0, limit)
+        .map(d => ({ doc: d, score: 0, snippet: snippet(d.text, new Set()) }));
+    }
+
+    const terms = positiveTerms(ast);
+    const avgLen = Array.from(docs.values()).reduce((a, d) => a + d.len, 0) / (docs.size || 1) || 1;
+    return Array.from(evaluate(ast)).map(id => docs.get(id)).filter(inRange)
+      .map(d => ({ doc: d, score: bm25(d, terms, avgLen) }))
+      .sort((a, b) => b.score - a.score || String(b.doc.date).localeCompare(String(a.doc.date)))
+      .slice(0, limit)
+      .map(r => ({ ...r, snippet: snippet(r.doc.text, terms) }));
+  }
+
+  return { load, sync, search, size: () => docs.size };
+}
+
+module.exports = { createTranscriptIndex, parseQuery, tokenize };
@@ -0,0 +1,143 @@
+// Normalizes .txt, .vtt, .srt and exported Google Docs transcripts into one
+// model: { format, segments: [{ start, end, speaker, text }], speakers }.
+// start/end are seconds (null when the source has no timing).
+
+const CUE_TIME = /((?:\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const TIMED_SPEAKER_LINE = /^\s*[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s+([^:\[\]]{1,40}?):\s*(.*)$/;
+const SPEAKER_LINE = /^\s*([\p{L}][\p{L}.'\- ]{0,40}?):\s+(.+)$/u;
+const ZOOM_HEADER = /^\s*\[([^\]]{1,60})\]\s+((?:\d{1,2}:)?\d{1,2}:\d{2})\s*$/;
+const TIME_ONLY = /^\s*[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*$/;
+
+function parseTime(s) {
+  if (!s) return null;
+  const parts = String(s).replace(",", ".").split(":").map(Number);
+  if (parts.some(n => !Number.isFinite(n))) return null;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+// 754 -> "12:34", 3723 -> "1:02:03"
+function formatTimestamp(sec) {
+  if (sec == null || !Number.isFinite(sec)) return "";
+  const t = Math.floor(sec);
+  const h = Math.floor(t / 3600), m = Math.floor((t % 3600) / 60), s = t % 60;
+  const pad = n => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+// "Name" must look like a name, not a sentence ending in a colon
+function plausibleSpeaker(name) {
+  const n = String(name || "").trim();
+  return !!n && n.split(/\s+/).length <= 5 && !/^(note|notes|action items?|participants|agenda|meeting notes|summary|re|fw|fwd)$/i.test(n);
+}
+
+function detectFormat(raw, name) {
+  const n = String(name || "").toLowerCase();
+  if (n.endsWith(".vtt") || /^WEBVTT/.test(raw)) return "vtt";
+  if (n.endsWith(".srt") || /^\s*\d+\s*\n[^\n]*-->/.test(raw)) return "srt";
+  return "txt";
+}
+
+// WebVTT and SRT: blank-line separated cues with a "start --> end" line
+function parseCues(raw) {
+  const segments = [];
+  for (const block of raw.split(/\n\s*\n/)) {
+    const lines = block.split("\n").map(l => l.trim()).filter(Boolean);
+    const ti = lines.findIndex(l => CUE_TIME.test(l));
+    if (ti < 0) continue;
+    const m = lines[ti].match(CUE_TIME);
+    let text = lines.slice(ti + 1).join(" ");
+    let speaker = null;
+
+    const voice = text.match(/<v(?:\.[^ >]+)?\s+([^>]+)>/);
+    if (voice) speaker = voice[1].trim();
+    text = text.replace(/<[^>]+>/g, "").trim();
+    if (!speaker) {
+      const sm = text.match(SPEAKER_LINE);
+      if (sm && plausibleSpeaker(sm[1])) {
+        speaker = sm[1].trim();
+        text = sm[2].trim();
+      }
+    }
+    if (text) segments.push({ start: parseTime(m[1]), end: parseTime(m[2]), speaker, text });
+  }
+  return segments;
+}
+
+// Plain text and Google Docs exports: "Name: text", "[12:34] Name: text",
+// Zoom's "[Name] 12:34:56" headers and Meet's bare timestamp lines.
+function parsePlain(raw) {
+  const segments = [];
+  let time = null, pendingSpeaker = null, prevBlank = true;
+
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) { prevBlank = true; continue; }
+
+    let m;
+    if ((m = line.match(ZOOM_HEADER))) {
+      pendingSpeaker = m[1].trim();
+      time = parseTime(m[2]);
+      prevBlank = true;
+      continue;
+    }
+    if ((m = line.match(TIME_ONLY))) {
+      time = parseTime(m[1]);
+      prevBlank = true;
+      continue;
+    }
+
+    let speaker = null, start = time, text = line.trim();
+    if ((m = line.match(TIMED_SPEAKER_LINE)) && plausibleSpeaker(m[2])) {
+      start = parseTime(m[1]);
+      speaker = m[2].trim();
+      text = m[3].trim();
+    } else if ((m = line.match(SPEAKER_LINE)) && plausibleSpeaker(m[1])) {
+      speaker = m[1].trim();
+      text = m[2].trim();
+    } else if (pendingSpeaker) {
+      speaker = pendingSpeaker;
+    } else if (!prevBlank && segments.length) {
+      // Continuation of the previous line
+      segments[segments.length - 1].text += " " + text;
+      continue;
+    }
+
+    pendingSpeaker = null;
+    prevBlank = false;
+    time = null;
+    segments.push({ start, end: null, speaker, text });
+  }
+  return segments;
+}
+
+function parseTranscript(raw, name) {
+  const text = String(raw || "").replace(/\r/g, "").replace(/^\uFEFF/, "");
+  const format = detectFormat(text, name);
+  const segments = format === "txt" ? parsePlain(text) : parseCues(text);
+  const speakers = Array.from(new Set(segments.map(s => s.speaker).filter(Boolean)));
+  return { format, segments, speakers };
+}
+
+// Join consecutive segments by the same speaker (VTT/SRT cues are a few words each)
+function mergeTurns(segments, maxChars = 1200) {
+  const turns = [];
+  for (const s of segments) {
+    const last = turns[turns.length - 1];
+    if (last && s.speaker && last.speaker === s.speaker && last.text.length + s.text.length < maxChars) {
+      last.text += " " + s.text;
+      if (s.end != null) last.end = s.end;
+    } else {
+      turns.push({ ...s });
+    }
+  }
+  return turns;
+}
+
+// Compact text for prompts and search: "[12:34] Maria: text" per turn
+function toPlainText(parsed) {
+  return mergeTurns(parsed.segments).map(t => {
+    const time = t.start != null ? `[${formatTimestamp(t.start)}] ` : "";
+    return time + (t.speaker ? t.speaker + ": " : "") + t.text;
+  }).join("\n");
+}
+
+module.exports = { parseTranscript, mergeTurns, toPlainText, formatTimestamp, parseTime };
@@ -0,0 +1,192 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const mammoth = require('mammoth');
+const { supabaseConfigured, supabaseHeaders, supabaseError } = require('./supabase');
+const { dataDir } = require('./vectorStore');
+
+// Storage for uploaded transcripts. Files are written to
+// TRANSCRIPTS_FOLDER/uploads (so transcript search picks them up), or to the
+// Supabase Storage bucket UPLOAD_BUCKET when it is set - use that on Vercel,
+// where the local filesystem does not persist. The returned id is what goes
+// into meetings.file_path and is read back with readUpload().
+
+const ALLOWED_UPLOAD_EXTS = ['.txt', '.vtt', '.srt', '.docx'];
+const ATTACHMENT_EXTS = ['.pdf', '.docx', '.doc', '.xlsx', '.xls', '.pptx', '.ppt', '.txt', '.md', '.csv', '.vtt', '.srt',
+  '.png', '.jpg', '.jpeg', '.gif'];
+const STORAGE_PREFIX = 'storage:';
+
+function uploadBucket() {
+  return process.env.UPLOAD_BUCKET || "";
+}
+
+function isStoredUpload(id) {
+  return String(id || "").startsWith(STORAGE_PREFIX);
+}
+
+// A stored id in the form saveUpload returns, so a client-supplied id can't
+// reach note attachments or other objects in the bucket
+function isTranscriptUpload(id) {
+  return isStoredUpload(id) && /^transcripts\/\d{4}-\d{2}-\d{2}\/[a-z0-9]+-[\w .()-]+$/.test(String(id).slice(STORAGE_PREFIX.length));
+}
+
+// Keep the name readable (dates in names are used for sorting) but safe
+function safeName(name) {
+  const base = path.basename(String(name || "transcript.txt"));
+  return base.replace(/[^\w .()-]+/g, "_").replace(/^\.+/, "").slice(0, 150) || "transcript.txt";
+}
+
+// Text of an uploaded file. Word documents become plain text (.txt).
+async function extractText(file) {
+  const name = safeName(file.originalname);
+  const ext = path.extname(name).toLowerCase();
+  if (!ALLOWED_UPLOAD_EXTS.includes(ext)) {
+    throw new Error(`Unsupported file type "${ext || name}" (allowed: ${ALLOWED_UPLOAD_EXTS.join(', ')})`);
+  }
+  if (ext === '.docx') {
+    const result = await mammoth.extractRawText({ buffer: file.buffer });
+    return { name: name.slice(0, -ext.length) + '.txt', text: result.value || "" };
+  }
+  return { name, text: file.buffer.toString('utf8') };
+}
+
+function storageObjectUrl(key) {
+  return process.env.SUPABASE_URL.replace(/\/$/, "") + "/storage/v1/object/" + encodeURIComponent(uploadBucket()) + "/" +
+    key.split('/').map(encodeURIComponent).join('/');
+}
+
+async function uniqueLocalPath(folder, name) {
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  let candidate = path.join(folder, name);
+  for (let n = 2; await fs.pathExists(candidate); n++) {
+    candidate = path.join(folder, `${stem} (${n})${ext}`);
+  }
+  return candidate;
+}
+
+// Returns the id of the stored file
+async function saveUpload(name, text) {
+  if (uploadBucket()) {
+    if (!supabaseConfigured()) throw new Error("UPLOAD_BUCKET is set but Supabase is not configured");
+    const key = `transcripts/${new Date().toISOString().slice(0, 10)}/${Date.now().toString(36)}-${name}`;
+    try {
+      await axios.post(storageObjectUrl(key), Buffer.from(text, 'utf8'), {
+        headers: supabaseHeaders({ "Content-Type": "text/plain; charset=utf-8", "x-upsert": "false" }),
+        maxBodyLength: Infinity
+      });
+    } catch (error) {
+      throw supabaseError("Supabase Storage upload", error);
+    }
+    return STORAGE_PREFIX + key;
+  }
+
+  const folder = path.join(process.env.TRANSCRIPTS_FOLDER || './transcripts', 'uploads');
+  await fs.ensureDir(folder);
+  const file = await uniqueLocalPath(folder, name);
+  await fs.writeFile(file, text, 'utf8');
+  return file;
+}
+
+async function readUpload(id) {
+  const key = String(id).slice(STORAGE_PREFIX.length);
+  try {
+    const res = await axios.get(storageObjectUrl(key), { headers: supabaseHeaders(), responseType: 'text' });
+    return typeof res.data === 'string' ? res.data : String(res.data || '');
+  } catch (error) {
+    throw supabaseError("Supabase Storage download", error);
+  }
+}
+
+// Undo saveUpload (when the meetings row for it could not be written)
+async function removeUpload(id) {
+  if (isStoredUpload(id)) {
+    try {
+      await axios.delete(storageObjectUrl(String(id).slice(STORAGE_PREFIX.length)), { headers: supabaseHeaders() });
+    } catch (error) {
+      if (error.response?.status !== 404) throw supabaseError("Supabase Storage delete", error);
+    }
+    return;
+  }
+  await fs.remove(id);
+}
+
+// Note attachments are kept apart from transcripts (so transcript search
+// doesn't pick them up): in DATA_DIR/note-attachments/<note id>, or under
+// notes/ in UPLOAD_BUCKET. The returned record goes into the note's
+// attachments; `path` is where the file is and is not shown to users.
+function attachmentDir() {
+  return path.join(dataDir(), 'note-attachments');
+}
+
+// Safe file name for an attachment; throws for types that aren't allowed
+function attachmentName(file) {
+  const name = safeName(file.originalname || "attachment");
+  const ext = path.extname(name).toLowerCase();
+  if (!ATTACHMENT_EXTS.includes(ext)) {
+    throw new Error(`Unsupported attachment type "${ext || name}" (allowed: ${ATTACHMENT_EXTS.join(', ')})`);
+  }
+  return name;
+}
+
+async function saveAttachment(noteId, file) {
+  const name = attachmentName(file);
+  const id = crypto.randomUUID();
+  const rec = { id, name, size: file.size ?? file.buffer.length, content_type: file.mimetype || "", uploaded_at: new Date().toISOString() };
+  const folder = String(noteId).replace(/[^\w-]+/g, "_");
+
+  if (uploadBucket()) {
+    if (!supabaseConfigured()) throw new Error("UPLOAD_BUCKET is set but Supabase is not configured");
+    const key = `notes/${folder}/${id}-${name}`;
+    try {
+      await axios.post(storageObjectUrl(key), file.buffer, {
+        headers: supabaseHeaders({ "Content-Type": file.mimetype || "application/octet-stream", "x-upsert": "false" }),
+        maxBodyLength: Infinity
+      });
+    } catch (error) {
+      throw supabaseError("Supabase Storage upload", error);
+    }
+    return { ...rec, path: STORAGE_PREFIX + key };
+  }
+
+  const dest = path.join(attachmentDir(), folder, `${id}-${name}`);
+  await fs.outputFile(dest, file.buffer);
+  return { ...rec, path: dest };
+}
+
+// Local paths are only read inside the attachments folder
+function localAttachmentPath(att) {
+  const file = path.resolve(String(att.path || ""));
+  if (!file.startsWith(path.resolve(attachmentDir()) + path.sep)) throw new Error("Attachment not found");
+  return file;
+}
+
+async function readAttachment(att) {
+  if (isStoredUpload(att.path)) {
+    try {
+      const res = await axios.get(storageObjectUrl(String(att.path).slice(STORAGE_PREFIX.length)), { headers: supabaseHeaders(), responseType: 'arraybuffer' });
+      return Buffer.from(res.data);
+    } catch (error) {
+      throw supabaseError("Supabase Storage download", error);
+    }
+  }
+  return await fs.readFile(localAttachmentPath(att));
+}
+
+async function removeAttachment(att) {
+  if (isStoredUpload(att.path)) {
+    try {
+      await axios.delete(storageObjectUrl(String(att.path).slice(STORAGE_PREFIX.length)), { headers: supabaseHeaders() });
+    } catch (error) {
+      if (error.response?.status !== 404) throw supabaseError("Supabase Storage delete", error);
+    }
+    return;
+  }
+  await fs.remove(localAttachmentPath(att));
+}
+
+module.exports = {
+  ALLOWED_UPLOAD_EXTS, ATTACHMENT_EXTS, extractText, saveUpload, readUpload, removeUpload, isStoredUpload, isTranscriptUpload,
+  attachmentName, saveAttachment, readAttachment, removeAttachment
+};
@@ -0,0 +1,83 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Small local vector store: entries live in memory and are persisted as one
+// JSON file. Search is brute-force cosine similarity, which is plenty for a
+// few thousand meeting chunks.
+
+function dataDir() {
+  return process.env.DATA_DIR || './data';
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function createVectorStore(name) {
+  const file = path.join(dataDir(), name + '.json');
+  let entries = new Map();
+  let model = null;
+  let loaded = false;
+
+  async function load() {
+    if (loaded) return;
+    loaded = true;
+    try {
+      if (await fs.pathExists(file)) {
+        const data = await fs.readJson(file);
+        model = data.model || null;
+        entries = new Map((data.entries || []).map(e => [e.id, e]));
+      }
+    } catch (e) {
+      console.error(`Failed to load vector store ${file}:`, e.message);
+    }
+  }
+
+  async function save() {
+    try {
+      await fs.outputJson(file, { model, entries: Array.from(entries.values()) });
+    } catch (e) {
+      // Read-only filesystems (e.g. serverless) keep the index in memory only
+      console.error(`Failed to save vector store ${file}:`, e.message);
+    }
+  }
+
+  // Drop everything if the vectors came from a different embedding model
+  function useModel(modelId) {
+    if (model !== modelId) {
+      entries = new Map();
+      model = modelId;
+    }
+  }
+
+  return {
+    load,
+    save,
+    useModel,
+    get: id => entries.get(id),
+    upsert: entry => { entries.set(entry.id, entry); },
+    remove: id => entries.delete(id),
+    values: () => Array.from(entries.values()),
+    size: () => entries.size,
+
+    // Top-k entries by cosine similarity, optionally restricted by a predicate
+    query(vector, k, filter) {
+      const scored = [];
+      for (const e of entries.values()) {
+        if (filter && !filter(e)) continue;
+        scored.push({ entry: e, score: cosine(vector, e.vector) });
+      }
+      scored.sort((a, b) => b.score - a.score);
+      return scored.slice(0, k);
+    }
+  };
+}
+
+module.exports = { createVectorStore, cosine, dataDir };
@@ -4,54 +4,135 @@ const cors = require('cors');
 const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const { google } = require('googleapis');
+const llm = require('./lib/llm');
+const meetingIndex = require('./lib/meetingIndex');
+const { splitTranscript, selectParts } = require('./lib/transcriptChunks');
+const { parseTranscript, mergeTurns, toPlainText, formatTimestamp } = require('./lib/transcriptParser');
+const { createTranscriptIndex } = require('./lib/transcriptIndex');
+const { createTable } = require('./lib/tableStore');
+const { escapeHtml } = require('./lib/htmlText');
+const { EXPORT_FORMATS, renderExport } = require('./lib/exportDoc');
+const { sanitizeHtml, sanitizeStream } = require('./lib/sanitize');
+const { scheduleCron } = require('./lib/cron');
+const auth = require('./lib/auth');
+const profiles = require('./lib/profiles');
+const uploads = require('./lib/uploads');
+const tasks = require('./lib/tasks');
+const partners = require('./lib/partners');
+const notes = require('./lib/notes');
+const analytics = require('./lib/analytics');
+const { contains, buildQuery, describeQuery, selectRows } = require('./lib/postgrest');
+const { supabaseError } = require('./lib/supabase');
+const grounding = require('./lib/grounding');
+const promptGuard = require('./lib/promptGuard');
+const prompts = require('./lib/prompts');
+const apiSchema = require('./lib/apiSchema');
+const cache = require('./lib/cache');
+const { createDriveMirror } = require('./lib/driveMirror');
+const { transcriptsFolder, hasTranscriptExt, localTranscriptPath } = require('./lib/transcriptFiles');
+const multer = require('multer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Vercel's (or another) proxy, take the client IP from X-Forwarded-For
+if (process.env.VERCEL || process.env.TRUST_PROXY) app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Password protection middleware
-app.use((req, res, next) => {
-  const auth = req.headers.authorization;
-  const password = process.env.APP_PASSWORD;
-  
-  if (!password) {
-    return next(); // No password set, skip protection
-  }
-  
-  if (!auth || !auth.startsWith('Basic ')) {
-    res.set('WWW-Authenticate', 'Basic realm=Teach For All Insights');
-    return res.status(401).send('Authentication required');
-  }
-  
-  const base64Credentials = auth.split(' ')[1];
-  const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-  const [username, userPassword] = credentials.split(':');
-  
-  if (userPassword !== password) {
-    return res.status(401).send('Invalid credentials');
+// Sign-in. Every page and API call needs a session cookie from
+// POST /api/auth/login. With no user accounts at all (and no ADMIN_PASSWORD to
+// create one) the app stays open, as it did without APP_PASSWORD.
+const LOCAL_USER = { id: 'local', username: 'local', name: 'Local user', role: 'admin' };
+// The cron route checks its own secret
+const PUBLIC_PATHS = new Set(['/login.html', '/api/auth/login', '/api/cron/weekly-report', '/api/v1/openapi.json']);
+let authRequired = true;
+const authReady = auth.ensureAdmin()
+  .then(({ anyUsers, created }) => {
+    if (created) console.log(`👤 Created admin user "${created}"`);
+    authRequired = anyUsers;
+  })
+  .catch(err => console.error('Could not load user accounts, sign-in stays required:', err.message));
+
+app.use(async (req, res, next) => {
+  try {
+    await authReady;
+    if (!authRequired) {
+      req.user = LOCAL_USER;
+      return next();
+    }
+    if (PUBLIC_PATHS.has(req.path)) return next();
+
+    req.user = await auth.userFromRequest(req);
+    if (req.user) return next();
+    if (req.path.startsWith('/api')) return res.status(401).json({ ok: false, error: "Not signed in", code: "unauthorized" });
+    return res.redirect('/login.html');
+  } catch (err) {
+    next(err);
   }
-  
-  next();
 });
 
+function requireRole(role) {
+  return (req, res, next) => auth.hasRole(req.user, role)
+    ? next()
+    : res.status(403).json({ ok: false, error: `Requires the ${role} role`, code: "forbidden" });
+}
+
+function isSecure(req) {
+  return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
 app.use(express.static('public', { index: false }));
 
 // Constants (from your original code)
-const MODEL_SYNTH = "gemini-2.0-flash";
 const PREVIEW_LEN = 700;
 const ANSWER_LEN = 1800;
-const TEMPERATURE = 0.2;
-const MAX_CONTENT_CHECKS = 200;
-const MAX_TRANSCRIPT_CHARS = 120000;
+const MAX_TRANSCRIPT_CHARS = 120000; // Longer transcripts are answered part by part (map-reduce)
+const TRANSCRIPT_PART_CHARS = 30000;
+const MAX_MAP_PARTS = 8;
+const MAP_CONCURRENCY = 4;
+const MAX_CROSS_TRANSCRIPTS = 30;
+const CROSS_PARTS_PER_TRANSCRIPT = 2;
 const MAX_CONVERSATION_HISTORY = 20; // Keep last 20 messages
+const MAX_UPLOAD_FILES = 20;
+const MAX_REPORT_PARTNERS = 15;
+const REPORT_ROWS_PER_PARTNER = 60;
+const REPORT_TRANSCRIPTS_PER_PARTNER = 3;
+const MAX_TASK_PARTS = 12;
+const MAX_ASK_TASKS = 40;
+const PARTNER_PAGE_ROWS = 200;
+const PARTNER_PAGE_TRANSCRIPTS = 10;
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+// Retrieval for the ask flow (set ASK_RETRIEVAL=off to paste rows into the prompt as before)
+const ASK_RETRIEVAL = (process.env.ASK_RETRIEVAL || "on").toLowerCase() !== "off";
+const RETRIEVAL_CANDIDATES = Number(process.env.RETRIEVAL_CANDIDATES || 1000);
+
+// Caches (see lib/cache.js). Meetings rows are dropped whenever the app
+// writes to meetings, and otherwise expire after SUPABASE_CACHE_SECONDS (for
+// rows added elsewhere). Model replies are keyed by the full prompt, so
+// they never go stale, only expire. Drive transcripts are read from the
+// mirror (lib/driveMirror.js), not cached here.
+const meetingsCache = cache.createCache('supabase', {
+  max: 200,
+  ttlMs: Number(process.env.SUPABASE_CACHE_SECONDS || 120) * 1000
+});
+const modelCache = cache.createCache('model', {
+  max: 500,
+  ttlMs: Number(process.env.MODEL_CACHE_HOURS || 24) * 60 * 60 * 1000,
+  persist: true
+});
 
 // Google Drive integration
 const GDRIVE_FOLDER_ID = process.env.GDRIVE_FOLDER_ID || '';
+// Transcript searches sync the mirror when it is older than this
+const GDRIVE_SYNC_SECONDS = Number(process.env.GDRIVE_SYNC_SECONDS || 60);
 
+// One auth client for the process; it refreshes its own access token
 let _driveAuthClient = null;
 
 function getGoogleCredentials() {
@@ -87,83 +168,223 @@ function getGoogleCredentials() {
 }
 
 async function getDriveClient() {
-  const creds = getGoogleCredentials();
-  if (!creds) return null;
+  if (!_driveAuthClient) {
+    const creds = getGoogleCredentials();
+    if (!creds) return null;
+    const auth = new google.auth.GoogleAuth({
+      credentials: creds,
+      scopes: ['https://www.googleapis.com/auth/drive.readonly']
+    });
+    // Shared by concurrent callers; retried on the next call if it fails
+    _driveAuthClient = auth.getClient().catch(e => {
+      _driveAuthClient = null;
+      throw e;
+    });
+  }
+  return google.drive({ version: 'v3', auth: await _driveAuthClient });
+}
 
-  const auth = new google.auth.GoogleAuth({
-    credentials: creds,
-    scopes: ['https://www.googleapis.com/auth/drive.readonly']
-  });
-  const client = await auth.getClient();
-  return google.drive({ version: 'v3', auth: client });
-}
-
-async function gdriveListFiles(folderId, pageToken) {
-  const drive = await getDriveClient();
-  if (!drive) throw new Error('Google Drive not configured');
-  const res = await drive.files.list({
-    q: `'${folderId}' in parents and trashed = false`,
-    fields: 'nextPageToken, files(id, name, mimeType, modifiedTime, size)',
-    pageSize: 200,
-    orderBy: 'modifiedTime desc',
-    pageToken: pageToken || undefined
-  });
-  return res.data;
-}
-
-async function gdriveListAllFiles(folderId, depth = 0) {
-  if (depth > 3) return [];
-  let allFiles = [];
-  let pageToken = null;
-  do {
-    const data = await gdriveListFiles(folderId, pageToken);
-    const files = data.files || [];
-    for (const f of files) {
-      if (f.mimeType === 'application/vnd.google-apps.folder') {
-        const subFiles = await gdriveListAllFiles(f.id, depth + 1);
-        allFiles = allFiles.concat(subFiles);
-      } else {
-        allFiles.push(f);
-      }
-    }
-    pageToken = data.nextPageToken;
-  } while (pageToken);
-  return allFiles;
+// Local copy of the Drive folder that transcript search and asks read from
+// (see lib/driveMirror.js)
+const driveMirror = createDriveMirror({
+  getDrive: getDriveClient,
+  folderId: GDRIVE_FOLDER_ID,
+  ...(process.env.GDRIVE_MIRROR_DIR ? { dir: process.env.GDRIVE_MIRROR_DIR } : {})
+});
+
+function useGoogleDrive() {
+  return !!(GDRIVE_FOLDER_ID && getGoogleCredentials());
 }
 
-async function gdriveReadFile(fileId) {
-  const drive = await getDriveClient();
-  if (!drive) throw new Error('Google Drive not configured');
-  
-  const meta = await drive.files.get({ fileId, fields: 'mimeType' });
-  const mimeType = meta.data.mimeType;
-  
-  if (mimeType === 'application/vnd.google-apps.document') {
-    const res = await drive.files.export({ fileId, mimeType: 'text/plain' }, { responseType: 'text' });
-    return typeof res.data === 'string' ? res.data : String(res.data || '');
+// Conversation threads (Ask and Transcript chats, keyed by session ID).
+// Persisted in the "conversations" table so they survive restarts and can be
+// listed, reopened, renamed, deleted and exported.
+const threads = createTable('conversations');
+const THREAD_LIST_FIELDS = ['id', 'kind', 'title', 'filters', 'transcript_id', 'transcript_name', 'message_count', 'created_by', 'created_at', 'updated_at'];
+
+// Users see their own threads; admins see every thread
+function mayOpenThread(row, user) {
+  return !row.created_by || row.created_by === user.id || auth.hasRole(user, 'admin');
+}
+
+// A thread the user may see, or null
+async function ownedThread(id, user) {
+  const row = await threads.get(id);
+  return row && mayOpenThread(row, user) ? row : null;
+}
+
+async function getConversation(sessionId, kind, user) {
+  const row = await threads.get(sessionId);
+  if (row && !mayOpenThread(row, user)) throw apiSchema.apiError(403, "forbidden", "This conversation belongs to another user");
+  return {
+    id: sessionId,
+    createdBy: row?.created_by || user.id,
+    kind: row?.kind || kind,
+    title: row?.title || "",
+    filters: row?.filters || null,
+    transcriptId: row?.transcript_id || null,
+    transcriptName: row?.transcript_name || "",
+    context: row?.context || null,
+    itemsContext: row?.items_context || null,
+    history: row?.history || [],
+    messages: row?.messages || [],
+    createdAt: row?.created_at || null
+  };
+}
+
+// Returns false (and logs) instead of failing the answer if the store is unavailable
+async function saveConversation(c) {
+  const now = new Date().toISOString();
+  try {
+    await threads.upsert({
+      id: c.id,
+      kind: c.kind,
+      title: c.title,
+      filters: c.filters,
+      transcript_id: c.transcriptId,
+      transcript_name: c.transcriptName,
+      context: c.context,
+      items_context: c.itemsContext,
+      history: c.history,
+      messages: c.messages,
+      message_count: c.messages.length,
+      created_by: c.createdBy,
+      created_at: c.createdAt || now,
+      updated_at: now
+    });
+    return true;
+  } catch (e) {
+    console.error('Failed to save conversation:', e.message);
+    return false;
   }
-  
-  const res = await drive.files.get({ fileId, alt: 'media' }, { responseType: 'text' });
-  return typeof res.data === 'string' ? res.data : String(res.data || '');
 }
 
-function useGoogleDrive() {
-  return !!(GDRIVE_FOLDER_ID && getGoogleCredentials());
+async function clearConversation(sessionId, user) {
+  if (await ownedThread(sessionId, user)) await threads.remove(sessionId);
+}
+
+async function listThreads(p, user) {
+  const where = { created_by: user.id };
+  if (p.kind) where.kind = String(p.kind);
+  const rows = await threads.list({
+    where,
+    fields: THREAD_LIST_FIELDS,
+    order: { column: 'updated_at', desc: true },
+    limit: Math.min(Number(p.limit || 50), 200)
+  });
+  return { ok: true, threads: rows };
+}
+
+async function getThread(p, user) {
+  const id = String(p.id || "").trim();
+  if (!id) return { ok: false, error: "Missing thread id" };
+  const row = await ownedThread(id, user);
+  if (!row) return { ok: false, error: "Thread not found" };
+  const { history, items_context, context, ...thread } = row;
+  // Answers saved before they were sanitized are cleaned on the way out
+  thread.messages = (thread.messages || []).map(m => m.role === "assistant" ? { ...m, text: sanitizeHtml(m.text) } : m);
+  return { ok: true, thread };
+}
+
+async function renameThread(p, user) {
+  const id = String(p.id || "").trim();
+  const title = String(p.title || "").trim().slice(0, 200);
+  if (!id) return { ok: false, error: "Missing thread id" };
+  if (!title) return { ok: false, error: "Missing title" };
+  if (!(await ownedThread(id, user))) return { ok: false, error: "Thread not found" };
+  const row = await threads.update(id, { title, updated_at: new Date().toISOString() });
+  if (!row) return { ok: false, error: "Thread not found" };
+  return { ok: true, id, title };
 }
 
-// In-memory conversation storage (keyed by session ID)
-const conversations = new Map();
+async function deleteThread(p, user) {
+  const id = String(p.id || "").trim();
+  if (!id) return { ok: false, error: "Missing thread id" };
+  if (!(await ownedThread(id, user))) return { ok: false, error: "Thread not found" };
+  const deleted = await threads.remove(id);
+  return deleted ? { ok: true, id } : { ok: false, error: "Thread not found" };
+}
+
+function exportName(title, fallback) {
+  return String(title || "").replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-").slice(0, 60) || fallback;
+}
+
+function filterSummary(f) {
+  const bits = [f.from && `from ${f.from}`, f.to && `to ${f.to}`, f.type && f.type !== "all" && `type ${f.type}`,
+    f.countries && `countries ${f.countries}`, f.topic && `topic ${f.topic}`].filter(Boolean);
+  return bits.length ? `Filters: ${bits.join(", ")}` : "";
+}
+
+// Download of a thread as Markdown (default), DOCX, PDF or JSON. With
+// answer=n, only the nth answer (1-based) and its question are exported.
+async function exportThread(p, user) {
+  const found = await getThread(p, user);
+  if (!found.ok) return found;
+  const t = found.thread;
+  const format = String(p.format || "md").toLowerCase();
+
+  if (format === "json") {
+    return { ok: true, filename: exportName(t.title || t.id, "conversation") + ".json", contentType: "application/json", body: JSON.stringify(t, null, 2) };
+  }
+
+  // Sources are only stored with an answer when they change, so each
+  // answer cites the latest sources at or before it
+  const turns = [];
+  let question = "";
+  let sources = [];
+  for (const m of t.messages || []) {
+    if (m.role === "user") { question = m.text; continue; }
+    if (m.sources) sources = m.sources;
+    turns.push({ heading: `Q: ${question}`, html: m.text, sources: t.kind === "transcript" ? [] : sources });
+  }
+  let sections = turns;
+  if (p.answer) {
+    const n = Number(p.answer);
+    if (!Number.isInteger(n) || n < 1 || n > turns.length) return { ok: false, error: `answer must be between 1 and ${turns.length}` };
+    sections = [turns[n - 1]];
+  }
 
-function getConversation(sessionId) {
-  if (!conversations.has(sessionId)) {
-    conversations.set(sessionId, { history: [], context: null });
+  const meta = [];
+  if (t.kind === "transcript") meta.push(`Transcript: ${t.transcript_name || t.transcript_id || ""}`);
+  if (t.filters && filterSummary(t.filters)) meta.push(filterSummary(t.filters));
+  meta.push(`Created: ${t.created_at || ""}`, `Updated: ${t.updated_at || ""}`);
+
+  const doc = { title: t.title || "Conversation", meta, sections };
+  const base = exportName(t.title || t.id, "conversation") + (p.answer ? `-answer-${Number(p.answer)}` : "");
+  try {
+    return { ok: true, ...(await renderExport(doc, format, base)) };
+  } catch (e) {
+    return { ok: false, error: e.message };
   }
-  return conversations.get(sessionId);
 }
 
-function clearConversation(sessionId) {
-  conversations.delete(sessionId);
-  return { cleared: true };
+// Download of the reports matching the getreports filters
+async function exportReports(p) {
+  const params = {
+    from: p.from || "",
+    to: p.to || "",
+    type: "Report",
+    countries: p.countries || "",
+    topic: p.topic || "",
+    sort: p.sort || "newest",
+    limit: Math.min(Number(p.limit || 50), 200)
+  };
+  const fetched = await fetchFromSupabase(params);
+  const doc = {
+    title: "Partner reports",
+    meta: [filterSummary({ ...params, type: "" }), `Reports: ${fetched.rows.length}`, `Exported: ${new Date().toISOString().slice(0, 10)}`].filter(Boolean),
+    sections: fetched.rows.map(r => ({
+      heading: [r.date_iso, r.title].filter(Boolean).join(" — "),
+      html: r.summary_text || "(No content)",
+      sources: []
+    }))
+  };
+  const base = exportName(["reports", params.from, params.to].filter(Boolean).join(" "), "reports");
+  try {
+    return { ok: true, ...(await renderExport(doc, String(p.format || "md").toLowerCase(), base)) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
 }
 
 // Supabase config
@@ -203,46 +424,22 @@ function parseDateInput(s, isEndExclusive) {
   return null;
 }
 
-// Gemini API call with conversation history support
-async function gemini(model, userText, conversationHistory = []) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) throw new Error("Missing GEMINI_API_KEY in environment variables.");
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-  
-  // Build contents array with conversation history
-  const contents = [];
-  
-  // Add conversation history
-  for (const msg of conversationHistory) {
-    contents.push({ role: msg.role, parts: [{ text: msg.text }] });
-  }
-  
-  // Add current user message
-  contents.push({ role: "user", parts: [{ text: userText }] });
-  
-  const payload = {
-    contents,
-    generationConfig: { temperature: TEMPERATURE }
-  };
-
-  try {
-    const response = await axios.post(url, payload, {
-      headers: { 'Content-Type': 'application/json' }
-    });
-
-    const text = (((response.data.candidates || [])[0] || {}).content || {}).parts?.[0]?.text || "";
-    if (!text.trim()) {
-      const meta = response.data.promptFeedback || response.data.safetyRatings || response.data;
-      throw new Error("Gemini API error: " + JSON.stringify(meta));
-    }
-    return text.trim();
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`Gemini HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`);
-    }
-    throw error;
+// Sort orders for meetings rows (id keeps pages stable)
+const MEETING_SORTS = {
+  newest: [{ column: "date", desc: true }, { column: "id", desc: true }],
+  oldest: [{ column: "date" }, { column: "id" }],
+  type: [{ column: "type" }, { column: "date", desc: true }, { column: "id", desc: true }],
+  title: [{ column: "headline" }, { column: "date", desc: true }, { column: "id", desc: true }]
+};
+
+// Topic search: Postgres full-text search on headline and summary (stemmed,
+// so "recruiting" finds "recruitment"), or TOPIC_SEARCH=ilike for substrings
+function topicCondition(topic) {
+  if ((process.env.TOPIC_SEARCH || "fts").toLowerCase() === "ilike") {
+    return { or: [contains("headline", topic), contains("summary", topic)] };
   }
+  const config = process.env.FTS_CONFIG || "english";
+  return { or: ["headline", "summary"].map(column => ({ column, op: "wfts", config, value: topic })) };
 }
 
 // Supabase fetch
@@ -251,136 +448,143 @@ async function fetchFromSupabase(params) {
     throw new Error("Supabase credentials not configured");
   }
 
-  let base = SUPABASE_URL.replace(/\/$/, "") + "/rest/v1/meetings?select=*";
-  const parts = [];
-
-  if (params.from) parts.push("date=gte." + encodeURIComponent(params.from));
-  if (params.to) parts.push("date=lte." + encodeURIComponent(params.to));
-
-  if (params.type && params.type !== "all") {
-    parts.push("type=eq." + encodeURIComponent(params.type));
+  const sort = params.sort || "newest";
+  if (!MEETING_SORTS[sort]) throw apiSchema.apiError(400, "invalid_params", `sort must be one of: ${Object.keys(MEETING_SORTS).join(", ")}`);
+  const limit = Number(params.limit || 100);
+  const offset = Number(params.offset || 0);
+
+  const where = [];
+  if (params.from) where.push({ column: "date", op: "gte", value: params.from });
+  if (params.to) where.push({ column: "date", op: "lte", value: params.to });
+  if (params.type && params.type !== "all") where.push({ column: "type", op: "eq", value: params.type });
+
+  // Partner names expand to all their aliases ("SK" also finds "Slovakia").
+  // A partner matches rows linked to it, or naming it as whole words (ilike
+  // would also find "ES" in "Philippines"); other terms match as substrings.
+  // All of it goes into the query, so limit, offset and total stay right.
+  const expanded = await partners.expandCountries(params.countries);
+  if (expanded.terms.length) {
+    const partnerTerms = expanded.partners.flatMap(p => partners.partnerTerms(p));
+    where.push({ or: [
+      ...(expanded.partners.length ? [{ column: "partner_ids", op: "ov", value: expanded.partners.map(p => p.id) }] : []),
+      ...[...new Set(partnerTerms.flatMap(partners.wordPatterns))].map(re => ({ column: "countries", op: "imatch", value: re })),
+      ...expanded.others.map(c => contains("countries", c))
+    ] });
   }
 
-  if (params.countries) {
-    const list = params.countries.split(",").map(s => s.trim()).filter(Boolean);
-    if (list.length) {
-      const ors = list.map(c => "countries.ilike.*" + encodeURIComponent(c) + "*").join(",");
-      parts.push("or=(" + ors + ")");
-    }
-  }
+  if (params.topic && String(params.topic).trim()) where.push(topicCondition(String(params.topic).trim()));
 
-  if (params.topic) {
-    const t = encodeURIComponent(params.topic);
-    parts.push("or=(headline.ilike.*" + t + "*,summary.ilike.*" + t + "*)");
+  const query = { select: "*", where, order: MEETING_SORTS[sort], limit, offset };
+  const restUrl = SUPABASE_URL.replace(/\/$/, "") + "/rest/v1/meetings?" + buildQuery(query);
+  const cacheKey = JSON.stringify([query, !!params.count]);
+  let fetched = meetingsCache.get(cacheKey);
+  const cached = !!fetched;
+  if (!fetched) {
+    fetched = await selectRows("meetings", query, { count: !!params.count, label: "Supabase" });
+    meetingsCache.set(cacheKey, fetched);
   }
+  const rows = fetched.rows.map(r => ({
+    id: r.id,
+    title: r.headline || r.title || "(untitled)",
+    date_iso: r.date || (r.created_at ? String(r.created_at).slice(0, 10) : ""),
+    summary_text: r.summary || "",
+    countries: r.countries || "",
+    partner_ids: r.partner_ids || [],
+    type: r.type || "",
+    message_id: r.message_id || r.messageId || r.outlook_message_id || r.outlookMessageId || "",
+    file_path: r.file_path || r.filePath || r.transcript_path || r.transcriptPath || r.transcript_file || r.transcriptFile || "",
+    source_url: r.source_url || r.sourceUrl || r.url || r.link || ""
+  }));
+
+  const filters = [
+    params.from && `from ${params.from}`,
+    params.to && `to ${params.to}`,
+    (params.type && params.type !== "all") && `type=${params.type}`,
+    params.countries && `countries=${params.countries}`,
+    params.topic && `topic=${params.topic}`,
+    sort !== "newest" && `sort=${sort}`,
+    offset && `offset=${offset}`,
+    `limit=${limit}`
+  ].filter(Boolean).join(" · ");
+
+  return { rows, restUrl, sqlApprox: describeQuery("meetings", query), filters, total: fetched.total, cached };
+}
 
-  parts.push("order=date.desc");
-  parts.push("limit=" + (params.limit || 100));
+// Length guidance for an answer style ("short" or "normal")
+function brevityRule(style) {
+  return (style === "short") ? "Keep the answer concise (≤ 150 words)." :
+    "Be reasonably thorough (≤ " + ANSWER_LEN + " characters).";
+}
 
-  const restUrl = base + (parts.length ? ("&" + parts.join("&")) : "");
+// Every prompt goes out with the instruction hierarchy as its system
+// instruction. Replies are cached by model, prompt and history, so asking the
+// same question about the same rows doesn't call the model again.
+function modelCacheKey(prompt, history) {
+  const name = llm.providerName();
+  const cfg = llm.getProviderConfig(name);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([name, cfg.model, cfg.temperature, promptGuard.SYSTEM_RULES, history, prompt]))
+    .digest('hex');
+}
 
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: "Bearer " + SUPABASE_KEY,
-    Accept: "application/json"
-  };
+function guardedGenerate(prompt, history = []) {
+  return modelCache.getOrLoad(modelCacheKey(prompt, history),
+    () => llm.generate(prompt, history, { system: promptGuard.SYSTEM_RULES }), reply => !!reply);
+}
 
-  try {
-    const response = await axios.get(restUrl, { headers });
-    const arr = response.data || [];
-
-    const rows = arr.map(r => ({
-      id: r.id,
-      title: r.headline || r.title || "(untitled)",
-      date_iso: r.date || (r.created_at ? String(r.created_at).slice(0, 10) : ""),
-      summary_text: r.summary || "",
-      countries: r.countries || "",
-      type: r.type || "",
-      message_id: r.message_id || r.messageId || r.outlook_message_id || r.outlookMessageId || "",
-      file_path: r.file_path || r.filePath || r.transcript_path || r.transcriptPath || r.transcript_file || r.transcriptFile || "",
-      source_url: r.source_url || r.sourceUrl || r.url || r.link || ""
-    }));
-
-    const filters = [
-      params.from && `from ${params.from}`,
-      params.to && `to ${params.to}`,
-      (params.type && params.type !== "all") && `type=${params.type}`,
-      params.countries && `countries=${params.countries}`,
-      params.topic && `topic=${params.topic}`,
-      `limit=${params.limit || 100}`
-    ].filter(Boolean).join(" · ");
-
-    const sqlApprox =
-`select * from public.meetings
-where ${params.from ? "date >= '" + params.from + "'" : "true"}
-${params.to ? " and date <= '" + params.to + "'" : ""}
-${(params.type && params.type !== "all") ? " and type = '" + params.type + "'" : ""}
-${params.countries ? " and (" + params.countries.split(",").map(s => "countries ilike '%" + s.trim() + "%'").join(" or ") + ")" : ""}
-${params.topic ? " and (headline ilike '%" + params.topic + "%' or summary ilike '%" + params.topic + "%')" : ""}
-order by date desc
-limit ${params.limit || 100};`;
-
-    return { rows, restUrl, sqlApprox, filters };
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`Supabase HTTP ${error.response.status}: ${error.response.data?.substring(0, 300)}`);
-    }
-    throw error;
+// Streaming version: a cached reply is sent as a single token
+async function guardedStream(prompt, history, onToken, signal) {
+  const key = modelCacheKey(prompt, history);
+  const hit = modelCache.get(key);
+  if (hit !== undefined) {
+    onToken(hit);
+    return hit;
   }
+  const reply = await llm.stream(prompt, history, onToken, { signal, system: promptGuard.SYSTEM_RULES });
+  if (reply) modelCache.set(key, reply);
+  return reply;
+}
+
+// Renders a template from prompts/ (see lib/prompts.js); answer prompts all
+// use the claims marker
+function promptFor(name, vars) {
+  return prompts.renderPrompt(name, { claims_marker: grounding.CLAIMS_MARKER, ...vars });
 }
 
 // Build prompt
-function buildPromptSimple(question, items, style) {
-  const brevity = (style === "short") ? "Keep the answer concise (≤ 150 words)." :
-    "Be reasonably thorough (≤ " + ANSWER_LEN + " characters).";
-  
-  const itemsBlock = items.map((it, i) =>
-    `[${i + 1}] ${it.title} — ${it.date_iso}${it.countries ? " — " + it.countries : ""}\n` +
-    clip(String(it.summary_text).replace(/\s+/g, " "), PREVIEW_LEN)
-  ).join("\n\n");
+function buildPromptSimple(question, items, style, profile, openTasks = []) {
+  const tasksBlock = openTasks.map((t, i) =>
+    `[T${i + 1}] ${t.title}` + [t.owner && `owner: ${t.owner}`, t.due_date && `due: ${t.due_date}`, t.country,
+      `from: ${t.source_title}${t.source_date ? " (" + t.source_date + ")" : ""}`].filter(Boolean).map(x => " — " + x).join("")
+  ).join("\n");
+
+  const itemsBlock = items.map((it, i) => promptGuard.sourceBlock(
+    `[${i + 1}] ${it.title}${it.chunk_count > 1 ? ` (part ${it.chunk + 1}/${it.chunk_count})` : ""} — ${it.date_iso}${it.countries ? " — " + it.countries : ""}\n` +
+    clip(String(it.summary_text).replace(/\s+/g, " "), PREVIEW_LEN),
+    { n: i + 1 }
+  )).join("\n\n");
+
+  return promptFor("ask", {
+    question: (question || "").trim(),
+    items: itemsBlock,
+    persona: profiles.profileContext(profile),
+    style: brevityRule(style),
+    tasks: tasksBlock ? promptGuard.sourceBlock(tasksBlock, { kind: "tasks" }) : ""
+  });
+}
 
-  return [
-    "Answer the user's question using ONLY the Items below.",
-    "",
-    "FORMATTING RULES (MUST FOLLOW):",
-    "- Return clean HTML only (no Markdown fences or code blocks)",
-    "- ALWAYS use bullet points (<ul><li>) for lists of items or updates",
-    "- ALWAYS use <strong> tags to bold key names, dates, topics, and important terms",
-    "- Use <h4> for section headers when organizing multiple topics",
-    "- Keep paragraphs short and scannable",
-    "- When citing sources, use [n] format with the number in bold: <strong>[1]</strong>",
-    "- Example format:",
-    "  <h4>Topic Name</h4>",
-    "  <ul>",
-    "    <li><strong>Key Person</strong> discussed <strong>Important Topic</strong> on <strong>Date</strong> [1]</li>",
-    "  </ul>",
-    "",
-    "CONTEXT:",
-    "My name is Jeff Kern, and I am a Network Engagement Lead at Teach For All. Any references to 'Jeff' refer to me. I manage relationships with partner organizations in the European region (Ukraine, Latvia, Slovakia, Italy, Spain, Portugal) and early-stage partners (Albania, Moldova). I work with CEOs to deepen network engagement and foster collaborative learning.",
-    "",
-    brevity,
-    "",
-    "Question:", (question || "").trim(),
-    "",
-    "Items:", itemsBlock,
-    "",
-    "Remember: Use bullets and bold formatting. Make it easy to scan."
-  ].join("\n");
-}
-
-// Add note to meetings
-async function addNoteToMeetings(p) {
+// Insert a row into meetings, linked to the partners its countries name
+async function insertMeeting(rec) {
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    throw new Error("Supabase credentials not configured");
+  }
+  if (rec.countries) {
+    const linked = await partners.linkCountries(rec.countries);
+    rec = { ...rec, countries: linked.countries };
+    if (linked.partner_ids.length) rec.partner_ids = linked.partner_ids;
+  }
   const url = SUPABASE_URL.replace(/\/$/, "") + "/rest/v1/meetings";
 
-  const rec = {
-    type: "Note",
-    date: p.date || today(),
-    countries: p.countries || "",
-    headline: ((p.headline || p.note_headline || "").toString().trim()) ||
-      (p.author ? `Note by ${p.author}` : "Note"),
-    summary: p.note || ""
-  };
-
   const headers = {
     apikey: SUPABASE_KEY,
     Authorization: "Bearer " + SUPABASE_KEY,
@@ -390,15 +594,53 @@ async function addNoteToMeetings(p) {
 
   try {
     const response = await axios.post(url, rec, { headers });
+    meetingsCache.clear();
     return { table: "meetings", inserted: Array.isArray(response.data) ? response.data.length : 1, row: response.data[0] || null };
   } catch (error) {
-    if (error.response) {
-      throw new Error(`Supabase insert HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`);
-    }
-    throw error;
+    throw supabaseError("Supabase insert", error);
   }
 }
 
+// New note (a meetings row of type Note), with any attached files. Action
+// items are extracted from it like from any other new row.
+async function createNote(input, files, user) {
+  const fields = notes.cleanNote(input);
+  files.forEach(uploads.attachmentName);
+  const rec = {
+    type: notes.NOTE_TYPE,
+    date: fields.date || today(),
+    countries: fields.countries || "",
+    headline: fields.headline || `Note by ${String(input.author || "").trim() || user.name}`,
+    summary: fields.summary,
+    tags: fields.tags || [],
+    links: fields.links || [],
+    created_by: user.id,
+    updated_at: new Date().toISOString()
+  };
+
+  const inserted = await insertMeeting(rec);
+  let note = notes.publicNote(inserted.row || rec);
+  if (inserted.row && files.length) note = await notes.addAttachments(inserted.row.id, files, user);
+  const taskCount = inserted.row
+    ? await autoExtractTasks(`${rec.headline}\n\n${rec.summary}`,
+      { type: "meeting", id: inserted.row.id, title: rec.headline, date: rec.date, countries: rec.countries }, user)
+    : null;
+  return { note, tasks: taskCount };
+}
+
+// Edits re-run action item extraction when the text changed (known items are skipped)
+async function editNote(id, input, user) {
+  const result = await notes.updateNote(id, input, user);
+  if (!result) return null;
+  const { note, changed } = result;
+  if (changed.length) meetingsCache.clear();
+  const tasksFound = changed.includes("summary") || changed.includes("headline")
+    ? await autoExtractTasks(`${note.headline}\n\n${note.summary}`,
+      { type: "meeting", id: note.id, title: note.headline, date: note.date, countries: note.countries }, user)
+    : null;
+  return { note, changed, tasks: tasksFound };
+}
+
 // Local file system functions for transcripts
 const NAME_TIME_REGEX = /^(\d{4})[-/](\d{2})[-/](\d{2})[ _T](\d{2})[.:](\d{2})[.:](\d{2})\b/;
 
@@ -416,19 +658,6 @@ function makePreview(text, maxLen) {
   return t.length > maxLen ? t.slice(0, maxLen - 1) + "…" : t;
 }
 
-function norm(s) { return String(s || "").toLowerCase(); }
-
-function anyKeywordHit(haystack, kwsLower) {
-  if (!kwsLower || !kwsLower.length) return true;
-  const h = norm(haystack);
-  return kwsLower.some(w => h.indexOf(w) >= 0);
-}
-
-function hasAllowedTranscriptExt(name) {
-  const n = String(name || '').toLowerCase();
-  return n.endsWith('.txt') || n.endsWith('.vtt') || n.endsWith('.srt');
-}
-
 // Find transcripts (Google Drive or local folder)
 async function findTranscripts(p) {
   if (useGoogleDrive()) {
@@ -437,103 +666,80 @@ async function findTranscripts(p) {
   return findTranscriptsLocal(p);
 }
 
-async function findTranscriptsGDrive(p) {
+const localTranscriptIndex = createTranscriptIndex('transcripts-local');
+const gdriveTranscriptIndex = createTranscriptIndex('transcripts-gdrive');
+
+// Search the index after syncing it with a fresh listing
+function searchTranscriptIndex(index, p) {
   const limit = Math.min(Number(p.limit || 10), 50);
   const fromIso = parseDateInput(p.from, false);
   const toIso = parseDateInput(p.to, true);
-  const fromMs = fromIso ? Date.parse(fromIso) : null;
-  const toMs = toIso ? Date.parse(toIso) : null;
-
-  const kws = String(p.keywords || "")
-    .split(/[,\s]+/)
-    .map(s => s.trim())
-    .filter(Boolean)
-    .map(s => s.toLowerCase());
-
-  try {
-    const allFiles = await gdriveListAllFiles(GDRIVE_FOLDER_ID);
-    
-    const transcriptFiles = allFiles.filter(f => {
-      const name = String(f.name || '').toLowerCase();
-      return name.endsWith('.txt') || name.endsWith('.vtt') || name.endsWith('.srt') ||
-             f.mimeType === 'application/vnd.google-apps.document';
-    });
-
-    const results = [];
-    let checks = 0;
 
-    for (const f of transcriptFiles) {
-      if (results.length >= limit) break;
-
-      const nameMs = parseNameTimestampMs(f.name) || (f.modifiedTime ? Date.parse(f.modifiedTime) : Date.now());
-
-      if (fromMs && nameMs < fromMs) continue;
-      if (toMs && nameMs >= toMs) continue;
-
-      let hit = kws.length ? anyKeywordHit(f.name, kws) : true;
-      let preview = "";
-
-      if (!hit && kws.length && checks < MAX_CONTENT_CHECKS) {
-        try {
-          const body = await gdriveReadFile(f.id);
-          checks++;
-          hit = anyKeywordHit(body, kws);
-          if (hit) preview = makePreview(body, 500);
-        } catch (err) {
-          // Skip files that can't be read
-        }
-      }
+  const hits = index.search(String(p.keywords || ""), {
+    fromMs: fromIso ? Date.parse(fromIso) : null,
+    toMs: toIso ? Date.parse(toIso) : null,
+    limit
+  });
 
-      if (hit) {
-        results.push({
-          id: 'gdrive:' + f.id,
-          name: f.name,
-          mimeType: f.mimeType || 'text/plain',
-          modified: f.modifiedTime || new Date(nameMs).toISOString(),
-          link: `https://drive.google.com/file/d/${f.id}/view`,
-          preview: preview
-        });
-      }
-    }
+  return {
+    ok: true,
+    indexed: index.size(),
+    results: hits.map(h => ({
+      id: h.doc.id,
+      name: h.doc.name,
+      mimeType: h.doc.mimeType,
+      modified: h.doc.date,
+      link: h.doc.link,
+      score: Math.round(h.score * 100) / 100,
+      snippet: h.snippet,
+      preview: makePreview(h.doc.text, 500)
+    }))
+  };
+}
 
-    results.sort((a, b) => (b.modified || "").localeCompare(a.modified || ""));
-    return { ok: true, results: results.slice(0, limit) };
+// Searches the mirror, synced first if it is older than GDRIVE_SYNC_SECONDS.
+// When Drive can't be reached, the last mirrored copy is searched.
+async function findTranscriptsGDrive(p) {
+  try {
+    await driveMirror.sync({ maxAgeMs: GDRIVE_SYNC_SECONDS * 1000 });
   } catch (err) {
-    console.error('Google Drive error:', err.message);
-    return { ok: false, error: "Google Drive error: " + err.message };
+    console.error('Google Drive sync error:', err.message);
+    if (!(await driveMirror.info()).syncedAt) return { ok: false, error: "Google Drive error: " + err.message };
   }
-}
 
-async function findTranscriptsLocal(p) {
-  const limit = Math.min(Number(p.limit || 10), 50);
-  const fromIso = parseDateInput(p.from, false);
-  const toIso = parseDateInput(p.to, true);
-  const fromMs = fromIso ? Date.parse(fromIso) : null;
-  const toMs = toIso ? Date.parse(toIso) : null;
+  const listing = (await driveMirror.listing()).map(f => {
+    const nameMs = parseNameTimestampMs(f.name) || (f.modifiedTime ? Date.parse(f.modifiedTime) : Date.now());
+    return {
+      id: 'gdrive:' + f.id,
+      name: f.name,
+      // Renames keep the version, so only the name is updated in the index
+      version: f.key,
+      date: new Date(nameMs).toISOString(),
+      mimeType: f.mimeType || 'text/plain',
+      link: `https://drive.google.com/file/d/${f.id}/view`,
+      read: async () => toPlainText(parseTranscript(await driveMirror.read(f.id) || "", f.name))
+    };
+  });
 
-  const kws = String(p.keywords || "")
-    .split(/[,\s]+/)
-    .map(s => s.trim())
-    .filter(Boolean)
-    .map(s => s.toLowerCase());
+  await gdriveTranscriptIndex.sync(listing);
+  return searchTranscriptIndex(gdriveTranscriptIndex, p);
+}
 
-  const transcriptsFolder = process.env.TRANSCRIPTS_FOLDER || './transcripts';
+async function findTranscriptsLocal(p) {
+  const folder = transcriptsFolder();
   
-  if (!await fs.pathExists(transcriptsFolder)) {
-    return { ok: false, error: "Transcripts folder not found: " + transcriptsFolder };
+  if (!await fs.pathExists(folder)) {
+    return { ok: false, error: "Transcripts folder not found: " + folder };
   }
 
-  const results = [];
-  let checks = 0;
+  const listing = [];
 
   async function scanFolder(folderPath, depth = 0) {
-    if (depth > 3 || results.length >= limit) return;
+    if (depth > 3) return;
 
     const items = await fs.readdir(folderPath);
     
     for (const item of items) {
-      if (results.length >= limit) break;
-      
       const itemPath = path.join(folderPath, item);
       const stats = await fs.stat(itemPath);
       
@@ -542,63 +748,186 @@ async function findTranscriptsLocal(p) {
         continue;
       }
 
-      if (!hasAllowedTranscriptExt(item)) continue;
+      if (!hasTranscriptExt(item)) continue;
 
       const nameMs = parseNameTimestampMs(item) || stats.mtime.getTime();
-      
-      if (fromMs && nameMs < fromMs) continue;
-      if (toMs && nameMs >= toMs) continue;
-
-      let hit = kws.length ? anyKeywordHit(item, kws) : true;
-      let preview = "";
-
-      if (!hit && kws.length && checks < MAX_CONTENT_CHECKS) {
-        try {
-          const body = await fs.readFile(itemPath, 'utf8');
-          checks++;
-          hit = anyKeywordHit(body, kws);
-          if (hit) preview = makePreview(body, 500);
-        } catch (err) {
-          // Skip files that can't be read
-        }
-      }
+      listing.push({
+        id: itemPath,
+        name: item,
+        version: stats.mtime.getTime() + ":" + stats.size,
+        date: new Date(nameMs).toISOString(),
+        mimeType: 'text/plain',
+        link: `file://${itemPath}`,
+        read: async () => toPlainText(parseTranscript(await fs.readFile(itemPath, 'utf8'), item))
+      });
+    }
+  }
 
-      if (hit) {
-        results.push({
-          id: itemPath,
-          name: item,
-          mimeType: 'text/plain',
-          modified: new Date(nameMs).toISOString(),
-          link: `file://${itemPath}`,
-          preview: preview
-        });
-      }
+  await scanFolder(folder);
+  await localTranscriptIndex.sync(listing);
+  return searchTranscriptIndex(localTranscriptIndex, p);
+}
+
+// Read a transcript by the id returned from findTranscripts. Ids come from
+// the client: only files in the Drive mirror, uploaded transcripts and
+// transcript files inside TRANSCRIPTS_FOLDER are read, anything else is a 404.
+async function readTranscript(id) {
+  id = String(id || "");
+  if (id.startsWith('gdrive:')) {
+    const fileId = id.slice('gdrive:'.length);
+    let text = await driveMirror.read(fileId);
+    if (text === null && useGoogleDrive()) {
+      // Added to Drive since the last sync
+      await driveMirror.sync({ maxAgeMs: GDRIVE_SYNC_SECONDS * 1000 })
+        .catch(e => console.error('Google Drive sync error:', e.message));
+      text = await driveMirror.read(fileId);
+    }
+    if (text === null) throw transcriptNotFound();
+    return text;
+  }
+  if (uploads.isStoredUpload(id)) {
+    if (!uploads.isTranscriptUpload(id)) throw transcriptNotFound();
+    return await uploads.readUpload(id);
+  }
+  const file = await localTranscriptPath(id);
+  if (!file) throw transcriptNotFound();
+  return await fs.readFile(file, 'utf8') || "";
+}
+
+function transcriptNotFound() {
+  return apiSchema.apiError(404, "not_found", "Transcript not found");
+}
+
+// Read and parse a transcript. `text` is the normalized "[12:34] Name: ..."
+// form used in prompts (no cue numbers or timing lines).
+async function loadTranscript(id) {
+  let raw;
+  try {
+    raw = await readTranscript(id);
+  } catch (e) {
+    if (['ENOENT', 'EISDIR', 'ENOTDIR'].includes(e.code) || e.response?.status === 404 || e.httpStatus === 404) {
+      throw transcriptNotFound();
     }
+    throw e;
   }
+  const parsed = parseTranscript(raw, id.startsWith('gdrive:') ? "" : id);
+  return { raw, parsed, text: toPlainText(parsed) };
+}
 
-  await scanFolder(transcriptsFolder);
-  
-  results.sort((a, b) => (b.modified || "").localeCompare(a.modified || ""));
-  return { ok: true, results: results.slice(0, limit) };
+// What a client is told when a transcript can't be read (file system and
+// Drive errors name server paths)
+function transcriptReadError(e) {
+  if (e.status === 404) return e.message;
+  console.error('Failed to read transcript:', e);
+  return "Failed to read transcript";
 }
 
-// Transcript conversation storage (keyed by session ID)
-const transcriptConversations = new Map();
+// Speaker-labelled view of a transcript for the UI
+async function getTranscript(p) {
+  const id = String(p.id || "").trim();
+  if (!id) return { ok: false, error: "Missing transcript id" };
 
-function getTranscriptConversation(sessionId) {
-  if (!transcriptConversations.has(sessionId)) {
-    transcriptConversations.set(sessionId, { history: [], transcriptId: null });
+  let loaded;
+  try {
+    loaded = await loadTranscript(id);
+  } catch (e) {
+    return { ok: false, error: transcriptReadError(e) };
   }
-  return transcriptConversations.get(sessionId);
+
+  const turns = mergeTurns(loaded.parsed.segments).map(t => ({
+    start: t.start,
+    end: t.end,
+    time: formatTimestamp(t.start),
+    speaker: t.speaker,
+    text: t.text
+  }));
+  return { ok: true, id, format: loaded.parsed.format, speakers: loaded.parsed.speakers, turns };
 }
 
-function clearTranscriptConversation(sessionId) {
-  transcriptConversations.delete(sessionId);
-  return { cleared: true };
+// Persona and length variables for the transcript prompts; the length rule
+// is only added for short answers
+function transcriptPersona(profile, style) {
+  return { persona: profiles.profileContext(profile), style: style === "short" ? brevityRule(style) : "" };
 }
 
-// Ask about transcript (with conversation history)
-async function askTranscript(p) {
+// Run fn over items with at most `limit` calls in flight, keeping order
+async function runLimited(items, limit, fn) {
+  const out = [];
+  for (let i = 0; i < items.length; i += limit) {
+    const batch = items.slice(i, i + limit);
+    out.push(...await Promise.all(batch.map((item, j) => fn(item, i + j))));
+  }
+  return out;
+}
+
+// Question-specific notes from one transcript part ("NONE" if nothing relevant)
+async function takePartNotes(question, part, title) {
+  const note = await guardedGenerate(promptFor("transcript-part-notes", {
+    title: title || "",
+    part_label: part.label,
+    question,
+    part: promptGuard.sourceBlock(part.text, { part: part.label })
+  }).text);
+  return note.trim();
+}
+
+function isNoneNote(note) {
+  return note.toUpperCase() === "NONE";
+}
+
+// Which parts of a transcript were consulted, so answers can say when they are partial
+function partCoverage(text, parts, notes) {
+  return {
+    partial: notes.length < parts.length,
+    totalParts: parts.length,
+    totalChars: text.length,
+    consultedChars: notes.reduce((a, n) => a + n.part.text.length, 0),
+    consulted: notes.map(n => ({
+      part: n.part.index + 1,
+      label: n.part.label,
+      startLine: n.part.startLine,
+      endLine: n.part.endLine,
+      start: n.part.start,
+      end: n.part.end,
+      speakers: n.part.speakers,
+      relevant: !isNoneNote(n.note)
+    }))
+  };
+}
+
+// Map step for long transcripts: split into parts, keep the most relevant
+// ones and take question-specific notes from each.
+async function mapTranscriptParts(text, question) {
+  const parts = splitTranscript(text, TRANSCRIPT_PART_CHARS);
+  const selected = selectParts(parts, question, MAX_MAP_PARTS);
+
+  const results = await runLimited(selected, MAP_CONCURRENCY, part => takePartNotes(question, part));
+  const notes = selected.map((part, i) => ({ part, note: results[i] }));
+
+  const relevant = notes.filter(n => !isNoneNote(n.note));
+  return { notes: relevant.length ? relevant : notes, coverage: partCoverage(text, parts, notes) };
+}
+
+// Append a question/answer turn to a conversation and trim it. `history` is
+// what the model sees; `messages` is what the user saw (question, answer and
+// any sources/coverage shown with it).
+function recordTurn(conversation, prompt, answer, question, extra = {}) {
+  const at = new Date().toISOString();
+  conversation.history.push({ role: "user", text: prompt });
+  conversation.history.push({ role: "model", text: answer });
+  conversation.messages.push({ role: "user", text: question, at });
+  conversation.messages.push({ role: "assistant", text: answer, at, ...extra });
+  if (!conversation.title) conversation.title = clip(question.replace(/\s+/g, " "), 80);
+
+  // Trim history if too long
+  if (conversation.history.length > MAX_CONVERSATION_HISTORY * 2) {
+    conversation.history = conversation.history.slice(-MAX_CONVERSATION_HISTORY * 2);
+  }
+}
+
+// Build the transcript prompt. Conversation state is only updated by
+// finishTranscriptAsk, once the model has answered.
+async function prepareTranscriptAsk(p, user) {
   const id = String(p.id || "").trim();
   const q = String(p.question || "").trim();
   const sessionId = String(p.sessionId || "tr_default").trim();
@@ -606,198 +935,1606 @@ async function askTranscript(p) {
   if (!id) return { ok: false, error: "Missing transcript id" };
   if (!q) return { ok: false, error: "Missing question" };
 
-  const conversation = getTranscriptConversation(sessionId);
+  const conversation = await getConversation(sessionId, "transcript", user);
+  const profile = await profiles.getProfile(user);
+  const style = p.style || profile.answer_style;
   const isNewTranscript = conversation.transcriptId !== id;
 
-  let raw;
+  let text, turns;
   try {
-    if (id.startsWith('gdrive:')) {
-      const fileId = id.replace('gdrive:', '');
-      raw = await gdriveReadFile(fileId) || "";
-    } else {
-      raw = await fs.readFile(id, 'utf8') || "";
-    }
+    const loaded = await loadTranscript(id);
+    text = loaded.text;
+    turns = mergeTurns(loaded.parsed.segments).map(t => ({ start: t.start, time: formatTimestamp(t.start), speaker: t.speaker, text: t.text }));
   } catch (e) {
-    return { ok: false, error: "Failed to read transcript: " + e.message };
+    return { ok: false, error: transcriptReadError(e) };
   }
   
-  if (!raw.trim()) return { ok: false, error: "Transcript is empty" };
-
-  const text = raw.replace(/\r/g, "");
-  const truncatedText = text.length > MAX_TRANSCRIPT_CHARS ? 
-    text.slice(text.length - MAX_TRANSCRIPT_CHARS) : text;
-
-  let prompt;
-  if (isNewTranscript || conversation.history.length === 0) {
-    // First message or different transcript - include full context
-    prompt = [
-      "You answer questions about a meeting transcript.",
-      "",
-      "FORMATTING RULES (MUST FOLLOW):",
-      "- Return clean HTML only (no Markdown fences or code blocks)",
-      "- ALWAYS use bullet points (<ul><li>) for lists",
-      "- ALWAYS use <strong> tags to bold key names, dates, topics, and important terms",
-      "- Use <h4> for section headers when organizing multiple topics",
-      "- Keep paragraphs short and scannable",
-      "- Example format:",
-      "  <h4>Topic Name</h4>",
-      "  <ul>",
-      "    <li><strong>Person Name</strong> discussed <strong>Topic</strong></li>",
-      "  </ul>",
-      "",
-      "If not clearly in the transcript, say so briefly.",
-      "",
-      "CONTEXT: My name is Jeff Kern, Network Engagement Lead at Teach For All. I manage European region partners (Ukraine, Latvia, Slovakia, Italy, Spain, Portugal) and early-stage partners (Albania, Moldova).",
-      "",
-      "Question:", q,
-      "",
-      "Transcript:", '"""', truncatedText, '"""',
-      "",
-      "Remember: Use bullets and bold formatting. Make it easy to scan."
-    ].join("\n");
-
-    conversation.transcriptId = id;
-    conversation.history = [];
+  if (!text.trim()) return { ok: false, error: "Transcript is empty" };
+
+  const startsThread = isNewTranscript || conversation.history.length === 0;
+  const transcriptName = String(p.name || "").trim() || path.basename(id);
+  // Flagged once, with the first answer about this transcript
+  const suspicious = startsThread ? promptGuard.flagSources([{ source: 1, title: transcriptName, text }]) : [];
+
+  let rendered, coverage;
+  if (text.length > MAX_TRANSCRIPT_CHARS) {
+    // Too long for one prompt - answer every question from notes on the relevant parts
+    const mapped = await mapTranscriptParts(text, q);
+    coverage = mapped.coverage;
+    rendered = promptFor("transcript-notes", {
+      ...transcriptPersona(profile, style),
+      single: true,
+      question: q,
+      partial: coverage.partial,
+      consulted: coverage.consulted.length,
+      total_parts: coverage.totalParts,
+      notes: mapped.notes.map(n => promptGuard.sourceBlock(n.note, { part: n.part.label })).join("\n\n")
+    });
   } else {
-    // Follow-up message - just the question
-    prompt = `Follow-up question about the same transcript:\n\n${q}\n\nRemember: Return clean HTML with bullets and bold formatting. Make it easy to scan.`;
+    coverage = {
+      partial: false,
+      totalParts: 1,
+      totalChars: text.length,
+      consultedChars: text.length,
+      consulted: [{ part: 1, label: "Full transcript", relevant: true }]
+    };
+    if (startsThread) {
+      // First message or different transcript - include full context
+      rendered = promptFor("transcript", {
+        ...transcriptPersona(profile, style),
+        single: true,
+        question: q,
+        transcript: promptGuard.sourceBlock(text, { name: transcriptName })
+      });
+    } else {
+      // Follow-up message - just the question
+      rendered = promptFor("transcript-followup", { question: q });
+    }
   }
 
-  const answer = await gemini(MODEL_SYNTH, prompt, conversation.history);
-
-  // Store in conversation history
-  conversation.history.push({ role: "user", text: prompt });
-  conversation.history.push({ role: "model", text: answer });
+  return {
+    ok: true,
+    id,
+    name: String(p.name || "").trim(),
+    question: q,
+    conversation,
+    startsThread,
+    prompt: rendered.text,
+    promptVersion: { id: rendered.id, hash: rendered.hash },
+    coverage,
+    suspicious,
+    evidence: [{ text, segments: turns }],
+    history: startsThread ? [] : conversation.history
+  };
+}
 
-  // Trim history if too long
-  if (conversation.history.length > MAX_CONVERSATION_HISTORY * 2) {
-    conversation.history = conversation.history.slice(-MAX_CONVERSATION_HISTORY * 2);
+async function finishTranscriptAsk(prep, reply) {
+  const conversation = prep.conversation;
+  const { html, claims } = grounding.splitClaims(reply);
+  const answer = sanitizeHtml(html);
+  const checked = grounding.checkClaims(claims, answer, prep.evidence, { single: true });
+  if (prep.startsThread) {
+    // Same session switched to another transcript - it's a different thread now
+    if (conversation.transcriptId && conversation.transcriptId !== prep.id) {
+      conversation.messages = [];
+      conversation.title = "";
+    }
+    conversation.transcriptId = prep.id;
+    conversation.transcriptName = prep.name || conversation.transcriptName || path.basename(prep.id);
+    conversation.history = [];
   }
+  recordTurn(conversation, prep.prompt, answer, prep.question,
+    { coverage: prep.coverage, grounding: checked, prompt_version: prep.promptVersion, ...(prep.suspicious.length ? { suspicious: prep.suspicious } : {}) });
+  const saved = await saveConversation(conversation);
 
-  return { 
-    ok: true, 
+  return {
+    ok: true,
     answer,
+    coverage: prep.coverage,
+    grounding: checked,
+    suspicious: prep.suspicious,
+    promptVersion: prep.promptVersion,
+    threadId: conversation.id,
+    saved,
     conversationLength: conversation.history.length / 2,
-    isNewConversation: isNewTranscript || conversation.history.length === 2
+    isNewConversation: prep.startsThread
   };
 }
 
-// API Routes
-app.get('/api', async (req, res) => {
-  try {
-    const action = (req.query.action || "ask").toLowerCase();
+// Ask about transcript (with conversation history)
+async function askTranscript(p, user) {
+  const prep = await prepareTranscriptAsk(p, user);
+  if (!prep.ok) return prep;
+  const answer = await guardedGenerate(prep.prompt, prep.history);
+  return await finishTranscriptAsk(prep, answer);
+}
 
-    if (action === "findtranscripts") {
-      const result = await findTranscripts(req.query);
-      return res.json(result);
-    }
+// Ask one question across every transcript matching a search (same
+// keywords/from/to filters as findTranscripts). Notes are taken from the
+// most relevant parts of each transcript, then synthesized into one answer
+// citing transcripts as [n] = sources[n - 1].
+async function prepareCrossTranscriptAsk(p, user) {
+  const q = String(p.question || "").trim();
+  if (!q) return { ok: false, error: "Missing question" };
+  const profile = await profiles.getProfile(user);
+  const style = p.style || profile.answer_style;
 
-    if (action === "asktranscript") {
-      const result = await askTranscript(req.query);
-      return res.json(result);
-    }
+  const limit = Math.min(Number(p.limit || 20), MAX_CROSS_TRANSCRIPTS);
+  const found = await findTranscripts({ ...p, limit });
+  if (!found.ok) return found;
+  if (!found.results.length) return { ok: false, error: "No transcripts match the search" };
 
-    if (action === "addnote") {
-      const result = await addNoteToMeetings(req.query);
-      return res.json({ ok: true, result });
+  const docs = [];
+  const skipped = [];
+  for (const f of found.results) {
+    try {
+      const { text, parsed } = await loadTranscript(f.id);
+      if (!text.trim()) throw new Error("Transcript is empty");
+      const parts = splitTranscript(text, TRANSCRIPT_PART_CHARS);
+      docs.push({ file: f, text, parsed, parts, selected: selectParts(parts, q, CROSS_PARTS_PER_TRANSCRIPT) });
+    } catch (e) {
+      skipped.push({ id: f.id, name: f.name, error: e.message });
     }
+  }
+  if (!docs.length) return { ok: false, error: "None of the matching transcripts could be read", skipped };
 
-    if (action === "getreports") {
-      const params = {
-        from: req.query.from || "",
-        to: req.query.to || "",
-        type: "Report",
-        limit: 50
+  const jobs = docs.flatMap(d => d.selected.map(part => ({ doc: d, part })));
+  const results = await runLimited(jobs, MAP_CONCURRENCY, job => takePartNotes(q, job.part, job.doc.file.name));
+  jobs.forEach((job, i) => {
+    job.doc.notes = job.doc.notes || [];
+    job.doc.notes.push({ part: job.part, note: results[i] });
+  });
+
+  const sources = docs.map(d => {
+    const coverage = partCoverage(d.text, d.parts, d.notes);
+    return {
+      id: d.file.id,
+      name: d.file.name,
+      modified: d.file.modified,
+      link: d.file.link,
+      relevant: coverage.consulted.some(c => c.relevant),
+      coverage
+    };
+  });
+
+  const blocks = docs.map((d, i) => {
+    const relevant = d.notes.filter(n => !isNoneNote(n.note));
+    const body = relevant.length
+      ? relevant.map(n => (d.parts.length > 1 ? `(${n.part.label})\n` : "") + n.note).join("\n")
+      : "(nothing relevant)";
+    return promptGuard.sourceBlock(`[${i + 1}] ${d.file.name} — ${(d.file.modified || "").slice(0, 10)}\n${body}`, { n: i + 1 });
+  });
+  const partial = sources.filter(s => s.coverage.partial).length;
+
+  const rendered = promptFor("cross-transcripts", {
+    ...transcriptPersona(profile, style),
+    question: q,
+    partial: partial || "",
+    transcripts: blocks.join("\n\n")
+  });
+
+  const evidence = docs.map(d => ({
+    text: d.text,
+    segments: mergeTurns(d.parsed.segments).map(t => ({ start: t.start, time: formatTimestamp(t.start), speaker: t.speaker, text: t.text }))
+  }));
+  const suspicious = promptGuard.flagSources(docs.map((d, i) => ({ source: i + 1, title: d.file.name, text: d.text })));
+  return { ok: true, prompt: rendered.text, promptVersion: { id: rendered.id, hash: rendered.hash }, sources, skipped, evidence, suspicious };
+}
+
+function finishCrossTranscriptAsk(prep, reply) {
+  const { html, claims } = grounding.splitClaims(reply);
+  const answer = sanitizeHtml(html);
+  return {
+    ok: true,
+    answer,
+    sources: prep.sources,
+    skipped: prep.skipped,
+    grounding: grounding.checkClaims(claims, answer, prep.evidence),
+    suspicious: prep.suspicious,
+    promptVersion: prep.promptVersion
+  };
+}
+
+async function askAcrossTranscripts(p, user) {
+  const prep = await prepareCrossTranscriptAsk(p, user);
+  if (!prep.ok) return prep;
+  return finishCrossTranscriptAsk(prep, await guardedGenerate(prep.prompt));
+}
+
+// Uploaded transcripts: store the file, then catalogue it as a meetings row
+// (type "Transcript") with an AI headline, summary and countries, so it shows
+// up as an Ask source and opens from there.
+const TRANSCRIPT_SUMMARY_QUESTION = "What was discussed and decided, what are the follow-ups, and which countries or partner organizations came up?";
+
+// The model's JSON reply (object or array), tolerating code fences and text around it
+function parseJsonReply(text) {
+  const s = String(text || "").replace(/```(?:json)?/gi, "");
+  const start = s.search(/[[{]/);
+  if (start < 0) return null;
+  const end = s.lastIndexOf(s[start] === "[" ? "]" : "}");
+  if (end <= start) return null;
+  try {
+    return JSON.parse(s.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function describeTranscript(text, name) {
+  let material = text;
+  let from = "Transcript";
+  if (text.length > MAX_TRANSCRIPT_CHARS) {
+    const mapped = await mapTranscriptParts(text, TRANSCRIPT_SUMMARY_QUESTION);
+    material = mapped.notes.map(n => `### ${n.part.label}\n${n.note}`).join("\n\n");
+    from = "Notes taken from the transcript (it was too long to read at once)";
+  }
+
+  const prompt = promptFor("catalogue-transcript", {
+    name,
+    material_label: from,
+    material: promptGuard.sourceBlock(material, { name })
+  }).text;
+
+  const reply = parseJsonReply(await guardedGenerate(prompt));
+  if (!reply || !reply.headline) return null;
+  return {
+    headline: clip(String(reply.headline).trim(), 200),
+    summary: String(reply.summary || "").trim(),
+    countries: (Array.isArray(reply.countries) ? reply.countries : String(reply.countries || "").split(","))
+      .map(c => String(c).trim()).filter(Boolean)
+  };
+}
+
+async function ingestTranscript(file, p, user) {
+  const { name, text: raw } = await uploads.extractText(file);
+  const parsed = parseTranscript(raw, name);
+  const text = toPlainText(parsed);
+  if (!text.trim()) throw new Error("File is empty");
+  // Before the model call: without a meetings row the upload isn't kept
+  if (!SUPABASE_URL || !SUPABASE_KEY) throw new Error("Supabase credentials not configured");
+
+  let details = await describeTranscript(text, name);
+  let warning = "";
+  if (!details) {
+    warning = "The model did not return a usable summary - saved with a placeholder headline";
+    details = { headline: name.replace(/\.[^.]+$/, ""), summary: clip(text.replace(/\s+/g, " "), PREVIEW_LEN), countries: [] };
+  }
+
+  const id = await uploads.saveUpload(name, raw);
+  const nameMs = parseNameTimestampMs(name);
+  const rec = {
+    type: "Transcript",
+    date: p.date || (nameMs ? new Date(nameMs).toISOString().slice(0, 10) : today()),
+    countries: p.countries || details.countries.join(", "),
+    headline: details.headline,
+    summary: details.summary,
+    file_path: id,
+    created_by: user.id
+  };
+  // A file without its row would still be searched, and a retry would save
+  // it again as "name (2)"
+  let inserted;
+  try {
+    inserted = await insertMeeting(rec);
+  } catch (e) {
+    await uploads.removeUpload(id).catch(err => console.error('Failed to remove upload', id, err.message));
+    throw e;
+  }
+  const taskCount = await autoExtractTasks(text, { type: "transcript", id, title: rec.headline, date: rec.date, countries: rec.countries }, user);
+
+  return { ok: true, name, id, format: parsed.format, speakers: parsed.speakers, meeting: inserted.row || rec, tasks: taskCount, warning };
+}
+
+// Action items. The model lists the commitments in a transcript or a
+// meetings row (who will do what, by when, for which partner); they are kept
+// in the tasks table and open ones are offered to the Ask prompt.
+async function extractActionItems(text, source) {
+  const reply = parseJsonReply(await guardedGenerate(promptFor("action-items", {
+    title: source.title,
+    date: source.date || "unknown",
+    countries: source.countries || "",
+    text: promptGuard.sourceBlock(text, { title: source.title })
+  }).text));
+  return Array.isArray(reply) ? reply.filter(t => t && t.title) : [];
+}
+
+// Long transcripts are read part by part (up to MAX_TASK_PARTS parts)
+async function extractTasksFromText(text, source, user) {
+  const parts = text.length > MAX_TRANSCRIPT_CHARS ? splitTranscript(text, TRANSCRIPT_PART_CHARS) : [{ text }];
+  const read = parts.slice(0, MAX_TASK_PARTS);
+  const found = await runLimited(read, MAP_CONCURRENCY, part => extractActionItems(part.text, source));
+  const result = await tasks.addTasks(found.flat(), source, user);
+  return { ok: true, created: result.created, skipped: result.skipped, partial: read.length < parts.length };
+}
+
+async function fetchMeetingRow(id) {
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    throw new Error("Supabase credentials not configured");
+  }
+  const { rows } = await selectRows("meetings", { where: [{ column: "id", op: "eq", value: id }], limit: 1 }, { label: "Supabase" });
+  return rows[0] || null;
+}
+
+// From a transcript id, or a meetings row id (rows with a transcript file use the file)
+async function extractTasks(p, user) {
+  if (p.transcriptId) {
+    const id = String(p.transcriptId);
+    const { text } = await loadTranscript(id);
+    if (!text.trim()) return { ok: false, error: "Transcript is empty" };
+    const nameMs = parseNameTimestampMs(path.basename(id));
+    return await extractTasksFromText(text, {
+      type: "transcript",
+      id,
+      title: p.name || path.basename(id),
+      date: p.date || (nameMs ? new Date(nameMs).toISOString().slice(0, 10) : ""),
+      countries: p.countries || ""
+    }, user);
+  }
+
+  if (p.meetingId) {
+    const row = await fetchMeetingRow(p.meetingId);
+    if (!row) return { ok: false, error: "Meeting not found" };
+    const filePath = row.file_path || "";
+    const source = {
+      type: filePath ? "transcript" : "meeting",
+      id: filePath || row.id,
+      title: row.headline || row.title || "(untitled)",
+      date: row.date || "",
+      countries: row.countries || ""
+    };
+    const text = filePath ? (await loadTranscript(filePath)).text : `${source.title}\n\n${row.summary || ""}`;
+    return await extractTasksFromText(text, source, user);
+  }
+
+  return { ok: false, error: "Missing transcriptId or meetingId" };
+}
+
+// Runs after uploads and new notes unless TASK_EXTRACTION=manual; never fails them
+async function autoExtractTasks(text, source, user) {
+  if ((process.env.TASK_EXTRACTION || "auto").toLowerCase() === "manual") return null;
+  try {
+    return (await extractTasksFromText(text, source, user)).created.length;
+  } catch (e) {
+    console.error('Action item extraction failed:', source.title, e.message);
+    return null;
+  }
+}
+
+// One file failing doesn't stop the rest of a batch
+async function ingestTranscripts(files, p, user) {
+  const results = [];
+  for (const file of files) {
+    try {
+      results.push(await ingestTranscript(file, p, user));
+    } catch (e) {
+      console.error('Upload failed:', file.originalname, e.message);
+      results.push({ ok: false, name: file.originalname, error: e.message });
+    }
+  }
+  return results;
+}
+
+// Weekly partner reports. For a week and a set of partner countries, gather
+// the meetings rows in range (meetings, emails, notes, uploaded transcripts)
+// plus transcript files that mention the partner, have the model summarize
+// each partner (updates, risks, asks, follow-ups), and publish the result as
+// a meetings row of type "Report". Reports start as drafts so they can be
+// previewed; see REPORT_SCHEDULE for scheduled runs.
+const reportDrafts = createTable('report_drafts');
+
+function isoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+// Monday-Sunday week containing `day` (YYYY-MM-DD); default: last full week
+function reportWeek(day) {
+  const d = day ? new Date(day + "T00:00:00Z") : new Date(Date.now() - 7 * 86400000);
+  if (isNaN(d.getTime())) throw new Error(`Invalid date "${day}"`);
+  const monday = new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * 86400000);
+  return { from: isoDate(monday), to: isoDate(new Date(monday.getTime() + 6 * 86400000)) };
+}
+
+// Everything about one partner in the date range, as numbered-source material
+async function gatherPartnerMaterial(country, from, to) {
+  const fetched = await fetchFromSupabase({ from, to, countries: country, limit: REPORT_ROWS_PER_PARTNER });
+  const rows = fetched.rows.filter(r => String(r.type).toLowerCase() !== "report");
+  const items = rows.map(r => ({
+    type: r.type || "Item",
+    title: r.title,
+    date: r.date_iso,
+    text: clip(String(r.summary_text).replace(/\s+/g, " "), PREVIEW_LEN * 2),
+    row_id: r.id != null ? r.id : null,
+    file_path: r.file_path || ""
+  }));
+
+  // Transcript files mentioning the partner that aren't catalogued as rows yet
+  const known = new Set(rows.map(r => r.file_path).filter(Boolean));
+  const partner = (await partners.expandCountries(country)).partners[0];
+  let found = { ok: false };
+  try {
+    const keywords = partner ? partners.keywordQuery(partner) : `"${country.replace(/"/g, "")}"`;
+    found = await findTranscripts({ from, to, keywords, limit: REPORT_TRANSCRIPTS_PER_PARTNER });
+  } catch (e) {
+    console.error(`Report: transcript search for ${country} failed:`, e.message);
+  }
+  const question = `What happened with the ${country} partner: updates, risks, asks of Teach For All, and agreed follow-ups?`;
+  for (const f of (found.ok ? found.results : []).filter(f => !known.has(f.id))) {
+    try {
+      const { text } = await loadTranscript(f.id);
+      const parts = splitTranscript(text, TRANSCRIPT_PART_CHARS);
+      const selected = selectParts(parts, question, CROSS_PARTS_PER_TRANSCRIPT);
+      const notes = (await runLimited(selected, MAP_CONCURRENCY, part => takePartNotes(question, part, f.name))).filter(n => !isNoneNote(n));
+      if (notes.length) {
+        items.push({ type: "Transcript", title: f.name, date: (f.modified || "").slice(0, 10), text: notes.join("\n"), row_id: null, file_path: f.id });
+      }
+    } catch (e) {
+      console.error(`Report: could not read transcript ${f.name}:`, e.message);
+    }
+  }
+  return items;
+}
+
+async function summarizePartner(country, items, offset, from, to, profile) {
+  const itemsBlock = items.map((it, i) =>
+    promptGuard.sourceBlock(`[${offset + i + 1}] ${it.date} — ${it.type} — ${it.title}\n${it.text}`, { n: offset + i + 1 })
+  ).join("\n\n");
+  const html = await guardedGenerate(promptFor("report-section", {
+    country,
+    country_html: escapeHtml(country),
+    persona: profile ? profiles.profileContext(profile) : "",
+    from,
+    to,
+    items: itemsBlock
+  }).text);
+  return sanitizeHtml(html);
+}
+
+async function generateReport({ from, to, countries, profile, createdBy }) {
+  const sections = [];
+  const sources = [];
+  for (const country of countries) {
+    const items = await gatherPartnerMaterial(country, from, to);
+    if (!items.length) {
+      sections.push(`<h4>${escapeHtml(country)}</h4>\n<p>No meetings, notes or transcripts this week.</p>`);
+      continue;
+    }
+    sections.push(await summarizePartner(country, items, sources.length, from, to, profile));
+    items.forEach(it => sources.push({ n: sources.length + 1, country, type: it.type, title: it.title, date: it.date, row_id: it.row_id, file_path: it.file_path }));
+  }
+
+  const summary = [
+    `<p>Week of <strong>${from}</strong> to <strong>${to}</strong> · ${countries.length} partner(s) · ${sources.length} source(s)</p>`,
+    ...sections,
+    sources.length
+      ? "<h4>Sources</h4>\n<ul>\n" + sources.map(s => `<li>[${s.n}] ${s.date} — ${escapeHtml(s.type)} — ${escapeHtml(s.title)}</li>`).join("\n") + "\n</ul>"
+      : ""
+  ].filter(Boolean).join("\n\n");
+
+  const now = new Date().toISOString();
+  return await reportDrafts.upsert({
+    id: crypto.randomUUID(),
+    status: "draft",
+    from,
+    to,
+    countries,
+    headline: clip(`Weekly partner report ${from} – ${to}: ${countries.join(", ")}`, 200),
+    summary,
+    sources,
+    meeting_id: null,
+    created_by: createdBy,
+    created_at: now,
+    updated_at: now
+  });
+}
+
+// Insert a draft as a Report row (same REST path as notes)
+async function publishReport(draft, user, headline) {
+  if (draft.status !== "draft") throw new Error(`Report is already ${draft.status}`);
+  headline = String(headline || draft.headline).trim().slice(0, 200);
+  const inserted = await insertMeeting({
+    type: "Report",
+    date: draft.to,
+    countries: draft.countries.join(", "),
+    headline,
+    summary: draft.summary,
+    created_by: user.id
+  });
+  return await reportDrafts.update(draft.id, {
+    status: "saved",
+    headline,
+    meeting_id: inserted.row ? inserted.row.id : null,
+    updated_at: new Date().toISOString()
+  });
+}
+
+// Report request from the Reports tab or the schedule: week (any day in it)
+// or from/to, and countries (defaults to the user's partner countries)
+async function createReport(p, user, profile) {
+  const range = (p.from && p.to) ? { from: p.from, to: p.to } : reportWeek(p.week);
+  if (range.from > range.to) throw new Error("from must be before to");
+  const countries = profiles.splitList(p.countries || (profile && profile.countries) || "");
+  if (!countries.length) throw new Error("Choose at least one partner country");
+  if (countries.length > MAX_REPORT_PARTNERS) throw new Error(`At most ${MAX_REPORT_PARTNERS} partners per report`);
+
+  let draft = await generateReport({ ...range, countries, profile, createdBy: user.id });
+  if (p.save === true || p.save === "true") draft = await publishReport(draft, user);
+  return draft;
+}
+
+const SCHEDULER_USER = { id: 'scheduler', username: 'scheduler', name: 'Scheduled report', role: 'editor' };
+
+async function runScheduledReport() {
+  const countries = process.env.REPORT_COUNTRIES || "";
+  if (!countries.trim()) {
+    console.warn('Scheduled report skipped: REPORT_COUNTRIES is not set');
+    return null;
+  }
+  const autoSave = (process.env.REPORT_AUTO_SAVE || "off").toLowerCase() === "on";
+  const draft = await createReport({ countries, save: autoSave }, SCHEDULER_USER, null);
+  console.log(`📊 Weekly report ${draft.from} – ${draft.to} ${draft.status === "saved" ? "saved" : "drafted for review"}`);
+  return draft;
+}
+
+// Partner page: the registry entry plus everything filed under its names
+async function partnerOverview(id) {
+  const partner = await partners.getPartner(id);
+  if (!partner) return { ok: false, error: "Partner not found" };
+  const rows = (await fetchFromSupabase({ countries: partner.country, limit: PARTNER_PAGE_ROWS })).rows;
+  const typeOf = r => String(r.type).toLowerCase();
+  const reports = rows.filter(r => typeOf(r) === "report");
+  const notes = rows.filter(r => typeOf(r) === "note");
+  const transcripts = rows.filter(r => typeOf(r) === "transcript" || (r.file_path && typeOf(r) !== "report" && typeOf(r) !== "note"));
+  const meetings = rows.filter(r => !reports.includes(r) && !notes.includes(r) && !transcripts.includes(r));
+
+  // Transcript files that mention the partner but aren't catalogued as rows
+  const known = new Set(rows.map(r => r.file_path).filter(Boolean));
+  let transcriptFiles = [];
+  try {
+    const found = await findTranscripts({ keywords: partners.keywordQuery(partner), limit: PARTNER_PAGE_TRANSCRIPTS });
+    if (found.ok) transcriptFiles = found.results.filter(f => !known.has(f.id)).map(f => ({ id: f.id, name: f.name, modified: f.modified, snippet: f.snippet }));
+  } catch (e) {
+    console.error(`Partner page: transcript search for ${partner.country} failed:`, e.message);
+  }
+
+  const openTasks = await tasks.listTasks({ status: "open", country: partners.partnerTerms(partner).join(",") });
+  const cleanReports = reports.map(r => ({ ...r, summary_text: sanitizeHtml(r.summary_text) }));
+  return { ok: true, partner, reports: cleanReports, meetings, notes, transcripts, transcriptFiles, tasks: openTasks };
+}
+
+// Analytics tab (see lib/analytics.js): activity per partner, last contact
+// and theme trends. Rows are read a page at a time, up to ANALYTICS_MAX_ROWS.
+const ANALYTICS_MAX_ROWS = Number(process.env.ANALYTICS_MAX_ROWS || 5000);
+const ANALYTICS_PAGE_ROWS = 1000;
+const ANALYTICS_STALE_WEEKS = Number(process.env.ANALYTICS_STALE_WEEKS || 6);
+const CONTACT_LOOKBACK_DAYS = 730;
+const THEME_BATCH = 15;
+
+async function analyticsRows({ from, to, countries }) {
+  const rows = [];
+  for (let offset = 0; offset < ANALYTICS_MAX_ROWS; offset += ANALYTICS_PAGE_ROWS) {
+    const fetched = await fetchFromSupabase({
+      from, to, countries, sort: "oldest", count: true, offset,
+      limit: Math.min(ANALYTICS_PAGE_ROWS, ANALYTICS_MAX_ROWS - offset)
+    });
+    rows.push(...fetched.rows);
+    if (fetched.total == null || offset + ANALYTICS_PAGE_ROWS >= fetched.total) break;
+  }
+  return rows;
+}
+
+// Default range: the last 12 months (from the first of the month)
+function analyticsRange(p) {
+  const to = p.to || today();
+  if (p.from) return { from: p.from, to };
+  const d = new Date(to + "T00:00:00Z");
+  d.setUTCMonth(d.getUTCMonth() - 11, 1);
+  return { from: isoDate(d), to };
+}
+
+async function activityAnalytics(p) {
+  const range = analyticsRange(p);
+  const [rows, list] = await Promise.all([analyticsRows({ ...range, countries: p.countries }), partners.listPartners()]);
+  return { ...range, ...analytics.activitySeries(rows, list, { ...range, bucket: p.bucket, top: p.top }) };
+}
+
+async function contactAnalytics(p) {
+  const now = today();
+  const since = isoDate(new Date(Date.parse(now) - CONTACT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000));
+  const [rows, list] = await Promise.all([analyticsRows({ from: since, to: now }), partners.listPartners()]);
+  return analytics.lastContacts(rows, list, { today: now, since, staleWeeks: p.staleWeeks || ANALYTICS_STALE_WEEKS });
+}
+
+// Trends from cached themes only; rows not tagged yet are counted in `untagged`
+async function themeAnalytics(p) {
+  const range = analyticsRange(p);
+  const rows = await analyticsRows({ ...range, countries: p.countries });
+  const { tagged, pending } = await analytics.cachedThemes(rows);
+  return { ...range, ...analytics.themeTrends(rows, tagged, { ...range, top: p.top }), tagged: tagged.size, untagged: pending.length };
+}
+
+// One model call per batch of rows; rows the reply leaves out stay untagged
+async function tagThemeBatch(rows) {
+  const rendered = promptFor("themes", {
+    themes: analytics.suggestedThemes().join(", "),
+    max_themes: analytics.MAX_ROW_THEMES,
+    records: rows.map((r, i) => promptGuard.sourceBlock(
+      `${r.title} — ${r.date_iso}${r.countries ? " — " + r.countries : ""}\n${clip(String(r.summary_text).replace(/\s+/g, " "), PREVIEW_LEN)}`,
+      { n: i + 1 }
+    )).join("\n\n")
+  });
+  const reply = parseJsonReply(await guardedGenerate(rendered.text));
+  let tagged = 0;
+  for (const item of Array.isArray(reply) ? reply : []) {
+    const row = rows[Number(item && item.n) - 1];
+    if (!row || !Array.isArray(item.themes)) continue;
+    await analytics.saveThemes(row, item.themes, rendered.id);
+    tagged++;
+  }
+  return tagged;
+}
+
+// Tags up to `limit` untagged rows in the range, newest first
+async function refreshThemes(p) {
+  const range = analyticsRange(p);
+  const rows = await analyticsRows({ ...range, countries: p.countries });
+  const { pending } = await analytics.cachedThemes(rows);
+  const batch = pending.reverse().slice(0, p.limit || 50);
+  let tagged = 0;
+  for (let i = 0; i < batch.length; i += THEME_BATCH) {
+    tagged += await tagThemeBatch(batch.slice(i, i + THEME_BATCH));
+  }
+  return { ...range, tagged, remaining: pending.length - tagged };
+}
+
+// Items for a new ask context: the top-k chunks most relevant to the
+// question among the rows matching the filters, or the rows themselves
+// when retrieval is off.
+async function retrieveAskItems(params) {
+  if (!ASK_RETRIEVAL) {
+    const fetched = await fetchFromSupabase(params);
+    return { items: fetched.rows, fetched, retrieval: null };
+  }
+
+  // Depth (limit 30 / 100 / 300) maps to 4 / 12 / 38 chunks unless k is given
+  const topK = params.k || Math.min(Math.max(Math.round(params.limit / 8), 4), 40);
+  const fetched = await fetchFromSupabase({ ...params, limit: RETRIEVAL_CANDIDATES });
+  const { hits, embedded, indexed } = await meetingIndex.retrieve(params.question, fetched.rows, topK);
+
+  const items = hits.map(h => ({
+    ...h.row,
+    summary_text: h.text,
+    chunk: h.chunk,
+    chunk_count: h.chunkCount,
+    score: h.score
+  }));
+  return {
+    items,
+    fetched,
+    retrieval: { candidates: fetched.rows.length, topK, embedded, indexed }
+  };
+}
+
+// Ask about meetings (with conversation history)
+async function prepareAsk(q, user) {
+  const sessionId = q.sessionId || "default";
+  const conversation = await getConversation(sessionId, "ask", user);
+  const profile = await profiles.getProfile(user);
+
+  const params = {
+    from: q.from || "",
+    to: q.to || "",
+    type: q.type || "all",
+    countries: q.countries || "",
+    topic: q.topic || "",
+    sort: q.sort || "newest",
+    limit: Number(q.limit || 100),
+    k: Number(q.k || 0),
+    style: q.style || profile.answer_style,
+    question: q.question || q.q || ""
+  };
+
+  // Build system context with data (only on first message or when filters change)
+  const filtersKey = JSON.stringify({ from: params.from, to: params.to, type: params.type, countries: params.countries, topic: params.topic, sort: params.sort });
+  const needsNewContext = conversation.context !== filtersKey || conversation.history.length === 0;
+
+  let rendered;
+  let context = conversation.itemsContext;
+  let rowsCached = null;
+  if (needsNewContext) {
+    // First message or filters changed - include full context
+    const retrieved = await retrieveAskItems(params);
+    rowsCached = retrieved.fetched.cached;
+    let openTasks = [];
+    try {
+      const country = params.countries && (await partners.expandCountries(params.countries)).terms.join(",");
+      openTasks = await tasks.listTasks({ status: "open", country, limit: MAX_ASK_TASKS });
+    } catch (e) {
+      console.error('Could not load open tasks:', e.message);
+    }
+    context = {
+      items: retrieved.items,
+      openTasks,
+      filters: retrieved.fetched.filters,
+      rest: retrieved.fetched.restUrl,
+      sqlApprox: retrieved.fetched.sqlApprox,
+      retrieval: retrieved.retrieval
+    };
+    rendered = buildPromptSimple(params.question, context.items, params.style, profile, context.openTasks);
+  } else {
+    // Follow-up message - just the question with reference to previous context
+    rendered = promptFor("ask-followup", { question: params.question });
+  }
+  const prompt = rendered.text;
+  const promptVersion = { id: rendered.id, hash: rendered.hash };
+
+  // sources[n - 1] is the exact item (row, and chunk when retrieving) cited as [n]
+  const sources = context.items.map(r => ({
+    title: r.title,
+    date: r.date_iso,
+    type: r.type || "",
+    countries: r.countries || "",
+    message_id: r.message_id || "",
+    file_path: r.file_path || "",
+    source_url: r.source_url || "",
+    row_id: r.id != null ? r.id : null,
+    chunk: r.chunk_count ? r.chunk + 1 : null,
+    chunk_count: r.chunk_count || null,
+    excerpt: r.chunk_count ? r.summary_text : "",
+    score: r.score != null ? Math.round(r.score * 1000) / 1000 : null
+  }));
+
+  return {
+    conversation,
+    params,
+    filtersKey,
+    needsNewContext,
+    context,
+    prompt,
+    promptVersion,
+    // Old history is dropped when the context changes
+    history: needsNewContext ? [] : conversation.history,
+    filters: context.filters,
+    sources,
+    // Flagged with the answer that brings in the sources, like `sources` in the thread
+    suspicious: needsNewContext ? promptGuard.flagSources(context.items.map((it, i) => ({ source: i + 1, title: it.title, text: `${it.title}\n${it.summary_text}` }))) : [],
+    // What each citation is checked against: items as [n], open tasks as [Tn]
+    evidence: {
+      items: context.items.map(it => ({ text: `${it.title}\n${it.summary_text}` })),
+      tasks: Object.fromEntries((context.openTasks || []).map((t, i) => [`T${i + 1}`, { text: `${t.title}\n${t.quote || ""}` }]))
+    },
+    debug: { rest: context.rest, sql_approx: context.sqlApprox, rows_cached: rowsCached, retrieval: context.retrieval, open_tasks: (context.openTasks || []).length, prompt, prompt_version: promptVersion }
+  };
+}
+
+async function finishAsk(prep, reply) {
+  const conversation = prep.conversation;
+  const { html, claims } = grounding.splitClaims(reply);
+  const answer = sanitizeHtml(html);
+  const checked = grounding.checkClaims(claims, answer, prep.evidence.items, { named: prep.evidence.tasks });
+  const { from, to, type, countries, topic, sort, limit, style } = prep.params;
+  if (prep.needsNewContext) {
+    conversation.context = prep.filtersKey;
+    conversation.itemsContext = prep.context;
+    conversation.filters = { from, to, type, countries, topic, sort, limit, style };
+    conversation.history = [];
+  }
+  // Sources are stored with the answer whenever they change
+  recordTurn(conversation, prep.prompt, answer, prep.params.question, {
+    ...(prep.needsNewContext ? { sources: prep.sources } : {}),
+    grounding: checked,
+    prompt_version: prep.promptVersion,
+    ...(prep.suspicious.length ? { suspicious: prep.suspicious } : {})
+  });
+  const saved = await saveConversation(conversation);
+
+  return {
+    ok: true,
+    threadId: conversation.id,
+    saved,
+    filters: prep.filters,
+    answer,
+    sources: prep.sources,
+    grounding: checked,
+    suspicious: prep.suspicious,
+    promptVersion: prep.promptVersion,
+    conversationLength: conversation.history.length / 2,
+    isNewConversation: prep.needsNewContext,
+    debug: { ...prep.debug, cache: cache.allStats() }
+  };
+}
+
+// Accounts
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await auth.login(username, password, req.ip);
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.set('Set-Cookie', auth.sessionCookie(result.token, isSecure(req)));
+    return res.json({ ok: true, user: result.user });
+  } catch (err) {
+    console.error('Login Error:', err);
+    return res.status(500).json({ ok: false, error: apiSchema.publicMessage(err) });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  res.set('Set-Cookie', auth.clearSessionCookie(isSecure(req)));
+  return res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  return res.json({ ok: true, user: req.user, authRequired });
+});
+
+// REST API. Every route is described once in API_ROUTES: its parameters
+// (validated with lib/apiSchema.js before the handler runs), the role it
+// needs and what it returns. The routes are served under /api/v1, and under
+// /api as before for the current app.html. /api/v1/openapi.json describes
+// them. Errors are { ok: false, error, code, details? } with a 4xx/5xx status.
+const uploadAttachments = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: notes.MAX_NOTE_ATTACHMENTS }
+}).array('attachments', notes.MAX_NOTE_ATTACHMENTS);
+
+// Transcript upload: one or more files in "files" (or a single "file")
+const uploadTranscripts = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES }
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: MAX_UPLOAD_FILES }]);
+
+// Expected failures ("Thread not found", "Missing question") as an API error
+function clientError(message) {
+  return /not found/i.test(message)
+    ? apiSchema.apiError(404, "not_found", message)
+    : apiSchema.apiError(400, "invalid_request", message);
+}
+
+// Shared functions report expected failures as { ok: false, error }
+function checked(result) {
+  if (!result.ok) throw clientError(result.error);
+  return result;
+}
+
+// Runs fn; the libraries reject bad input with plain Errors. Database and model
+// failures are tagged with `upstream` and stay server errors.
+async function inputErrors(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (err.status || err.upstream || err.isAxiosError) throw err;
+    throw clientError(err.message);
+  }
+}
+
+const DATE_RANGE = {
+  from: { type: "date" },
+  to: { type: "date" }
+};
+const STYLE = { type: "enum", values: profiles.ANSWER_STYLES, description: "Answer length; defaults to the user's profile" };
+const REPORT_FILTERS = {
+  ...DATE_RANGE,
+  countries: { type: "string", max: 500 },
+  topic: { type: "string", max: 300 },
+  sort: { type: "enum", values: Object.keys(MEETING_SORTS), default: "newest" },
+  limit: { type: "int", min: 1, max: 200, default: 50 }
+};
+const PARTNER_FIELDS = {
+  country: { type: "string", max: 100 },
+  name: { type: "string", max: 100 },
+  aliases: { type: "list" },
+  region: { type: "string", max: 100 },
+  stage: { type: "enum", values: partners.PARTNER_STAGES },
+  ceo: { type: "string", max: 100 },
+  contacts: { type: "list", separator: "\n", description: "One per line, or an array" },
+  about: { type: "string", max: 1000 }
+};
+const NOTE_FIELDS = {
+  summary: { type: "string", max: 20000, description: "The note text" },
+  headline: { type: "string", max: 300 },
+  date: { type: "date" },
+  countries: { type: "string", max: 500 },
+  tags: { type: "list" },
+  links: { type: "array", items: { type: "object", properties: { type: { type: "string", enum: notes.NOTE_LINK_TYPES }, id: { type: "string" }, title: { type: "string" } } } }
+};
+
+const API_ROUTES = [
+  // Profile and accounts
+  {
+    method: "get", path: "/profile", tag: "Profile", summary: "The signed-in user's profile",
+    handler: async (v, req) => ({ profile: await profiles.getProfile(req.user), answerStyles: profiles.ANSWER_STYLES })
+  },
+  {
+    method: "put", path: "/profile", tag: "Profile", summary: "Update the signed-in user's profile",
+    body: {
+      name: { type: "string", max: 100 },
+      title: { type: "string", max: 100 },
+      region: { type: "string", max: 100 },
+      countries: { type: "list", description: "Partner countries" },
+      answer_style: { type: "enum", values: profiles.ANSWER_STYLES },
+      about: { type: "string", max: 2000 }
+    },
+    handler: async (v, req) => ({ profile: await inputErrors(() => profiles.saveProfile(req.user, v)) })
+  },
+  {
+    method: "get", path: "/users", tag: "Users", role: "admin", summary: "All accounts",
+    handler: async () => ({ users: await auth.listUsers(), roles: auth.ROLES })
+  },
+  {
+    method: "post", path: "/users", tag: "Users", role: "admin", status: 201, summary: "Create an account",
+    body: {
+      username: { type: "string", required: true, max: 64 },
+      password: { type: "string", required: true, max: 200 },
+      name: { type: "string", max: 100 },
+      role: { type: "enum", values: auth.ROLES, default: "viewer" }
+    },
+    handler: async v => {
+      const user = await inputErrors(() => auth.createUser(v));
+      authRequired = true;
+      return { user };
+    }
+  },
+  {
+    method: "patch", path: "/users/:id", tag: "Users", role: "admin", summary: "Edit an account",
+    body: {
+      name: { type: "string", max: 100 },
+      role: { type: "enum", values: auth.ROLES },
+      password: { type: "string", max: 200 },
+      disabled: { type: "bool" }
+    },
+    handler: async (v, req) => {
+      // Ids are usernames, matched case-insensitively
+      if (auth.normalizeUsername(v.id) === req.user.id && (v.role !== undefined && v.role !== 'admin' || v.disabled)) {
+        throw apiSchema.apiError(400, "invalid_request", "You can't demote or disable your own account");
+      }
+      return { user: await inputErrors(() => auth.updateUser(v.id, v)) };
+    }
+  },
+  {
+    method: "delete", path: "/users/:id", tag: "Users", role: "admin", summary: "Delete an account",
+    handler: async (v, req) => {
+      if (auth.normalizeUsername(v.id) === req.user.id) throw apiSchema.apiError(400, "invalid_request", "You can't delete your own account");
+      if (!(await auth.deleteUser(v.id))) throw clientError("User not found");
+      return {};
+    }
+  },
+
+  // Prompt templates. Files are re-read on each listing, so edits to
+  // prompts/ show up without a restart.
+  {
+    method: "get", path: "/prompts", tag: "Prompts", role: "admin", summary: "Every prompt template version",
+    handler: async () => {
+      prompts.reloadPrompts();
+      return { dir: prompts.PROMPTS_DIR, prompts: prompts.listPrompts() };
+    }
+  },
+  {
+    method: "post", path: "/prompts/preview", tag: "Prompts", role: "admin", summary: "Render a template with sample variables",
+    body: {
+      name: { type: "string", required: true, max: 100 },
+      version: { type: "int", min: 1 },
+      vars: { type: "object" }
+    },
+    handler: async v => inputErrors(() => prompts.previewPrompt(v.name, v.vars || {}, v.version))
+  },
+
+  // Caches
+  {
+    method: "get", path: "/cache", tag: "Cache", role: "admin", summary: "Hits, misses and size of each cache",
+    handler: async () => ({ caches: cache.allStats() })
+  },
+  {
+    method: "delete", path: "/cache", tag: "Cache", role: "admin", summary: "Empty every cache",
+    handler: async () => {
+      cache.clearAll();
+      return { caches: cache.allStats() };
+    }
+  },
+
+  // Ask
+  {
+    method: "post", path: "/ask", tag: "Ask", summary: "Ask about the meetings, notes and reports matching the filters",
+    body: {
+      question: { type: "string", required: true },
+      sessionId: { type: "string", max: 200, description: "Thread to continue; a new id starts one" },
+      ...DATE_RANGE,
+      type: { type: "string", max: 50, description: 'Row type, or "all"' },
+      countries: { type: "string", max: 500 },
+      topic: { type: "string", max: 300 },
+      sort: { type: "enum", values: Object.keys(MEETING_SORTS) },
+      limit: { type: "int", min: 1, max: 1000 },
+      k: { type: "int", min: 0, max: 100, description: "Chunks to retrieve (0: the default)" },
+      style: STYLE
+    },
+    handler: async (v, req) => {
+      const prep = await prepareAsk(v, req.user);
+      return await finishAsk(prep, await guardedGenerate(prep.prompt, prep.history));
+    }
+  },
+
+  // Transcripts
+  {
+    method: "get", path: "/transcripts", tag: "Transcripts", summary: "Search transcripts",
+    query: {
+      keywords: { type: "string", max: 500 },
+      ...DATE_RANGE,
+      limit: { type: "int", min: 1, max: 50, default: 10 }
+    },
+    handler: async v => checked(await findTranscripts(v))
+  },
+  {
+    method: "post", path: "/transcripts", tag: "Transcripts", role: "editor", status: 201,
+    summary: "Upload transcripts; each is catalogued as a meetings row",
+    upload: uploadTranscripts, multipart: "files",
+    body: {
+      date: { type: "date", description: "For all the files" },
+      countries: { type: "string", max: 500 }
+    },
+    handler: async (v, req, res) => {
+      const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+      if (!files.length) throw clientError("No files uploaded");
+      const results = await ingestTranscripts(files, v, req.user);
+      const failed = results.filter(r => !r.ok).length;
+      if (failed === results.length) res.status(400);
+      return { ok: failed === 0, uploaded: results.length - failed, failed, results };
+    }
+  },
+  {
+    method: "post", path: "/transcripts/ask", tag: "Transcripts",
+    summary: "Ask one question across the transcripts matching a search; sources[n - 1] is cited as [n]",
+    body: {
+      question: { type: "string", required: true },
+      keywords: { type: "string", max: 500 },
+      ...DATE_RANGE,
+      limit: { type: "int", min: 1, max: MAX_CROSS_TRANSCRIPTS, default: 20 },
+      style: STYLE
+    },
+    handler: async (v, req) => checked(await askAcrossTranscripts(v, req.user))
+  },
+  {
+    method: "get", path: "/transcripts/sync", tag: "Transcripts", summary: "When the Google Drive mirror was last synced, and what it holds",
+    handler: async () => {
+      if (!useGoogleDrive()) throw clientError("Google Drive is not configured");
+      return { mirror: await driveMirror.info() };
+    }
+  },
+  {
+    method: "post", path: "/transcripts/sync", tag: "Transcripts", role: "editor",
+    summary: "Sync the Google Drive mirror now: files downloaded, renamed and removed",
+    handler: async () => {
+      if (!useGoogleDrive()) throw clientError("Google Drive is not configured");
+      return { sync: await driveMirror.sync() };
+    }
+  },
+  {
+    method: "get", path: "/transcripts/:id", tag: "Transcripts", summary: "A parsed transcript (id URL-encoded)",
+    handler: async v => checked(await getTranscript(v))
+  },
+  {
+    method: "post", path: "/transcripts/:id/ask", tag: "Transcripts", summary: "Ask about one transcript",
+    body: {
+      question: { type: "string", required: true },
+      sessionId: { type: "string", max: 200, description: "Thread to continue; a new id starts one" },
+      name: { type: "string", max: 300, description: "Display name for the thread" },
+      style: STYLE
+    },
+    handler: async (v, req) => checked(await askTranscript(v, req.user))
+  },
+
+  // Reports
+  {
+    method: "get", path: "/reports", tag: "Reports", summary: "Saved weekly reports",
+    query: { ...REPORT_FILTERS, offset: { type: "int", min: 0, default: 0 } },
+    handler: async v => {
+      const fetched = await fetchFromSupabase({ ...v, type: "Report", count: true });
+      return { reports: fetched.rows.map(r => ({ ...r, summary_text: sanitizeHtml(r.summary_text) })), total: fetched.total, offset: v.offset };
+    }
+  },
+  {
+    method: "get", path: "/reports/export", tag: "Reports", summary: "Download the reports matching the filters",
+    query: { ...REPORT_FILTERS, format: { type: "enum", values: Object.keys(EXPORT_FORMATS), default: "md" } },
+    produces: Object.values(EXPORT_FORMATS).map(f => f.contentType),
+    handler: async v => checked(await exportReports(v))
+  },
+  {
+    method: "post", path: "/reports/generate", tag: "Reports", role: "editor", status: 201,
+    summary: "Generate a weekly report draft (saved right away with save=true)",
+    body: {
+      week: { type: "date", description: "Any day in the week; defaults to last week" },
+      ...DATE_RANGE,
+      countries: { type: "list", description: "Defaults to the user's partner countries" },
+      save: { type: "bool" }
+    },
+    handler: async (v, req) => {
+      const profile = await profiles.getProfile(req.user);
+      return { draft: await inputErrors(() => createReport(v, req.user, profile)) };
+    }
+  },
+  {
+    method: "get", path: "/reports/drafts", tag: "Reports", role: "editor", summary: "Reports waiting for review",
+    handler: async () => {
+      const drafts = await reportDrafts.list({ where: { status: "draft" }, order: { column: 'created_at', desc: true }, limit: 20 });
+      return { drafts: drafts.map(d => ({ ...d, summary: sanitizeHtml(d.summary) })) };
+    }
+  },
+  {
+    method: "post", path: "/reports/drafts/:id/save", tag: "Reports", role: "editor", summary: "Save a draft as a Report row",
+    body: { headline: { type: "string", max: 300 } },
+    handler: async (v, req) => {
+      const draft = await reportDrafts.get(v.id);
+      if (!draft) throw clientError("Draft not found");
+      return { draft: await inputErrors(() => publishReport(draft, req.user, v.headline)) };
+    }
+  },
+  {
+    method: "delete", path: "/reports/drafts/:id", tag: "Reports", role: "editor", summary: "Discard a draft",
+    handler: async v => {
+      if (!(await reportDrafts.remove(v.id))) throw clientError("Draft not found");
+      return {};
+    }
+  },
+
+  // Analytics
+  {
+    method: "get", path: "/analytics/activity", tag: "Analytics",
+    summary: "Meetings, notes and other rows per partner per week or month (reports not counted)",
+    query: {
+      ...DATE_RANGE,
+      countries: { type: "string", max: 500 },
+      bucket: { type: "enum", values: analytics.BUCKETS, default: "month" },
+      top: { type: "int", min: 1, max: 50, default: 10, description: "Partners with the most rows to return" }
+    },
+    handler: async v => await activityAnalytics(v)
+  },
+  {
+    method: "get", path: "/analytics/contacts", tag: "Analytics",
+    summary: "Last contact with each registered partner; stale when older than staleWeeks",
+    query: { staleWeeks: { type: "int", min: 1, max: 104 } },
+    handler: async v => await contactAnalytics(v)
+  },
+  {
+    method: "get", path: "/analytics/themes", tag: "Analytics",
+    summary: "Rows per theme per month, from themes already tagged",
+    query: {
+      ...DATE_RANGE,
+      countries: { type: "string", max: 500 },
+      top: { type: "int", min: 1, max: 30, default: 8 }
+    },
+    handler: async v => await themeAnalytics(v)
+  },
+  {
+    method: "post", path: "/analytics/themes/refresh", tag: "Analytics", role: "editor",
+    summary: "Have the model tag themes on rows that don't have them yet",
+    body: {
+      ...DATE_RANGE,
+      countries: { type: "string", max: 500 },
+      limit: { type: "int", min: 1, max: 200, default: 50, description: "Rows to tag in this call" }
+    },
+    handler: async v => await refreshThemes(v)
+  },
+
+  // Partner registry
+  {
+    method: "get", path: "/partners", tag: "Partners", summary: "The partner registry and the allowed stages",
+    handler: async () => ({ partners: await partners.listPartners(), stages: partners.PARTNER_STAGES })
+  },
+  {
+    method: "get", path: "/partners/:id", tag: "Partners", summary: "Partner page: the partner and everything filed under its names",
+    handler: async v => checked(await partnerOverview(v.id))
+  },
+  {
+    method: "post", path: "/partners", tag: "Partners", role: "editor", status: 201, summary: "Add a partner",
+    body: { id: { type: "string", max: 100 }, ...PARTNER_FIELDS, country: { ...PARTNER_FIELDS.country, required: true } },
+    handler: async v => ({ partner: await inputErrors(() => partners.createPartner(v)) })
+  },
+  {
+    method: "patch", path: "/partners/:id", tag: "Partners", role: "editor", summary: "Edit a partner",
+    body: PARTNER_FIELDS,
+    handler: async v => {
+      const { id, ...fields } = v;
+      return { partner: await inputErrors(() => partners.updatePartner(id, fields)) };
+    }
+  },
+  {
+    method: "delete", path: "/partners/:id", tag: "Partners", role: "admin", summary: "Delete a partner",
+    handler: async v => {
+      if (!(await partners.removePartner(v.id))) throw clientError("Partner not found");
+      return {};
+    }
+  },
+
+  // Action items
+  {
+    method: "get", path: "/tasks", tag: "Tasks", summary: "Action items, open first, soonest due first",
+    query: {
+      status: { type: "enum", values: [...tasks.TASK_STATUSES, "all"], default: "open" },
+      country: { type: "string", max: 500 },
+      owner: { type: "string", max: 100 },
+      sourceId: { type: "string", max: 500 }
+    },
+    handler: async v => ({ tasks: await tasks.listTasks(v) })
+  },
+  {
+    method: "post", path: "/tasks/extract", tag: "Tasks", role: "editor", summary: "Extract action items from a transcript or a meetings row",
+    body: {
+      transcriptId: { type: "string", max: 1000 },
+      meetingId: { type: "string", max: 100 },
+      name: { type: "string", max: 300 },
+      date: { type: "date" },
+      countries: { type: "string", max: 500 }
+    },
+    handler: async (v, req) => checked(await extractTasks(v, req.user))
+  },
+  {
+    method: "patch", path: "/tasks/:id", tag: "Tasks", role: "editor", summary: "Edit a task",
+    body: {
+      title: { type: "string", max: 300 },
+      owner: { type: "string", max: 100 },
+      due_date: { type: "date" },
+      country: { type: "string", max: 100 },
+      status: { type: "enum", values: tasks.TASK_STATUSES }
+    },
+    handler: async (v, req) => {
+      const { id, ...fields } = v;
+      return { task: await inputErrors(() => tasks.updateTask(id, fields, req.user)) };
+    }
+  },
+  {
+    method: "post", path: "/tasks/:id/complete", tag: "Tasks", role: "editor", summary: "Mark a task done",
+    handler: async (v, req) => ({ task: await inputErrors(() => tasks.updateTask(v.id, { status: "done" }, req.user)) })
+  },
+  {
+    method: "delete", path: "/tasks/:id", tag: "Tasks", role: "editor", summary: "Delete a task",
+    handler: async v => {
+      if (!(await tasks.removeTask(v.id))) throw clientError("Task not found");
+      return {};
+    }
+  },
+
+  // Notes, with attachments and edit history
+  {
+    method: "get", path: "/notes", tag: "Notes", summary: "Notes, newest first",
+    query: {
+      q: { type: "string", max: 300 },
+      tag: { type: "string", max: 40 },
+      countries: { type: "string", max: 500 },
+      linked: { type: "string", max: 500, description: "A transcript or meeting id" },
+      ...DATE_RANGE,
+      limit: { type: "int", min: 1, max: 200, default: 50 },
+      offset: { type: "int", min: 0, default: 0 }
+    },
+    handler: async v => await notes.listNotes(v)
+  },
+  {
+    method: "post", path: "/notes", tag: "Notes", role: "editor", status: 201, summary: "Add a note",
+    upload: uploadAttachments, multipart: "attachments",
+    body: { ...NOTE_FIELDS, summary: { ...NOTE_FIELDS.summary, required: true }, author: { type: "string", max: 100 } },
+    handler: async (v, req) => await inputErrors(() => createNote(v, req.files || [], req.user))
+  },
+  {
+    method: "get", path: "/notes/:id", tag: "Notes", summary: "One note",
+    handler: async v => {
+      const note = await notes.getNote(v.id);
+      if (!note) throw clientError("Note not found");
+      return { note };
+    }
+  },
+  {
+    method: "patch", path: "/notes/:id", tag: "Notes", role: "editor", summary: "Edit a note; returns the fields that changed",
+    body: NOTE_FIELDS,
+    handler: async (v, req) => {
+      const { id, ...fields } = v;
+      const result = await inputErrors(() => editNote(id, fields, req.user));
+      if (!result) throw clientError("Note not found");
+      return result;
+    }
+  },
+  {
+    method: "delete", path: "/notes/:id", tag: "Notes", role: "editor", summary: "Delete a note with its attachments and history",
+    handler: async v => {
+      if (!(await notes.removeNote(v.id))) throw clientError("Note not found");
+      meetingsCache.clear();
+      return {};
+    }
+  },
+  {
+    method: "get", path: "/notes/:id/history", tag: "Notes", summary: "Earlier versions of a note, newest first",
+    handler: async v => {
+      if (!(await notes.getNote(v.id))) throw clientError("Note not found");
+      return { revisions: await notes.noteHistory(v.id) };
+    }
+  },
+  {
+    method: "post", path: "/notes/:id/attachments", tag: "Notes", role: "editor", summary: "Attach files to a note",
+    upload: uploadAttachments, multipart: "attachments", body: {},
+    handler: async (v, req) => {
+      const files = req.files || [];
+      if (!files.length) throw clientError("No files uploaded");
+      const note = await inputErrors(() => {
+        files.forEach(uploads.attachmentName);
+        return notes.addAttachments(v.id, files, req.user);
+      });
+      if (!note) throw clientError("Note not found");
+      return { note };
+    }
+  },
+  {
+    // Always a download, never shown inline
+    method: "get", path: "/notes/:id/attachments/:attachmentId", tag: "Notes", summary: "Download an attachment",
+    produces: ["application/octet-stream"],
+    handler: async v => {
+      const file = await notes.readAttachment(v.id, v.attachmentId);
+      if (!file) throw clientError("Attachment not found");
+      return { filename: file.name, body: file.body };
+    }
+  },
+  {
+    method: "delete", path: "/notes/:id/attachments/:attachmentId", tag: "Notes", role: "editor", summary: "Delete an attachment",
+    handler: async (v, req) => {
+      const note = await notes.removeAttachment(v.id, v.attachmentId, req.user);
+      if (!note) throw clientError("Attachment not found");
+      return { note };
+    }
+  },
+
+  // Saved chats. Deleting a thread is also how a conversation is cleared.
+  {
+    method: "get", path: "/threads", tag: "Threads", summary: "The user's saved chats, newest first",
+    query: {
+      kind: { type: "enum", values: ["ask", "transcript"] },
+      limit: { type: "int", min: 1, max: 200, default: 50 }
+    },
+    handler: async (v, req) => await listThreads(v, req.user)
+  },
+  {
+    method: "get", path: "/threads/:id", tag: "Threads", summary: "A saved chat with its messages",
+    handler: async (v, req) => checked(await getThread(v, req.user))
+  },
+  {
+    method: "patch", path: "/threads/:id", tag: "Threads", summary: "Rename a chat",
+    body: { title: { type: "string", required: true, max: 200 } },
+    handler: async (v, req) => checked(await renameThread(v, req.user))
+  },
+  {
+    method: "delete", path: "/threads/:id", tag: "Threads", summary: "Delete a chat",
+    handler: async (v, req) => checked(await deleteThread(v, req.user))
+  },
+  {
+    method: "get", path: "/threads/:id/export", tag: "Threads", summary: "Download a chat, or only its nth answer",
+    query: {
+      format: { type: "enum", values: [...Object.keys(EXPORT_FORMATS), "json"], default: "md" },
+      answer: { type: "int", min: 1 }
+    },
+    produces: [...Object.values(EXPORT_FORMATS).map(f => f.contentType), "application/json"],
+    handler: async (v, req) => checked(await exportThread(v, req.user))
+  }
+];
+
+const apiRouter = express.Router();
+for (const r of API_ROUTES) {
+  const middleware = [...(r.role ? [requireRole(r.role)] : []), ...(r.upload ? [r.upload] : [])];
+  apiRouter[r.method](r.path, ...middleware, async (req, res, next) => {
+    try {
+      const v = {
+        ...req.params,
+        ...apiSchema.validate({ ...r.params, ...r.query, ...r.body }, { ...(r.body ? req.body : {}), ...(r.query ? req.query : {}), ...req.params })
+      };
+      if (r.status) res.status(r.status);
+      const result = await r.handler(v, req, res);
+      if (!r.produces) return res.json({ ok: true, ...result });
+      res.attachment(result.filename);
+      if (result.contentType) res.set('Content-Type', result.contentType);
+      res.set('X-Content-Type-Options', 'nosniff');
+      return res.send(result.body);
+    } catch (err) {
+      next(err);
+    }
+  });
+}
+
+apiRouter.get('/openapi.json', (req, res) => {
+  res.json(apiSchema.openApiDocument(API_ROUTES, { title: "Teach For All Insight API", version: "1.0.0", serverUrl: "/api/v1" }));
+});
+
+app.use('/api/v1', apiRouter);
+// The same routes without the version, as the current app.html calls them
+app.use('/api', apiRouter);
+
+// For Vercel Cron (or any external scheduler): Authorization: Bearer CRON_SECRET
+app.get('/api/cron/weekly-report', async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ ok: false, error: "Invalid cron secret" });
+  }
+  try {
+    const draft = await runScheduledReport();
+    return res.json({ ok: true, draft });
+  } catch (err) {
+    console.error('Scheduled report failed:', err);
+    return res.status(500).json({ ok: false, error: apiSchema.publicMessage(err) });
+  }
+});
+
+// Legacy action API (GET /api?action=...), kept as it was for the current
+// app.html: failures still answer 200 with { ok: false, error }. New clients
+// use the REST routes above.
+app.get('/api', async (req, res) => {
+  try {
+    const action = (req.query.action || "ask").toLowerCase();
+
+    if (action === "findtranscripts") {
+      const result = await findTranscripts(req.query);
+      return res.json(result);
+    }
+
+    if (action === "asktranscript") {
+      const result = await askTranscript(req.query, req.user);
+      return res.json(result);
+    }
+
+    if (action === "gettranscript") {
+      const result = await getTranscript(req.query);
+      return res.json(result);
+    }
+
+    if (action === "askalltranscripts") {
+      const result = await askAcrossTranscripts(req.query, req.user);
+      return res.json(result);
+    }
+
+    if (action === "addnote") {
+      if (!auth.hasRole(req.user, 'editor')) return res.status(403).json({ ok: false, error: "Only editors can add notes", code: "forbidden" });
+      // Kept for old clients; new ones use POST /api/v1/notes
+      const p = req.query;
+      const { note, tasks: taskCount } = await createNote({
+        note: p.note, headline: p.headline || p.note_headline, author: p.author, date: p.date, countries: p.countries,
+        ...(p.meeting_id ? { links: [{ type: "meeting", id: p.meeting_id }] } : {})
+      }, [], req.user);
+      return res.json({ ok: true, result: { table: "meetings", inserted: 1, row: note, tasks: taskCount } });
+    }
+
+    if (action === "getreports") {
+      const params = {
+        from: req.query.from || "",
+        to: req.query.to || "",
+        type: "Report",
+        countries: req.query.countries || "",
+        topic: req.query.topic || "",
+        sort: req.query.sort || "newest",
+        limit: Math.min(Number(req.query.limit || 50), 200),
+        offset: Number(req.query.offset || 0),
+        count: true
       };
       const fetched = await fetchFromSupabase(params);
-      return res.json({ ok: true, reports: fetched.rows });
+      const reports = fetched.rows.map(r => ({ ...r, summary_text: sanitizeHtml(r.summary_text) }));
+      return res.json({ ok: true, reports, total: fetched.total, offset: params.offset });
     }
 
     if (action === "clearconversation") {
       const sessionId = req.query.sessionId || "default";
-      clearConversation(sessionId);
+      await clearConversation(sessionId, req.user);
       return res.json({ ok: true, message: "Conversation cleared" });
     }
 
     if (action === "cleartranscriptconversation") {
       const sessionId = req.query.sessionId || "tr_default";
-      clearTranscriptConversation(sessionId);
+      await clearConversation(sessionId, req.user);
       return res.json({ ok: true, message: "Transcript conversation cleared" });
     }
 
+    if (action === "listthreads") {
+      return res.json(await listThreads(req.query, req.user));
+    }
+
+    if (action === "getthread") {
+      return res.json(await getThread(req.query, req.user));
+    }
+
+    if (action === "renamethread") {
+      return res.json(await renameThread(req.query, req.user));
+    }
+
+    if (action === "deletethread") {
+      return res.json(await deleteThread(req.query, req.user));
+    }
+
+    if (action === "exportthread" || action === "exportreports") {
+      const result = action === "exportthread" ? await exportThread(req.query, req.user) : await exportReports(req.query);
+      if (!result.ok) return res.json(result);
+      res.set('Content-Type', result.contentType);
+      res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+      return res.send(result.body);
+    }
+
     if (action === "ask") {
-      const sessionId = req.query.sessionId || "default";
-      const conversation = getConversation(sessionId);
-      
-      const params = {
-        from: req.query.from || "",
-        to: req.query.to || "",
-        type: req.query.type || "all",
-        countries: req.query.countries || "",
-        topic: req.query.topic || "",
-        limit: Number(req.query.limit || 100),
-        style: req.query.style || "normal",
-        question: req.query.question || req.query.q || ""
-      };
-      
-      const fetched = await fetchFromSupabase(params);
-      
-      // Build system context with data (only on first message or when filters change)
-      const filtersKey = JSON.stringify({ from: params.from, to: params.to, type: params.type, countries: params.countries, topic: params.topic });
-      const needsNewContext = conversation.context !== filtersKey || conversation.history.length === 0;
-      
-      let prompt;
-      if (needsNewContext) {
-        // First message or filters changed - include full context
-        prompt = buildPromptSimple(params.question, fetched.rows, params.style);
-        conversation.context = filtersKey;
-        // Clear old history when context changes
-        conversation.history = [];
-      } else {
-        // Follow-up message - just the question with reference to previous context
-        prompt = `Follow-up question (use the same data context from our conversation):\n\n${params.question}\n\nRemember to return clean HTML and cite sources using [n] format if relevant.`;
-      }
-      
-      // Get answer with conversation history
-      const answer = await gemini(MODEL_SYNTH, prompt, conversation.history);
-      
-      // Store in conversation history
-      conversation.history.push({ role: "user", text: prompt });
-      conversation.history.push({ role: "model", text: answer });
-      
-      // Trim history if too long
-      if (conversation.history.length > MAX_CONVERSATION_HISTORY * 2) {
-        conversation.history = conversation.history.slice(-MAX_CONVERSATION_HISTORY * 2);
-      }
-      
-      const sources = fetched.rows.map(r => ({ 
-        title: r.title, 
-        date: r.date_iso, 
-        type: r.type || "", 
-        countries: r.countries || "",
-        message_id: r.message_id || "",
-        file_path: r.file_path || "",
-        source_url: r.source_url || ""
-      }));
-      
-      return res.json({ 
-        ok: true, 
-        filters: fetched.filters, 
-        answer, 
-        sources,
-        conversationLength: conversation.history.length / 2,
-        isNewConversation: needsNewContext,
-        debug: { rest: fetched.restUrl, sql_approx: fetched.sqlApprox, prompt } 
-      });
+      const prep = await prepareAsk(req.query, req.user);
+      const answer = await guardedGenerate(prep.prompt, prep.history);
+      return res.json(await finishAsk(prep, answer));
     }
 
     return res.json({ ok: false, error: `Unknown action "${action}"` });
   } catch (err) {
     console.error('API Error:', err);
-    return res.json({ ok: false, error: String(err) });
+    return res.json({ ok: false, error: apiSchema.publicMessage(err) });
   }
 });
 
+// Streaming answers (Server-Sent Events). Same parameters as /api?action=ask,
+// asktranscript and askalltranscripts; emits "meta", "token", "done" and "error" events.
+app.get('/api/stream', async (req, res) => {
+  const action = (req.query.action || "ask").toLowerCase();
+  const controller = new AbortController();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The client went away (New conversation, navigation): stop generating
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const onToken = text => send("token", { text });
+
+  try {
+    if (action === "asktranscript") {
+      const prep = await prepareTranscriptAsk(req.query, req.user);
+      if (!prep.ok) {
+        send("error", prep);
+      } else {
+        send("meta", { ok: true, coverage: prep.coverage });
+        const reply = await guardedStream(prep.prompt, prep.history, grounding.answerOnly(sanitizeStream(onToken)), controller.signal);
+        const result = await finishTranscriptAsk(prep, reply);
+        send("done", { threadId: result.threadId, saved: result.saved, conversationLength: result.conversationLength, isNewConversation: result.isNewConversation, answer: result.answer, grounding: result.grounding, suspicious: result.suspicious, promptVersion: result.promptVersion });
+      }
+    } else if (action === "askalltranscripts") {
+      const prep = await prepareCrossTranscriptAsk(req.query, req.user);
+      if (!prep.ok) {
+        send("error", prep);
+      } else {
+        send("meta", { ok: true, sources: prep.sources, skipped: prep.skipped });
+        const reply = await guardedStream(prep.prompt, [], grounding.answerOnly(sanitizeStream(onToken)), controller.signal);
+        const result = finishCrossTranscriptAsk(prep, reply);
+        send("done", { ok: true, answer: result.answer, grounding: result.grounding, suspicious: result.suspicious, promptVersion: result.promptVersion });
+      }
+    } else if (action === "ask") {
+      const prep = await prepareAsk(req.query, req.user);
+      send("meta", { ok: true, filters: prep.filters, sources: prep.sources, debug: prep.debug });
+      const reply = await guardedStream(prep.prompt, prep.history, grounding.answerOnly(sanitizeStream(onToken)), controller.signal);
+      const result = await finishAsk(prep, reply);
+      send("done", { threadId: result.threadId, saved: result.saved, conversationLength: result.conversationLength, isNewConversation: result.isNewConversation, answer: result.answer, grounding: result.grounding, suspicious: result.suspicious, promptVersion: result.promptVersion, debug: result.debug });
+    } else {
+      send("error", { ok: false, error: `Unknown action "${action}"` });
+    }
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log('Stream cancelled by client:', action);
+    } else {
+      console.error('Stream Error:', err);
+      send("error", { ok: false, error: apiSchema.publicMessage(err) });
+    }
+  }
+  res.end();
+});
+
+// Unknown API paths, and errors passed on by the routes above (including
+// request bodies that aren't valid JSON)
+app.use('/api', (req, res) => {
+  res.status(404).json({ ok: false, error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}`, code: "not_found" });
+});
+
+app.use('/api', (err, req, res, next) => {
+  const { status, body } = apiSchema.errorResponse(err);
+  if (status >= 500) console.error('API Error:', err);
+  res.status(status).json(body);
+});
+
 // Serve the frontend
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'app.html'));
@@ -806,7 +2543,18 @@ app.get('/', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Teach For All Insight server running on http://localhost:${PORT}`);
-  console.log(`📁 Transcripts: ${useGoogleDrive() ? 'Google Drive (folder ' + GDRIVE_FOLDER_ID + ')' : (process.env.TRANSCRIPTS_FOLDER || './transcripts')}`);
+  console.log(`📁 Transcripts: ${useGoogleDrive() ? 'Google Drive (folder ' + GDRIVE_FOLDER_ID + ')' : transcriptsFolder()}`);
   console.log(`🗄️  Supabase URL: ${SUPABASE_URL || 'Not configured'}`);
-  console.log(`🤖 Gemini API: ${process.env.GEMINI_API_KEY ? 'Configured' : 'Not configured'}`);
+  console.log(`🤖 LLM: ${llm.describeProvider()}`);
+  authReady.then(() => console.log(`🔐 Sign-in: ${authRequired ? 'required' : 'off (no user accounts - set ADMIN_PASSWORD to create one)'}`));
+
+  // Scheduled weekly reports (on Vercel, the cron in vercel.json calls /api/cron/weekly-report instead)
+  if (process.env.REPORT_SCHEDULE && !process.env.VERCEL) {
+    try {
+      scheduleCron(process.env.REPORT_SCHEDULE, runScheduledReport);
+      console.log(`📊 Weekly reports: ${process.env.REPORT_SCHEDULE} (UTC) for ${process.env.REPORT_COUNTRIES || '(REPORT_COUNTRIES not set)'}`);
+    } catch (e) {
+      console.error('Invalid REPORT_SCHEDULE:', e.message);
+    }
+  }
 });
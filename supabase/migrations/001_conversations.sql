@@ -0,0 +1,18 @@
+-- Saved Ask / Transcript chat threads (see lib/tableStore.js)
+create table if not exists public.conversations (
+  id text primary key,
+  kind text not null default 'ask' check (kind in ('ask', 'transcript')),
+  title text not null default '',
+  filters jsonb,
+  transcript_id text,
+  transcript_name text,
+  context text,
+  items_context jsonb,
+  history jsonb not null default '[]'::jsonb,
+  messages jsonb not null default '[]'::jsonb,
+  message_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists conversations_updated_at_idx on public.conversations (updated_at desc);
@@ -0,0 +1,20 @@
+-- User accounts (see lib/auth.js). The table holds password hashes: keep it
+-- private by enabling RLS and using the service-role key as SUPABASE_KEY.
+create table if not exists public.users (
+  id text primary key,
+  username text not null unique,
+  name text not null default '',
+  role text not null default 'viewer' check (role in ('viewer', 'editor', 'admin')),
+  password_hash text not null,
+  disabled boolean not null default false,
+  last_login_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.users enable row level security;
+
+-- Who created a note / a saved chat
+alter table public.meetings add column if not exists created_by text;
+alter table public.conversations add column if not exists created_by text;
+create index if not exists conversations_created_by_idx on public.conversations (created_by, updated_at desc);
@@ -0,0 +1,11 @@
+-- Per-user profile used to frame answers (see lib/profiles.js)
+create table if not exists public.profiles (
+  id text primary key,
+  name text not null default '',
+  title text not null default '',
+  region text not null default '',
+  countries jsonb not null default '[]'::jsonb,
+  answer_style text not null default 'normal' check (answer_style in ('normal', 'short')),
+  about text not null default '',
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,17 @@
+-- Generated weekly reports awaiting review (see generateReport in server.js)
+create table if not exists public.report_drafts (
+  id text primary key,
+  status text not null default 'draft' check (status in ('draft', 'saved')),
+  "from" date not null,
+  "to" date not null,
+  countries jsonb not null default '[]'::jsonb,
+  headline text not null default '',
+  summary text not null default '',
+  sources jsonb not null default '[]'::jsonb,
+  meeting_id bigint,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists report_drafts_status_idx on public.report_drafts (status, created_at desc);
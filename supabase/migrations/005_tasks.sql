@@ -0,0 +1,22 @@
+-- Action items extracted from transcripts and notes (see lib/tasks.js)
+create table if not exists public.tasks (
+  id text primary key,
+  title text not null,
+  owner text not null default '',
+  due_date date,
+  country text not null default '',
+  quote text not null default '',
+  status text not null default 'open' check (status in ('open', 'done')),
+  source_type text not null,
+  source_id text not null,
+  source_title text not null default '',
+  source_date date,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz,
+  completed_by text
+);
+
+create index if not exists tasks_status_due_idx on public.tasks (status, due_date);
+create index if not exists tasks_source_idx on public.tasks (source_id);
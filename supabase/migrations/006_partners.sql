@@ -0,0 +1,18 @@
+-- Partner registry (see lib/partners.js) and the link from meetings rows
+create table if not exists public.partners (
+  id text primary key,
+  country text not null,
+  name text not null default '',
+  aliases jsonb not null default '[]'::jsonb,
+  region text not null default '',
+  stage text not null default '' check (stage in ('', 'exploring', 'early-stage', 'growing', 'established')),
+  ceo text not null default '',
+  contacts jsonb not null default '[]'::jsonb,
+  about text not null default '',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Set on insert for notes, uploads and reports whose countries name a partner
+alter table public.meetings add column if not exists partner_ids text[] not null default '{}';
+create index if not exists meetings_partner_ids_idx on public.meetings using gin (partner_ids);
@@ -0,0 +1,6 @@
+-- Indexes for the topic filter, which uses full-text search on headline and
+-- summary (see topicCondition in server.js). The config must match
+-- FTS_CONFIG (default 'english') for the indexes to be used.
+create index if not exists meetings_headline_fts_idx on public.meetings using gin (to_tsvector('english', headline));
+create index if not exists meetings_summary_fts_idx on public.meetings using gin (to_tsvector('english', summary));
+create index if not exists meetings_date_id_idx on public.meetings (date desc, id desc);
@@ -0,0 +1,27 @@
+-- Notes are meetings rows with type 'Note' (see lib/notes.js). Tags, links to
+-- the transcripts or meetings a note is about, and attached files:
+--   links:       [{"type": "transcript" | "meeting", "id": "...", "title": "..."}]
+--   attachments: [{"id", "name", "size", "content_type", "path", "uploaded_by", "uploaded_at"}]
+alter table public.meetings add column if not exists tags text[] not null default '{}';
+alter table public.meetings add column if not exists links jsonb not null default '[]'::jsonb;
+alter table public.meetings add column if not exists attachments jsonb not null default '[]'::jsonb;
+alter table public.meetings add column if not exists updated_at timestamptz;
+alter table public.meetings add column if not exists updated_by text;
+create index if not exists meetings_tags_idx on public.meetings using gin (tags);
+
+-- Edit history: the note as it was before each edit, and which fields changed
+create table if not exists public.note_revisions (
+  id text primary key,
+  note_id text not null,
+  date date,
+  countries text,
+  headline text,
+  summary text,
+  tags text[],
+  links jsonb,
+  changed text[] not null default '{}',
+  edited_by text,
+  edited_at timestamptz not null default now()
+);
+
+create index if not exists note_revisions_note_idx on public.note_revisions (note_id, edited_at desc);
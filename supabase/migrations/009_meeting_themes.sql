@@ -0,0 +1,10 @@
+-- Themes the model tagged on meetings rows, for the Analytics tab (see
+-- lib/analytics.js). hash is of the row's title and text when it was tagged;
+-- rows whose text has changed since are tagged again.
+create table if not exists public.meeting_themes (
+  id text primary key,
+  hash text not null,
+  themes text[] not null default '{}',
+  prompt_version text,
+  tagged_at timestamptz not null default now()
+);
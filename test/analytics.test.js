@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { bucketOf, bucketRange, activitySeries, lastContacts, themeTrends } = require('../lib/analytics');
+
+const PARTNERS = [
+  { id: 'spain', country: 'Spain', aliases: ['ES'] },
+  { id: 'peru', country: 'Peru', name: 'Enseña Perú' },
+  { id: 'chile', country: 'Chile' }
+];
+
+test('weeks start on Monday (UTC) and months are calendar months', () => {
+  assert.strictEqual(bucketOf('2025-02-10', 'week'), '2025-02-10');
+  assert.strictEqual(bucketOf('2025-02-16T23:30:00Z', 'week'), '2025-02-10');
+  assert.strictEqual(bucketOf('2025-02-17', 'week'), '2025-02-17');
+  // Across a month and a year
+  assert.strictEqual(bucketOf('2025-03-01', 'week'), '2025-02-24');
+  assert.strictEqual(bucketOf('2025-01-01', 'week'), '2024-12-30');
+  assert.strictEqual(bucketOf('2025-02-28T12:00:00Z', 'month'), '2025-02');
+
+  assert.deepStrictEqual(bucketRange('2025-02-12', '2025-03-03', 'week'), ['2025-02-10', '2025-02-17', '2025-02-24', '2025-03-03']);
+  assert.deepStrictEqual(bucketRange('2024-11-15', '2025-02-01', 'month'), ['2024-11', '2024-12', '2025-01', '2025-02']);
+  assert.deepStrictEqual(bucketRange('2025-03-01', '2025-02-01', 'month'), []);
+});
+
+test('activity is counted per partner per week, with gaps as zeros', () => {
+  const rows = [
+    { id: 1, type: 'Meeting', date_iso: '2025-02-10', countries: 'Spain' },
+    { id: 2, type: 'Note', date_iso: '2025-02-16T20:00:00Z', countries: 'ES, Peru' },
+    { id: 3, type: 'Meeting', date_iso: '2025-02-25', countries: 'Philippines', partner_ids: ['chile'] },
+    { id: 4, type: 'Meeting', date_iso: '2025-02-26', countries: 'Narnia' },
+    { id: 5, type: 'Report', date_iso: '2025-02-26', countries: 'Spain' },
+    { id: 6, type: 'Meeting', date_iso: '2025-03-10', countries: 'Spain' },
+    { id: 7, type: 'Meeting', countries: 'Spain' }
+  ];
+  const s = activitySeries(rows, PARTNERS, { from: '2025-02-10', to: '2025-03-02', bucket: 'week' });
+  assert.deepStrictEqual(s.buckets, ['2025-02-10', '2025-02-17', '2025-02-24']);
+  assert.deepStrictEqual(s.totals, [2, 0, 2]);
+  assert.strictEqual(s.rows, 4);
+  assert.deepStrictEqual(s.series.map(p => [p.country, p.partner_id, p.counts, p.total]), [
+    ['Spain', 'spain', [2, 0, 0], 2],
+    ['Chile', 'chile', [0, 0, 1], 1],
+    ['Narnia', null, [0, 0, 1], 1],
+    ['Peru', 'peru', [1, 0, 0], 1]
+  ]);
+  assert.deepStrictEqual(s.byType, [{ type: 'Meeting', counts: [1, 0, 2], total: 3 }, { type: 'Note', counts: [1, 0, 0], total: 1 }]);
+
+  const top = activitySeries(rows, PARTNERS, { from: '2025-02-01', to: '2025-03-31', bucket: 'month', top: 1 });
+  assert.deepStrictEqual(top.series.map(p => [p.country, p.counts]), [['Spain', [2, 1]]]);
+  assert.strictEqual(top.otherPartners, 3);
+});
+
+test('partners are stale from exactly staleWeeks weeks without contact', () => {
+  const rows = [
+    { id: 1, type: 'Meeting', date_iso: '2025-03-04', countries: 'Spain', title: 'Catch-up' },
+    { id: 2, type: 'Meeting', date_iso: '2025-02-25T09:00:00Z', countries: 'Spain' },
+    { id: 3, type: 'Note', date_iso: '2025-03-05', countries: 'Peru' },
+    // Reports don't count as contact
+    { id: 4, type: 'Report', date_iso: '2025-03-31', countries: 'Peru, Chile' }
+  ];
+  // 2025-04-01 is 4 weeks after 2025-03-04 and 3 weeks and 6 days after 2025-03-05
+  const { contacts, alerts } = lastContacts(rows, PARTNERS, { today: '2025-04-01', staleWeeks: 4, since: '2025-01-01' });
+  assert.deepStrictEqual(contacts.map(c => [c.country, c.last_date, c.weeks_since, c.stale]), [
+    ['Chile', null, null, true],
+    ['Spain', '2025-03-04', 4, true],
+    ['Peru', '2025-03-05', 3, false]
+  ]);
+  assert.strictEqual(contacts[1].last_title, 'Catch-up');
+  assert.strictEqual(alerts, 2);
+});
+
+test('themes are trended by month, most frequent first', () => {
+  const rows = [
+    { id: 1, date_iso: '2025-01-05' },
+    { id: 2, date_iso: '2025-02-05' },
+    { id: 3, date_iso: '2025-02-20' },
+    { id: 4, date_iso: '2024-12-31' },
+    { id: 5, date_iso: '2025-02-21' }
+  ];
+  const tagged = new Map([['1', ['training']], ['2', ['training', 'alumni']], ['3', ['alumni', 'retention']], ['4', ['training']]]);
+  const trends = themeTrends(rows, tagged, { from: '2025-01-01', to: '2025-02-28', top: 2 });
+  assert.deepStrictEqual(trends.months, ['2025-01', '2025-02']);
+  assert.deepStrictEqual(trends.themes, [
+    { theme: 'alumni', counts: [0, 2], total: 2 },
+    { theme: 'training', counts: [1, 1], total: 2 }
+  ]);
+  assert.strictEqual(trends.otherThemes, 1);
+});
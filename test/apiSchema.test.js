@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { apiError, validate, errorResponse, openApiDocument } = require('../lib/apiSchema');
+
+// The 400 validate() throws, as { param: message }
+function invalid(schema, input) {
+  try {
+    validate(schema, input);
+  } catch (err) {
+    assert.strictEqual(err.status, 400);
+    assert.strictEqual(err.code, 'invalid_params');
+    return Object.fromEntries(err.details.map(d => [d.param, d.message]));
+  }
+  assert.fail('validate() accepted ' + JSON.stringify(input));
+}
+
+test('blank values: defaults, required parameters and cleared fields', () => {
+  const schema = {
+    limit: { type: 'int', min: 1, max: 200, default: 50 },
+    q: { type: 'string' },
+    headline: { type: 'string', required: true },
+    sort: { type: 'enum', values: ['newest', 'oldest'], default: 'newest' }
+  };
+  assert.deepStrictEqual(validate(schema, { limit: ' ', q: '  ', headline: 'x', sort: null }), { limit: 50, q: '', headline: 'x', sort: 'newest' });
+  assert.deepStrictEqual(validate(schema, { headline: 'x', other: 'ignored' }), { limit: 50, headline: 'x', sort: 'newest' });
+  assert.deepStrictEqual(invalid(schema, { headline: ' ' }), { headline: 'headline is required' });
+  // Every invalid parameter is listed
+  assert.deepStrictEqual(invalid(schema, { limit: '0', sort: 'Random' }), {
+    limit: 'limit must be at least 1',
+    headline: 'headline is required',
+    sort: 'sort must be one of: newest, oldest'
+  });
+});
+
+test('values are converted and checked by type', () => {
+  const schema = {
+    n: { type: 'int' },
+    on: { type: 'bool' },
+    kind: { type: 'enum', values: ['note', 'report'] },
+    tags: { type: 'list' },
+    ids: { type: 'list', separator: '|' },
+    links: { type: 'array' },
+    meta: { type: 'object' },
+    title: { type: 'string', max: 5 }
+  };
+  assert.deepStrictEqual(validate(schema, { n: '12', on: 'off', kind: ' Note ', tags: 'a, b,,c ', ids: 'x|y', links: '[{"id":1}]', meta: { a: 1 }, title: 'short' }), {
+    n: 12, on: false, kind: 'note', tags: ['a', 'b', 'c'], ids: ['x', 'y'], links: [{ id: 1 }], meta: { a: 1 }, title: 'short'
+  });
+  assert.deepStrictEqual(invalid(schema, { n: '1.5', on: 'yes', links: '{"id":1}', meta: [], title: 'too long', kind: 'x' }), {
+    n: 'n must be a whole number',
+    on: 'on must be true or false',
+    kind: 'kind must be one of: note, report',
+    links: 'links must be an array',
+    meta: 'meta must be an object',
+    title: 'title must be at most 5 characters'
+  });
+  assert.deepStrictEqual(invalid(schema, { links: '[oops', title: ['a'] }), { links: 'links must be a JSON array', title: 'title must be a string' });
+});
+
+test('dates must exist, and from must not be after to', () => {
+  const schema = { from: { type: 'date' }, to: { type: 'date' } };
+  assert.deepStrictEqual(validate(schema, { from: ' 2024-02-29 ', to: '2024-03-01' }), { from: '2024-02-29', to: '2024-03-01' });
+  for (const bad of ['2025-02-29', '2025-13-01', '2025-1-1', '01/02/2025', '2025-01-01T00:00']) {
+    assert.deepStrictEqual(invalid(schema, { from: bad }), { from: 'from must be a date (YYYY-MM-DD)' }, bad);
+  }
+  assert.deepStrictEqual(invalid(schema, { from: '2025-03-02', to: '2025-03-01' }), { from: 'from must not be after to' });
+  assert.deepStrictEqual(validate(schema, { from: '2025-03-01', to: '2025-03-01' }), { from: '2025-03-01', to: '2025-03-01' });
+});
+
+test('error responses hide upstream and unexpected messages', () => {
+  assert.deepStrictEqual(errorResponse(apiError(404, 'not_found', 'Note not found')), { status: 404, body: { ok: false, error: 'Note not found', code: 'not_found' } });
+  const secret = 'password=hunter2';
+  for (const [err, status, code] of [
+    [Object.assign(new Error(secret), { upstream: 'model' }), 502, 'model_error'],
+    [Object.assign(new Error(secret), { upstream: 'database' }), 502, 'database_error'],
+    [Object.assign(new Error(secret), { isAxiosError: true }), 502, 'upstream_error'],
+    [new Error(secret), 500, 'internal_error'],
+    [Object.assign(new Error('x'), { type: 'entity.parse.failed' }), 400, 'invalid_json']
+  ]) {
+    const res = errorResponse(err);
+    assert.deepStrictEqual([res.status, res.body.code], [status, code]);
+    assert.ok(!res.body.error.includes(secret));
+  }
+});
+
+test('the OpenAPI document describes parameters, bodies and downloads', () => {
+  const doc = openApiDocument([
+    {
+      method: 'get', path: '/notes/:id/history', tag: 'Notes', summary: 'History',
+      query: { limit: { type: 'int', min: 1, max: 50, default: 10 }, from: { type: 'date', description: 'Start' } }
+    },
+    {
+      method: 'post', path: '/notes', tag: 'Notes', role: 'editor', status: 201, summary: 'Add',
+      body: { summary: { type: 'string', max: 20000, required: true }, tags: { type: 'list' }, links: { type: 'array' } },
+      multipart: 'files'
+    },
+    { method: 'delete', path: '/notes/:id', tag: 'Notes', summary: 'Delete', params: { id: { type: 'string', description: 'Note id' } } },
+    { method: 'get', path: '/reports/export', tag: 'Reports', summary: 'Export', produces: ['text/markdown', 'application/pdf'] }
+  ], { title: 'API', version: '1.0.0', serverUrl: '/api/v1' });
+
+  assert.strictEqual(doc.openapi, '3.0.3');
+  assert.deepStrictEqual(doc.servers, [{ url: '/api/v1' }]);
+  assert.deepStrictEqual(Object.keys(doc.paths), ['/notes/{id}/history', '/notes', '/notes/{id}', '/reports/export']);
+
+  const history = doc.paths['/notes/{id}/history'].get;
+  assert.deepStrictEqual(history.parameters, [
+    { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+    { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 50, default: 10 } },
+    { name: 'from', in: 'query', required: false, schema: { type: 'string', format: 'date', description: 'Start' }, description: 'Start' }
+  ]);
+  assert.deepStrictEqual(history.responses.default.content['application/json'].schema, { $ref: '#/components/schemas/Error' });
+
+  const add = doc.paths['/notes'].post;
+  assert.strictEqual(add.description, 'Requires the editor role.');
+  assert.ok(add.responses[201]);
+  assert.strictEqual(add.requestBody.required, true);
+  const json = add.requestBody.content['application/json'].schema;
+  assert.deepStrictEqual(json.required, ['summary']);
+  assert.deepStrictEqual(json.properties.summary, { type: 'string', maxLength: 20000 });
+  assert.deepStrictEqual(json.properties.links, { type: 'array', items: { type: 'object' } });
+  assert.deepStrictEqual(add.requestBody.content['multipart/form-data'].schema.properties.files, { type: 'array', items: { type: 'string', format: 'binary' } });
+
+  assert.deepStrictEqual(doc.paths['/notes/{id}'].delete.parameters[0].description, 'Note id');
+  assert.deepStrictEqual(Object.keys(doc.paths['/reports/export'].get.responses[200].content), ['text/markdown', 'application/pdf']);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+test('a corrupt users file keeps sign-in required', async t => {
+  const server = await startServer({}, dir => fs.outputFile(path.join(dir, 'data', 'users.json'), '[{"id": "admin",'));
+  t.after(() => server.stop());
+
+  const res = await server.get('/api/v1/users');
+  assert.notStrictEqual(res.status, 200);
+  assert.strictEqual(res.body.ok, false);
+});
+
+test('admins cannot demote, disable or delete themselves under another spelling', async t => {
+  const server = await startServer({ ADMIN_USERNAME: 'Boss', ADMIN_PASSWORD: 'correct horse battery' });
+  t.after(() => server.stop());
+
+  const login = await server.request('/api/auth/login', { method: 'POST', body: { username: 'boss', password: 'correct horse battery' } });
+  assert.strictEqual(login.status, 200);
+  const { cookie } = login;
+
+  for (const id of ['boss', 'BOSS', 'Boss']) {
+    for (const body of [{ role: 'viewer' }, { disabled: true }]) {
+      const res = await server.request('/api/v1/users/' + id, { method: 'PATCH', body, cookie });
+      assert.strictEqual(res.status, 400, `${id} ${JSON.stringify(body)}`);
+    }
+    const del = await server.request('/api/v1/users/' + id, { method: 'DELETE', cookie });
+    assert.strictEqual(del.status, 400, id);
+  }
+  const me = await server.request('/api/v1/users', { cookie });
+  assert.strictEqual(me.body.users.find(u => u.id === 'boss').role, 'admin');
+});
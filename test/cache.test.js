@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCache, clearAll } = require('../lib/cache');
+
+// Date.now() returns `clock.now` for the rest of the test
+function fakeClock(t) {
+  const clock = { now: 1700000000000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+test('the least recently used entry is evicted', () => {
+  const cache = createCache('test-lru', { max: 2, ttlMs: 60000 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  assert.strictEqual(cache.get('a'), 1);
+  cache.set('c', 3);
+  assert.strictEqual(cache.get('b'), undefined);
+  assert.strictEqual(cache.get('a'), 1);
+  assert.strictEqual(cache.get('c'), 3);
+  // Setting a key again refreshes it too
+  cache.set('a', 10);
+  cache.set('d', 4);
+  assert.strictEqual(cache.get('c'), undefined);
+  assert.strictEqual(cache.get('a'), 10);
+  assert.deepStrictEqual(cache.stats(), {
+    name: 'test-lru', enabled: true, persisted: false, size: 2, max: 2, ttlSeconds: 60,
+    hits: 4, misses: 2, evictions: 2, hitRate: 0.667
+  });
+});
+
+test('entries expire after their time to live', t => {
+  const clock = fakeClock(t);
+  const cache = createCache('test-ttl', { ttlMs: 1000 });
+  cache.set('a', 1);
+  clock.now += 999;
+  assert.strictEqual(cache.get('a'), 1);
+  clock.now += 1;
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.strictEqual(cache.stats().size, 0);
+  // undefined is never stored; null and false are
+  cache.set('u', undefined);
+  cache.set('n', null);
+  assert.strictEqual(cache.stats().size, 1);
+  assert.strictEqual(cache.get('n'), null);
+});
+
+test('a cache with no time to live, or with CACHE=off, keeps nothing', t => {
+  const off = createCache('test-off');
+  off.set('a', 1);
+  assert.strictEqual(off.get('a'), undefined);
+  assert.strictEqual(off.stats().enabled, false);
+
+  const saved = process.env.CACHE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CACHE;
+    else process.env.CACHE = saved;
+  });
+  const cache = createCache('test-env', { ttlMs: 1000 });
+  cache.set('a', 1);
+  process.env.CACHE = 'off';
+  assert.strictEqual(cache.get('a'), undefined);
+  process.env.CACHE = 'on';
+  assert.strictEqual(cache.get('a'), 1);
+  clearAll();
+  assert.strictEqual(cache.get('a'), undefined);
+});
+
+test('getOrLoad shares one load between concurrent calls', async () => {
+  const cache = createCache('test-load', { ttlMs: 60000 });
+  let loads = 0;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const load = async () => { loads++; await gate; return { rows: loads }; };
+
+  const calls = [cache.getOrLoad('k', load), cache.getOrLoad('k', load), cache.getOrLoad('other', load)];
+  release();
+  const [a, b, other] = await Promise.all(calls);
+  assert.strictEqual(loads, 2);
+  assert.strictEqual(a, b);
+  assert.notStrictEqual(a, other);
+  assert.strictEqual(await cache.getOrLoad('k', load), a);
+  assert.strictEqual(loads, 2);
+
+  // Values keep() rejects are returned but not stored, and a failed load
+  // lets the next call try again
+  assert.deepStrictEqual(await cache.getOrLoad('empty', async () => [], v => v.length > 0), []);
+  assert.strictEqual(cache.get('empty'), undefined);
+  await assert.rejects(cache.getOrLoad('bad', async () => { throw new Error('down'); }), /down/);
+  assert.strictEqual(await cache.getOrLoad('bad', async () => 'ok'), 'ok');
+});
@@ -0,0 +1,21 @@
+// A zone far from UTC, so local-time matching would fail
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, cronMatches } = require('../lib/cron');
+
+test('schedules are matched in UTC', () => {
+  const mondays = parseCron('0 7 * * 1');
+  assert.strictEqual(cronMatches(mondays, new Date('2024-03-04T07:00:00Z')), true);
+  assert.strictEqual(cronMatches(mondays, new Date('2024-03-04T07:01:00Z')), false);
+  assert.strictEqual(cronMatches(mondays, new Date('2024-03-04T15:00:00Z')), false);
+  assert.strictEqual(cronMatches(mondays, new Date('2024-03-05T07:00:00Z')), false);
+});
+
+test('vercel.json runs the weekly report cron', () => {
+  const { crons } = require('../vercel.json');
+  const cron = crons.find(c => c.path === '/api/cron/weekly-report');
+  assert.ok(cron);
+  parseCron(cron.schedule);
+});
@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createDriveMirror } = require('../lib/driveMirror');
+const { FOLDER_TYPE, DOC_TYPE, createFakeDrive } = require('./helpers/fakeDrive');
+
+// A drive whose files getFiles() returns, and a mirror of its folder "root"
+// in a temp dir
+async function setup(t, getFiles) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tfa-mirror-'));
+  t.after(() => fs.remove(dir));
+  const drive = createFakeDrive(getFiles);
+  const mirror = createDriveMirror({ getDrive: async () => drive, folderId: 'root', dir });
+  // Calls made by the next sync
+  const calls = () => drive.calls.splice(0);
+  return { drive, mirror, dir, calls };
+}
+
+function file(id, name, parent, content, extra = {}) {
+  return { id, name, parents: [parent], content, modifiedTime: '2025-01-01T00:00:00.000Z', ...extra };
+}
+
+function folder(id, name, parent) {
+  return { id, name, parents: [parent], mimeType: FOLDER_TYPE };
+}
+
+async function names(mirror) {
+  return (await mirror.listing()).map(f => f.name).sort();
+}
+
+test('the first sync lists the folder tree and downloads every transcript', async t => {
+  const files = [
+    file('a', 'a.txt', 'root', 'A text'),
+    folder('sub', 'Sub', 'root'),
+    file('b', 'b.vtt', 'sub', 'WEBVTT\n\nB text'),
+    file('doc', 'Meeting notes', 'sub', 'Doc text', { mimeType: DOC_TYPE }),
+    file('img', 'photo.png', 'root', 'png', { mimeType: 'image/png' }),
+    folder('d1', 'D1', 'sub'),
+    folder('d2', 'D2', 'd1'),
+    file('c', 'c.srt', 'd2', '1\n00:00:01,000 --> 00:00:02,000\nC text'),
+    folder('d3', 'D3', 'd2'),
+    file('deep', 'deep.txt', 'd3', 'too deep'),
+    file('other', 'other.txt', 'elsewhere', 'not in the folder'),
+    file('gone', 'gone.txt', 'root', 'trashed', { trashed: true })
+  ];
+  const { mirror, calls } = await setup(t, () => files);
+
+  const stats = await mirror.sync();
+  assert.strictEqual(stats.full, true);
+  assert.strictEqual(stats.downloaded, 4);
+  assert.strictEqual(stats.failed, 0);
+  assert.strictEqual(stats.files, 4);
+  assert.deepStrictEqual(await names(mirror), ['Meeting notes', 'a.txt', 'b.vtt', 'c.srt']);
+  assert.strictEqual(await mirror.read('a'), 'A text');
+  assert.strictEqual(await mirror.read('c'), '1\n00:00:01,000 --> 00:00:02,000\nC text');
+  assert.strictEqual(await mirror.read('deep'), null);
+  assert.strictEqual(await mirror.read('other'), null);
+
+  // Docs are exported as plain text, other files downloaded
+  const made = calls();
+  assert.deepStrictEqual(made.filter(c => c[0] === 'files.export'), [['files.export', 'doc']]);
+  assert.strictEqual(await mirror.read('doc'), 'Doc text');
+  assert.deepStrictEqual(made.filter(c => c[0] === 'files.download').map(c => c[1]).sort(), ['a', 'b', 'c']);
+
+  // Synced within maxAgeMs: nothing is asked
+  assert.strictEqual((await mirror.sync({ maxAgeMs: 60000 })).skipped, true);
+  assert.deepStrictEqual(calls(), []);
+});
+
+test('later syncs apply renames, edits, moves, trashing and deletes from the changes feed', async t => {
+  let files = [
+    file('a', 'a.txt', 'root', 'A text'),
+    file('b', 'b.txt', 'root', 'B text'),
+    folder('sub', 'Sub', 'root'),
+    file('c', 'c.txt', 'sub', 'C text'),
+    file('d', 'd.txt', 'root', 'D text'),
+    file('e', 'e.txt', 'root', 'E text'),
+    file('doc', 'Doc', 'root', 'v1', { mimeType: DOC_TYPE, modifiedTime: '2025-01-01T00:00:00.000Z' })
+  ];
+  const { mirror, calls } = await setup(t, () => files);
+  await mirror.sync();
+  calls();
+
+  const update = (id, patch) => { files = files.map(f => f.id === id ? { ...f, ...patch } : f); };
+  // Rename: no download
+  update('a', { name: 'a renamed.txt' });
+  let stats = await mirror.sync();
+  assert.strictEqual(stats.full, false);
+  assert.deepStrictEqual([stats.renamed, stats.downloaded, stats.removed], [1, 0, 0]);
+  assert.strictEqual(await mirror.read('a'), 'A text');
+  assert.ok((await names(mirror)).includes('a renamed.txt'));
+  assert.deepStrictEqual(calls().filter(c => c[0] !== 'changes.list'), []);
+
+  // Edited content, and an edited Doc (new modifiedTime): downloaded again
+  update('b', { content: 'B text v2' });
+  update('doc', { content: 'v2', modifiedTime: '2025-02-01T00:00:00.000Z' });
+  stats = await mirror.sync();
+  assert.strictEqual(stats.downloaded, 2);
+  assert.strictEqual(await mirror.read('b'), 'B text v2');
+  assert.strictEqual(await mirror.read('doc'), 'v2');
+  calls();
+
+  // Moved between folders of the tree: kept; moved out, trashed or deleted: removed
+  update('c', { parents: ['root'] });
+  update('d', { parents: ['elsewhere'] });
+  update('e', { trashed: true });
+  files = files.filter(f => f.id !== 'b');
+  stats = await mirror.sync();
+  assert.strictEqual(stats.full, false);
+  assert.strictEqual(stats.removed, 3);
+  assert.deepStrictEqual(await names(mirror), ['Doc', 'a renamed.txt', 'c.txt']);
+  for (const id of ['b', 'd', 'e']) assert.strictEqual(await mirror.read(id), null, id);
+  assert.strictEqual(await mirror.read('c'), 'C text');
+
+  // A file moved into the folder is added
+  update('d', { parents: ['sub'] });
+  stats = await mirror.sync();
+  assert.strictEqual(stats.downloaded, 1);
+  assert.strictEqual(await mirror.read('d'), 'D text');
+});
+
+test('folder changes and an expired page token list the whole folder again', async t => {
+  let files = [
+    file('a', 'a.txt', 'root', 'A text'),
+    folder('sub', 'Sub', 'root'),
+    file('b', 'b.txt', 'sub', 'B text')
+  ];
+  const { drive, mirror, calls } = await setup(t, () => files);
+  await mirror.sync();
+  calls();
+
+  // Renaming a folder keeps the files where they are
+  files = files.map(f => f.id === 'sub' ? { ...f, name: 'Renamed' } : f);
+  let stats = await mirror.sync();
+  assert.strictEqual(stats.full, false);
+
+  // Moving it out of the tree re-lists, and drops its files
+  files = files.map(f => f.id === 'sub' ? { ...f, parents: ['elsewhere'] } : f);
+  stats = await mirror.sync();
+  assert.strictEqual(stats.full, true);
+  assert.deepStrictEqual(await names(mirror), ['a.txt']);
+
+  // Drive no longer accepts the token (410): the folder is listed again,
+  // and unchanged files are not downloaded again
+  files = [...files, file('new', 'new.txt', 'root', 'New text')];
+  drive.expireTokens();
+  calls();
+  stats = await mirror.sync();
+  assert.strictEqual(stats.full, true);
+  assert.strictEqual(stats.downloaded, 1);
+  assert.deepStrictEqual(await names(mirror), ['a.txt', 'new.txt']);
+  const made = calls();
+  assert.ok(made.some(c => c[0] === 'files.list'));
+  assert.deepStrictEqual(made.filter(c => c[0] === 'files.download'), [['files.download', 'new']]);
+
+  // The new token works
+  stats = await mirror.sync();
+  assert.strictEqual(stats.full, false);
+});
+
+test('an unknown page token (400) also lists the whole folder again', async t => {
+  const files = [file('a', 'a.txt', 'root', 'A text')];
+  const { mirror, dir } = await setup(t, () => files);
+  await mirror.sync();
+
+  const stateFile = path.join(dir, 'state.json');
+  await fs.writeJson(stateFile, { ...(await fs.readJson(stateFile)), pageToken: 'garbage' });
+  const reloaded = createDriveMirror({ getDrive: async () => createFakeDrive(() => files), folderId: 'root', dir });
+  const stats = await reloaded.sync();
+  assert.strictEqual(stats.full, true);
+  assert.strictEqual(await reloaded.read('a'), 'A text');
+});
+
+test('failed downloads are left out and retried on the next sync', async t => {
+  let files = [
+    file('a', 'a.txt', 'root', 'A text'),
+    file('b', 'b.txt', 'root', 'B text'),
+    file('doc', 'Doc', 'root', 'Doc text', { mimeType: DOC_TYPE })
+  ];
+  const { drive, mirror, calls } = await setup(t, () => files);
+  drive.failing.add('b');
+  drive.failing.add('doc');
+
+  let stats = await mirror.sync();
+  assert.strictEqual(stats.failed, 2);
+  assert.deepStrictEqual(await names(mirror), ['a.txt']);
+  assert.strictEqual(await mirror.read('b'), null);
+
+  // Still failing: counted again, nothing else changes
+  drive.failing.delete('doc');
+  calls();
+  stats = await mirror.sync();
+  assert.strictEqual(stats.full, false);
+  assert.deepStrictEqual([stats.downloaded, stats.failed], [1, 1]);
+  assert.strictEqual(await mirror.read('doc'), 'Doc text');
+  assert.deepStrictEqual(calls().filter(c => c[0] === 'files.download').map(c => c[1]), ['b']);
+
+  // Works now, with no change on Drive to trigger it
+  drive.failing.delete('b');
+  stats = await mirror.sync();
+  assert.deepStrictEqual([stats.downloaded, stats.failed], [1, 0]);
+  assert.strictEqual(await mirror.read('b'), 'B text');
+  assert.deepStrictEqual(await names(mirror), ['Doc', 'a.txt', 'b.txt']);
+
+  // A file that failed and was then deleted is dropped
+  drive.failing.add('gone');
+  files = [...files, file('gone', 'gone.txt', 'root', 'x')];
+  await mirror.sync();
+  files = files.filter(f => f.id !== 'gone');
+  drive.failing.clear();
+  stats = await mirror.sync();
+  assert.strictEqual(stats.failed, 0);
+  assert.strictEqual((await mirror.info()).files, 3);
+});
+
+test('the mirror survives a restart', async t => {
+  const files = [file('a', 'a.txt', 'root', 'A text')];
+  const { mirror, dir } = await setup(t, () => files);
+  await mirror.sync();
+
+  const reloaded = createDriveMirror({ getDrive: async () => null, folderId: 'root', dir });
+  assert.strictEqual(await reloaded.read('a'), 'A text');
+  assert.strictEqual((await reloaded.info()).files, 1);
+
+  // Another folder starts over
+  const other = createDriveMirror({ getDrive: async () => null, folderId: 'other', dir });
+  assert.deepStrictEqual(await other.listing(), []);
+  await assert.rejects(other.sync(), /not configured/);
+});
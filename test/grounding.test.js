@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { answerOnly, splitClaims, checkClaims } = require('../lib/grounding');
+
+// What answerOnly passes on when the answer arrives in these chunks
+function streamed(chunks) {
+  let out = "";
+  const push = answerOnly(t => { out += t; });
+  for (const c of chunks) push(c);
+  return out;
+}
+
+test('answerOnly stops at the claims marker, however it is spelled or split', () => {
+  const answer = '<p>Budget approved [1]</p>\n';
+  const claims = '\n[{"claim": "x", "source": 1, "quote": "y"}]';
+  for (const marker of ['<!--CLAIMS-->', '<!-- claims -->', '<!--Claims  -->', '<!--\nCLAIMS\n-->']) {
+    const text = answer + marker + claims;
+    assert.strictEqual(streamed([text]), answer, marker);
+    // One character at a time, and split at every point
+    assert.strictEqual(streamed(text.split('')), answer, marker);
+    for (let i = 1; i < text.length; i++) {
+      assert.strictEqual(streamed([text.slice(0, i), text.slice(i)]), answer, `${marker} at ${i}`);
+    }
+  }
+});
+
+test('answerOnly passes on text that only looks like the start of the marker', () => {
+  const text = '<p>a < b</p><!-- note --><p>x <!-c</p>';
+  assert.strictEqual(streamed(text.split('')), text);
+  // Held back until it is clear
+  const out = [];
+  const push = answerOnly(t => out.push(t));
+  push('<p>Done</p><!-- cla');
+  assert.deepStrictEqual(out, ['<p>Done</p>']);
+  push('ssic -->');
+  assert.deepStrictEqual(out, ['<p>Done</p>', '<!-- classic -->']);
+});
+
+test('splitClaims separates the answer from its claims', () => {
+  const claims = [{ claim: 'Budget approved', source: 2, quote: 'Budget approved' }];
+  assert.deepStrictEqual(splitClaims(`<p>Yes [2]</p>\n<!--CLAIMS-->\n${JSON.stringify(claims)}`), { html: '<p>Yes [2]</p>', claims });
+  // Any spelling of the marker, a code fence, and junk around the list
+  assert.deepStrictEqual(splitClaims(`<p>Yes</p><!-- claims -->\n\`\`\`json\n${JSON.stringify([...claims, 'x', null])}\n\`\`\``), { html: '<p>Yes</p>', claims });
+  assert.deepStrictEqual(splitClaims('<p>No marker</p> '), { html: '<p>No marker</p>', claims: null });
+  assert.deepStrictEqual(splitClaims('<p>Bad</p><!--CLAIMS-->[{"claim": '), { html: '<p>Bad</p>', claims: null });
+  assert.deepStrictEqual(splitClaims('<p>Object</p><!--CLAIMS-->{"claim": "x"}'), { html: '<p>Object</p>', claims: null });
+  const many = Array.from({ length: 50 }, (_, i) => ({ claim: String(i) }));
+  assert.strictEqual(splitClaims(`x<!--CLAIMS-->${JSON.stringify(many)}`).claims.length, 40);
+});
+
+test('checkClaims looks for each quote in the source it cites', () => {
+  const sources = [
+    { text: 'Notes: the budget was approved for next year. Hiring is paused.' },
+    {
+      text: '[00:01] Ana: Hello\n[00:05] Ben: We’ll open two schools in Perú…',
+      segments: [{ time: '00:01', start: 1, speaker: 'Ana', text: 'Hello' }, { time: '00:05', start: 5, speaker: 'Ben', text: 'We’ll open two schools in Perú…' }]
+    }
+  ];
+  const claims = [
+    { claim: 'Approved', source: 1, quote: 'The Budget was approved' },
+    { claim: 'Schools', source: '[2]', quote: "we'll open two schools in peru" },
+    { claim: 'Gapped', source: 1, quote: 'budget was ... Hiring is paused' },
+    { claim: 'Wrong order', source: 1, quote: 'Hiring is paused … budget' },
+    { claim: 'Partial word', source: 1, quote: 'budge' },
+    { claim: 'Wrong source', source: 2, quote: 'budget was approved' },
+    { claim: 'No source', source: 3, quote: 'x' },
+    { claim: 'No quote', source: 1 },
+    { claim: 'Task', source: 't1', quote: 'call Ana' }
+  ];
+  const html = '<p>Approved [1], schools [2], other [3] and [0]. Task [T1].</p>';
+  const result = checkClaims(claims, html, sources, { named: { T1: { text: 'Call Ana by Friday' } } });
+  assert.deepStrictEqual(result.claims.map(c => [c.claim, c.status, c.source]), [
+    ['Approved', 'supported', 1],
+    ['Schools', 'supported', 2],
+    ['Gapped', 'supported', 1],
+    ['Wrong order', 'unsupported', 1],
+    ['Partial word', 'unsupported', 1],
+    ['Wrong source', 'unsupported', 2],
+    ['No source', 'invalid_source', 3],
+    ['No quote', 'no_quote', 1],
+    ['Task', 'supported', 'T1']
+  ]);
+  // The transcript turn holding the quote
+  assert.deepStrictEqual(result.claims[1].segment, { time: '00:05', start: 5, speaker: 'Ben' });
+  assert.strictEqual(result.claims[0].segment, undefined);
+  assert.deepStrictEqual([result.checked, result.supported, result.unsupported], [true, 4, 5]);
+  assert.deepStrictEqual(result.invalidCitations, [3, 0]);
+});
+
+test('checkClaims without claims still reports bad citations', () => {
+  assert.deepStrictEqual(checkClaims(null, '<p>See [1] and [4]</p><a href="[9]">x</a>', [{ text: 'x' }]), {
+    checked: false, claims: [], supported: 0, unsupported: 0, invalidCitations: [4]
+  });
+  // One source: every claim is about it, and [n] is not checked
+  const single = checkClaims([{ claim: 'x', source: 7, quote: 'hello' }], '[3]', [{ text: 'Hello there' }], { single: true });
+  assert.deepStrictEqual([single.claims[0].status, single.invalidCitations], ['supported', []]);
+});
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+// Stand-in for the googleapis Drive v3 client, for testing the Drive mirror
+// without Google. `getFiles()` returns the drive's current files:
+//
+//   [{ id, name, mimeType, parents: ['folderId'], modifiedTime, trashed, content }]
+//
+// Folders have mimeType application/vnd.google-apps.folder. The files are
+// read again on every call, and every file that differs from the last read is
+// recorded as a change, so editing them (renaming, moving, deleting, changing
+// content) shows up in changes.list like it would on Drive. `expireTokens()`
+// makes every page token handed out so far invalid, as Drive does after a
+// while, and downloads of the file ids in `failing` fail with a 500.
+
+const FOLDER_TYPE = 'application/vnd.google-apps.folder';
+const DOC_TYPE = 'application/vnd.google-apps.document';
+
+function driveError(status, message) {
+  return Object.assign(new Error(message), { code: status, response: { status } });
+}
+
+function createFakeDrive(getFiles) {
+  let snapshot = new Map();   // id -> JSON of the file as last read
+  const log = [];             // file ids in the order they changed
+  let generation = 1;         // page tokens are "<generation>:<log index>"
+  const calls = [];           // [method, fileId or query] for each call
+  const failing = new Set();
+
+  function readFiles() {
+    const files = new Map(getFiles().map(f => [String(f.id), {
+      mimeType: 'text/plain',
+      parents: [],
+      trashed: false,
+      modifiedTime: new Date(0).toISOString(),
+      ...f,
+      id: String(f.id)
+    }]));
+    const next = new Map(Array.from(files, ([id, f]) => [id, JSON.stringify(f)]));
+    for (const [id, json] of next) if (snapshot.get(id) !== json) log.push(id);
+    for (const id of snapshot.keys()) if (!next.has(id)) log.push(id);
+    snapshot = next;
+    return files;
+  }
+
+  // The metadata Drive would return (binary files have an md5Checksum)
+  function meta(f) {
+    const { content, ...rest } = f;
+    const out = { ...rest, size: String(Buffer.byteLength(content || "")) };
+    if (f.mimeType !== FOLDER_TYPE && f.mimeType !== DOC_TYPE) {
+      out.md5Checksum = crypto.createHash('md5').update(content || "").digest('hex');
+    }
+    return out;
+  }
+
+  function find(fileId) {
+    const f = readFiles().get(String(fileId));
+    if (!f) throw driveError(404, `File not found: ${fileId}.`);
+    return f;
+  }
+
+  // Only the queries the mirror sends: "'<id>' in parents and trashed = false"
+  function matches(f, q) {
+    const parent = String(q || "").match(/'([^']+)' in parents/);
+    if (parent && !f.parents.includes(parent[1])) return false;
+    if (/trashed\s*=\s*false/.test(q || "") && f.trashed) return false;
+    return true;
+  }
+
+  function page(list, pageToken, pageSize = 100) {
+    const start = Number(pageToken || 0);
+    const end = start + pageSize;
+    return { items: list.slice(start, end), next: end < list.length ? String(end) : undefined };
+  }
+
+  function download(fileId) {
+    const f = find(fileId);
+    if (failing.has(f.id)) throw driveError(500, 'Internal Error');
+    return f;
+  }
+
+  return {
+    calls,
+    failing,
+    expireTokens() {
+      generation++;
+    },
+    files: {
+      async list({ q, pageSize, pageToken } = {}) {
+        calls.push(['files.list', q]);
+        const list = Array.from(readFiles().values()).filter(f => matches(f, q)).map(meta);
+        const { items, next } = page(list, pageToken, pageSize);
+        return { data: { files: items, nextPageToken: next } };
+      },
+      async get({ fileId, alt }) {
+        calls.push([alt === 'media' ? 'files.download' : 'files.get', fileId]);
+        if (alt !== 'media') return { data: meta(find(fileId)) };
+        const f = download(fileId);
+        if (f.mimeType === DOC_TYPE) throw driveError(403, 'Only files with binary content can be downloaded. Use Export with Docs Editors files.');
+        return { data: f.content || "" };
+      },
+      async export({ fileId, mimeType }) {
+        calls.push(['files.export', fileId]);
+        const f = download(fileId);
+        if (f.mimeType !== DOC_TYPE) throw driveError(403, 'Export only supports Docs Editors files.');
+        if (mimeType !== 'text/plain') throw driveError(400, `Unsupported export type ${mimeType}`);
+        return { data: f.content || "" };
+      }
+    },
+    changes: {
+      async getStartPageToken() {
+        calls.push(['changes.getStartPageToken']);
+        readFiles();
+        return { data: { startPageToken: `${generation}:${log.length}` } };
+      },
+      async list({ pageToken, pageSize = 100 } = {}) {
+        calls.push(['changes.list', pageToken]);
+        const files = readFiles();
+        const m = String(pageToken || "").match(/^(\d+):(\d+)$/);
+        if (!m || Number(m[2]) > log.length) throw driveError(400, 'Invalid pageToken');
+        if (Number(m[1]) !== generation) throw driveError(410, 'Page token is no longer valid');
+        const { items, next } = page(log, m[2], pageSize);
+        const changes = items.map(id => files.has(id)
+          ? { fileId: id, removed: false, file: meta(files.get(id)) }
+          : { fileId: id, removed: true });
+        const token = n => `${generation}:${n}`;
+        return { data: { changes, ...(next ? { nextPageToken: token(next) } : { newStartPageToken: token(log.length) }) } };
+      }
+    }
+  };
+}
+
+module.exports = { FOLDER_TYPE, DOC_TYPE, createFakeDrive };
@@ -0,0 +1,70 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Runs server.js on a free port with file storage, the fixture LLM and fresh
+// DATA_DIR and TRANSCRIPTS_FOLDER directories (`setup(dir)` can fill them
+// before the server starts). Returns { url, dir, get, request, stop }.
+async function startServer(env = {}, setup) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tfa-test-'));
+  if (setup) await setup(dir);
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STORAGE_BACKEND: 'file',
+      LLM_PROVIDER: 'fixture',
+      DATA_DIR: path.join(dir, 'data'),
+      TRANSCRIPTS_FOLDER: path.join(dir, 'transcripts'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('server did not start:\n' + output)), 15000);
+      child.on('exit', code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n` + output)); });
+      child.stdout.on('data', () => {
+        if (output.includes('server running')) { clearTimeout(timer); resolve(); }
+      });
+    });
+  } catch (e) {
+    if (child.exitCode === null) child.kill();
+    await fs.remove(dir);
+    throw e;
+  }
+
+  return {
+    url,
+    dir,
+    async request(p, { method = 'GET', body, cookie } = {}) {
+      const headers = {};
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      if (cookie) headers.Cookie = cookie;
+      const res = await fetch(url + p, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+      const cookies = res.headers.getSetCookie().map(c => c.split(';')[0]).join('; ');
+      return { status: res.status, body: await res.json(), cookie: cookies };
+    },
+    get(p) {
+      return this.request(p);
+    },
+    async stop() {
+      child.removeAllListeners('exit');
+      await new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+      await fs.remove(dir);
+    }
+  };
+}
+
+module.exports = { startServer };
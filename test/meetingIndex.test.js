@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chunkText } = require('../lib/meetingIndex');
+
+const words = n => Array.from({ length: n }, (_, i) => `word${i}`).join(' ');
+
+test('short text is one chunk with its whitespace collapsed', () => {
+  assert.deepStrictEqual(chunkText('  Budget\n\napproved\tfor 2025 '), ['Budget approved for 2025']);
+  assert.deepStrictEqual(chunkText(''), ['']);
+  assert.deepStrictEqual(chunkText(null), ['']);
+  assert.deepStrictEqual(chunkText('x'.repeat(700)), ['x'.repeat(700)]);
+});
+
+test('long text is cut on word boundaries into overlapping chunks', () => {
+  const text = words(300);
+  const chunks = chunkText(text, 200, 50);
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) {
+    assert.ok(c.length <= 200, String(c.length));
+    assert.ok(c.length > 100, String(c.length));
+    // Whole words only
+    assert.match(c, /^word\d+( word\d+)*$/);
+  }
+  for (let i = 1; i < chunks.length; i++) {
+    const prev = chunks[i - 1].split(' ');
+    const next = chunks[i].split(' ');
+    // The next chunk starts within the last 50 characters of the one before
+    const shared = prev.indexOf(next[0]);
+    assert.ok(shared > 0, `chunk ${i} doesn't overlap the one before`);
+    assert.ok(prev.slice(shared).join(' ').length <= 50);
+    assert.deepStrictEqual(next.slice(0, prev.length - shared), prev.slice(shared));
+  }
+  // Nothing is lost: the first and last words are kept
+  assert.ok(chunks[0].startsWith('word0 '));
+  assert.ok(chunks[chunks.length - 1].endsWith(' word299'));
+});
+
+test('a word longer than a chunk is cut hard, without overlap', () => {
+  const chunks = chunkText('x'.repeat(450) + ' tail', 200, 50);
+  assert.deepStrictEqual(chunks, ['x'.repeat(200), 'x'.repeat(200), 'x'.repeat(50) + ' tail']);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer } = require('./helpers/server');
+
+test('notes linked to a transcript are filtered by Supabase, with their total', async t => {
+  // Supabase that records the meetings queries and has 3 matching notes
+  const queries = [];
+  const supabase = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/rest/v1/meetings') queries.push(url.searchParams);
+    const rows = [{ id: 'n1', type: 'Note', summary: 'x', links: [{ type: 'transcript', id: 'a, "b".txt', title: '' }] }];
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Range': '2-2/3' });
+    res.end(JSON.stringify(rows));
+  });
+  await new Promise(resolve => supabase.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => supabase.close(resolve)));
+
+  const server = await startServer({ SUPABASE_URL: `http://127.0.0.1:${supabase.address().port}`, SUPABASE_KEY: 'test' });
+  t.after(() => server.stop());
+
+  const res = await server.get('/api/v1/notes?linked=' + encodeURIComponent('a, "b".txt') + '&limit=2&offset=2');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.notes.map(n => n.id), ['n1']);
+  assert.strictEqual(res.body.total, 3);
+
+  const q = queries[queries.length - 1];
+  assert.strictEqual(q.get('links'), 'cs.[{"id":"a, \\"b\\".txt"}]');
+  assert.strictEqual(q.get('offset'), '2');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The registry in a JSON file under a temp DATA_DIR
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfa-partners-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = dir;
+const partners = require('../lib/partners');
+
+test.after(() => fs.remove(dir));
+
+test('partners named in any script get an id and are found by their names', async () => {
+  const ua = await partners.createPartner({ country: 'Україна', aliases: 'UA' });
+  const jp = await partners.createPartner({ country: '日本', name: 'Teach For Japan' });
+  const ci = await partners.createPartner({ country: "Côte d'Ivoire" });
+  assert.strictEqual(ua.id, 'украіна');
+  assert.strictEqual(jp.id, '日本');
+  assert.strictEqual(ci.id, 'cote-d-ivoire');
+
+  const list = await partners.listPartners();
+  assert.deepStrictEqual(partners.partnersIn('日本, Україна', list).map(p => p.id).sort(), ['украіна', '日本']);
+  assert.deepStrictEqual(partners.partnersIn('Cote d Ivoire', list).map(p => p.id), ['cote-d-ivoire']);
+  assert.deepStrictEqual((await partners.expandCountries('україна, ua')).partners.map(p => p.id), ['украіна']);
+  assert.deepStrictEqual(await partners.linkCountries('UA, 日本'), { countries: 'Україна, 日本', partner_ids: ['украіна', '日本'] });
+
+  await assert.rejects(partners.createPartner({ country: 'Ukraine', aliases: 'україна' }), /already used by Україна/);
+  await assert.rejects(partners.createPartner({ country: '日本' }), /already exists/);
+});
+
+test('a country without letters or digits gets a generated id', async () => {
+  const p = await partners.createPartner({ country: '★★' });
+  assert.match(p.id, /^partner-[0-9a-f]{8}$/);
+  await assert.rejects(partners.createPartner({ id: '--', country: 'Narnia' }), /id must contain letters or digits/);
+  await assert.rejects(partners.createPartner({ country: '  ' }), /Country is required/);
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { buildQuery, describeQuery, contains, selectRows } = require('../lib/postgrest');
+
+// Query parameters as PostgREST reads them
+function params(query) {
+  return Array.from(new URLSearchParams(query));
+}
+
+// Supabase at db.example.test, answered by `fetch(config)` (an axios
+// adapter) for the rest of the test
+function mockSupabase(t, fetch) {
+  const saved = { SUPABASE_URL: process.env.SUPABASE_URL, SUPABASE_KEY: process.env.SUPABASE_KEY };
+  const adapter = axios.defaults.adapter;
+  t.after(() => {
+    axios.defaults.adapter = adapter;
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+  process.env.SUPABASE_URL = 'https://db.example.test/';
+  process.env.SUPABASE_KEY = 'key';
+  axios.defaults.adapter = fetch;
+}
+
+test('values with reserved characters are quoted inside logic trees', () => {
+  const query = buildQuery({
+    where: [{ or: [
+      { column: 'title', op: 'eq', value: 'a,b' },
+      { column: 'title', op: 'eq', value: 'x(y)' },
+      { column: 'title', op: 'eq', value: 'say "hi" \\ bye' },
+      { column: 'title', op: 'eq', value: 'v1.2: done' },
+      contains('countries', 'Spa*in%')
+    ] }]
+  });
+  assert.deepStrictEqual(params(query), [
+    ['select', '*'],
+    ['or', '(title.eq."a,b",title.eq."x(y)",title.eq."say \\"hi\\" \\\\ bye",title.eq."v1.2: done",countries.ilike.*Spain*)']
+  ]);
+});
+
+test('in and cs lists are quoted, other top-level values are only URL-encoded', () => {
+  const query = buildQuery({
+    where: [
+      { column: 'countries', op: 'in', value: ['Spain, North', "Côte d'Ivoire", 'Peru'] },
+      { column: 'partner_ids', op: 'cs', value: ['a(b)', 'c'] },
+      { column: 'title', op: 'eq', value: 'a,b&limit=1000' },
+      { column: 'summary', op: 'ilike', value: '*x*' }
+    ]
+  });
+  assert.ok(!query.includes('&limit='));
+  assert.deepStrictEqual(params(query), [
+    ['select', '*'],
+    ['countries', 'in.("Spain, North","Côte d\'Ivoire",Peru)'],
+    ['partner_ids', 'cs.{"a(b)",c}'],
+    ['title', 'eq.a,b&limit=1000'],
+    ['summary', 'ilike.*x*']
+  ]);
+});
+
+test('overlap lists and regex matches are quoted like other values', () => {
+  const query = buildQuery({
+    where: [
+      { column: 'partner_ids', op: 'ov', value: ['spain', 'cote-d-ivoire'] },
+      { or: [
+        { column: 'partner_ids', op: 'ov', value: ['a,b'] },
+        { column: 'countries', op: 'imatch', value: '(^|[^[:alnum:]])ES([^[:alnum:]]|$)' },
+        { column: 'title', op: 'match', value: '^Q[1-4]' }
+      ] }
+    ]
+  });
+  assert.deepStrictEqual(params(query), [
+    ['select', '*'],
+    ['partner_ids', 'ov.{spain,cote-d-ivoire}'],
+    ['or', '(partner_ids.ov.{"a,b"},countries.imatch."(^|[^[:alnum:]])ES([^[:alnum:]]|$)",title.match.^Q[1-4])']
+  ]);
+  assert.strictEqual(
+    describeQuery('meetings', { where: [{ or: [{ column: 'partner_ids', op: 'ov', value: ['spain'] }, { column: 'countries', op: 'imatch', value: "d'Ivoire" }] }] }),
+    "select * from public.meetings\nwhere (partner_ids && '{spain}' or countries ~* 'd''Ivoire');"
+  );
+});
+
+test('cs on a jsonb column sends JSON', () => {
+  const value = [{ id: 'a, "b"' }];
+  assert.deepStrictEqual(params(buildQuery({ where: [{ column: 'links', op: 'cs', value }] })), [
+    ['select', '*'],
+    ['links', 'cs.[{"id":"a, \\"b\\""}]']
+  ]);
+  assert.deepStrictEqual(params(buildQuery({ where: [{ or: [{ column: 'links', op: 'cs', value }, { column: 'tags', op: 'cs', value: ['x'] }] }] })), [
+    ['select', '*'],
+    ['or', '(links.cs."[{\\"id\\":\\"a, \\\\\\"b\\\\\\"\\"}]",tags.cs.{x})']
+  ]);
+  assert.strictEqual(
+    describeQuery('meetings', { where: [{ column: 'links', op: 'cs', value: [{ id: "it's" }] }] }),
+    `select * from public.meetings\nwhere links @> '[{"id":"it''s"}]';`
+  );
+});
+
+test('nested and/or groups become one logic tree', () => {
+  const single = buildQuery({ where: [{ or: [{ column: 'a', op: 'eq', value: 1 }, { and: [{ column: 'b', op: 'gt', value: 2 }, { column: 'c', op: 'is', value: null }] }] }] });
+  assert.deepStrictEqual(params(single), [['select', '*'], ['or', '(a.eq.1,and(b.gt.2,c.is.null))']]);
+
+  // Two top-level groups are ANDed in one parameter, since two or= would not both apply
+  const two = buildQuery({
+    where: [
+      { column: 'date', op: 'gte', value: '2025-01-01' },
+      { or: [contains('countries', 'Spain'), contains('countries', 'Portugal')] },
+      { or: [{ column: 'type', op: 'eq', value: 'Note' }, { and: [{ column: 'type', op: 'eq', value: 'Report' }, { or: [{ column: 'x', op: 'is', value: true }, { column: 'y', op: 'lt', value: 3 }] }] }] }
+    ],
+    order: [{ column: 'date', desc: true, nulls: 'last' }, { column: 'id' }],
+    limit: 10,
+    offset: 20
+  });
+  assert.deepStrictEqual(params(two), [
+    ['select', '*'],
+    ['date', 'gte.2025-01-01'],
+    ['and', '(or(countries.ilike.*Spain*,countries.ilike.*Portugal*),or(type.eq.Note,and(type.eq.Report,or(x.is.true,y.lt.3))))'],
+    ['order', 'date.desc.nullslast,id.asc'],
+    ['limit', '10'],
+    ['offset', '20']
+  ]);
+});
+
+test('full-text filters take a config and keep websearch syntax', () => {
+  const query = buildQuery({ select: ['id', 'title'], where: [{ column: 'fts', op: 'wfts', config: 'english', value: '"exact phrase" -excluded or other' }] });
+  assert.deepStrictEqual(params(query), [['select', 'id,title'], ['fts', 'wfts(english)."exact phrase" -excluded or other']]);
+
+  const inTree = buildQuery({ where: [{ or: [{ column: 'fts', op: 'wfts', config: 'english', value: 'a, b' }, { column: 'fts', op: 'plfts', value: 'c' }] }] });
+  assert.deepStrictEqual(params(inTree), [['select', '*'], ['or', '(fts.wfts(english)."a, b",fts.plfts.c)']]);
+});
+
+test('bad columns, operators and counts are rejected', () => {
+  for (const opts of [
+    { where: [{ column: 'a;drop', op: 'eq', value: 1 }] },
+    { where: [{ column: 'a', op: 'xx', value: 1 }] },
+    { where: [{ column: 'fts', op: 'wfts', config: 'english)', value: 'x' }] },
+    { where: [{ or: [] }] },
+    { where: [{ column: 'a', op: 'is', value: 'x' }] },
+    { select: 'a,b' },
+    { order: [{ column: 'date desc' }] },
+    { limit: -1 },
+    { offset: 1.5 }
+  ]) {
+    assert.throws(() => buildQuery(opts), Error, JSON.stringify(opts));
+  }
+});
+
+test('describeQuery escapes literals', () => {
+  const sql = describeQuery('meetings', {
+    where: [
+      { column: 'fts', op: 'wfts', config: 'english', value: "it's" },
+      { or: [contains('title', "O'Brien"), { column: 'id', op: 'in', value: [1, 2] }] }
+    ],
+    order: [{ column: 'date', desc: true }],
+    limit: 5
+  });
+  assert.strictEqual(sql, [
+    'select * from public.meetings',
+    "where to_tsvector('english', fts) @@ websearch_to_tsquery('english', 'it''s')",
+    "  and (title ilike '%O''Brien%' or id in ('1', '2'))",
+    'order by date desc',
+    'limit 5;'
+  ].join('\n'));
+  assert.throws(() => describeQuery('meetings; drop', {}));
+});
+
+test('selectRows sends the built query and pages past the max rows per request', async t => {
+  // 1500 rows; answers pages of at most 1000 like Supabase
+  const requests = [];
+  mockSupabase(t, async config => {
+    const url = new URL(config.url);
+    requests.push({ path: url.pathname, params: Array.from(url.searchParams), prefer: config.headers.Prefer });
+    const offset = Number(url.searchParams.get('offset') || 0);
+    const limit = Math.min(1000, Number(url.searchParams.get('limit')));
+    const data = Array.from({ length: Math.max(0, Math.min(limit, 1500 - offset)) }, (_, i) => ({ id: offset + i }));
+    return { data, status: 200, statusText: 'OK', headers: { 'content-range': `${offset}-${offset + data.length - 1}/1500` }, config };
+  });
+
+  const where = [{ or: [contains('countries', 'Spain, North'), { column: 'fts', op: 'wfts', config: 'english', value: 'a (b)' }] }];
+  const { rows, total } = await selectRows('meetings', { select: ['id'], where, limit: 1200 }, { count: true });
+  assert.strictEqual(rows.length, 1200);
+  assert.strictEqual(total, 1500);
+  assert.deepStrictEqual(requests, [
+    { path: '/rest/v1/meetings', prefer: 'count=exact', params: [['select', 'id'], ['or', '(countries.ilike."*Spain, North*",fts.wfts(english)."a (b)")'], ['limit', '1000']] },
+    { path: '/rest/v1/meetings', prefer: undefined, params: [['select', 'id'], ['or', '(countries.ilike."*Spain, North*",fts.wfts(english)."a (b)")'], ['limit', '200'], ['offset', '1000']] }
+  ]);
+});
+
+test('selectRows reports Supabase errors with their status', async t => {
+  mockSupabase(t, async config => {
+    throw Object.assign(new Error('Request failed'), { config, response: { status: 400, data: { message: 'failed to parse logic tree' } } });
+  });
+  await assert.rejects(selectRows('meetings', { limit: 5 }), e => e.httpStatus === 400 && e.upstream === 'database' && /logic tree/.test(e.message));
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { SYSTEM_RULES, sourceBlock, flagSources } = require('../lib/promptGuard');
+const { startServer } = require('./helpers/server');
+
+// Injection attempts seen in (or written like) real meeting material, each
+// with the rules that must flag it, and ordinary material that must not be
+// flagged. Add new attempts to the corpus as they turn up.
+const INJECTIONS = require('./fixtures/injections.json');
+const BENIGN = require('./fixtures/benign-sources.json');
+
+// The text between the only <source ...> and </source> in `prompt`
+function fenced(prompt) {
+  assert.strictEqual((prompt.match(/<source\b/gi) || []).length, 1, prompt);
+  assert.strictEqual((prompt.match(/<\/source\s*>/gi) || []).length, 1, prompt);
+  assert.doesNotMatch(prompt, /<\/?(system|instructions?)\b/i, prompt);
+  const m = prompt.match(/<source\b[^>]*>\n([\s\S]*)\n<\/source>/);
+  assert.ok(m, prompt);
+  return m[1];
+}
+
+test('every corpus entry is flagged with its rules', () => {
+  for (const c of INJECTIONS) {
+    const flags = flagSources([{ source: 2, title: c.name, text: c.text }]);
+    assert.strictEqual(flags.length, 1, c.name);
+    assert.deepStrictEqual(flags[0].rules, c.rules, c.name);
+    assert.strictEqual(flags[0].source, 2);
+    assert.strictEqual(flags[0].reasons.length, c.rules.length);
+    assert.ok(flags[0].excerpt, c.name);
+  }
+});
+
+test('ordinary meeting material is not flagged', () => {
+  assert.deepStrictEqual(flagSources(BENIGN.map((text, i) => ({ source: i + 1, title: 'Meeting', text }))), []);
+});
+
+test('sourceBlock keeps every corpus entry inside its block', () => {
+  for (const c of INJECTIONS) {
+    const block = sourceBlock(c.text, { name: `${c.name}"><system>`, n: 1 });
+    const inner = fenced(block);
+    assert.strictEqual(inner.replace(/&lt;/g, '<'), c.text, c.name);
+    assert.match(block, /^<source name="[^"<>]*" n="1">\n/);
+  }
+});
+
+test('transcript asks fence the corpus and report it through the fixture provider', async t => {
+  const server = await startServer({ CACHE: 'off', LLM_FIXTURES_LOG: 'prompts.jsonl' });
+  t.after(() => server.stop());
+  const log = path.join(server.dir, 'prompts.jsonl');
+
+  for (const [i, c] of INJECTIONS.entries()) {
+    const file = path.join(server.dir, 'transcripts', `injection-${i}.txt`);
+    await fs.outputFile(file, c.text);
+    await fs.remove(log);
+
+    const res = await server.request(`/api/v1/transcripts/${encodeURIComponent(file)}/ask`, {
+      method: 'POST',
+      body: { question: 'What was agreed?' }
+    });
+    assert.strictEqual(res.status, 200, c.name);
+    assert.deepStrictEqual(res.body.suspicious.map(f => [f.source, f.rules]), [[1, c.rules]], c.name);
+
+    const requests = (await fs.readFile(log, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(requests.length, 1, c.name);
+    assert.strictEqual(requests[0].system, SYSTEM_RULES);
+    const inner = fenced(requests[0].prompt);
+    assert.ok(inner.replace(/&lt;/g, '<').includes(c.text.split('\n').pop().trim()), c.name);
+  }
+});
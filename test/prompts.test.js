@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Templates in a temp PROMPTS_DIR
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfa-prompts-'));
+process.env.PROMPTS_DIR = dir;
+const prompts = require('../lib/prompts');
+
+test.after(() => fs.remove(dir));
+
+function write(files) {
+  for (const [name, text] of Object.entries(files)) fs.outputFileSync(path.join(dir, name), text);
+  prompts.reloadPrompts();
+}
+
+// PROMPT_VERSIONS is restored after the test
+function keepPins(t) {
+  const saved = process.env.PROMPT_VERSIONS;
+  t.after(() => {
+    if (saved === undefined) delete process.env.PROMPT_VERSIONS;
+    else process.env.PROMPT_VERSIONS = saved;
+  });
+}
+
+write({
+  'partials/rules.txt': 'Cite sources as [n].\n{{> marker}}\n',
+  'partials/marker.txt': 'End with {{claims_marker}}.',
+  'ask.v1.txt': 'Old: {{question}}',
+  'ask.v2.txt': [
+    '{{! Answers questions about meetings }}',
+    'Question: {{question}}',
+    '{{#tasks}}',
+    'Open tasks:',
+    '{{tasks}}',
+    '{{/tasks}}',
+    '{{^tasks}}',
+    'No open tasks.',
+    '{{/tasks}}',
+    '{{> rules}}',
+    ''
+  ].join('\r\n'),
+  'README.md': 'not a template'
+});
+
+test('templates render variables, sections and partials', () => {
+  const tasks = prompts.renderPrompt('ask', { question: 'Budget?', tasks: ['T1: call Ana', 'T2: send notes'], claims_marker: '<!--CLAIMS-->' });
+  assert.strictEqual(tasks.text, 'Question: Budget?\nOpen tasks:\nT1: call Ana\nT2: send notes\nCite sources as [n].\nEnd with <!--CLAIMS-->.');
+  assert.strictEqual(tasks.id, 'ask@2');
+  assert.match(tasks.hash, /^[0-9a-f]{10}$/);
+
+  const none = prompts.renderPrompt('ask', { question: '{{tasks}}', tasks: [], claims_marker: 'X' });
+  // Values are not parsed as template text
+  assert.strictEqual(none.text, 'Question: {{tasks}}\nNo open tasks.\nCite sources as [n].\nEnd with X.');
+  assert.strictEqual(none.hash, tasks.hash);
+
+  assert.throws(() => prompts.renderPrompt('ask', { question: 'x', tasks: [] }), /needs variable "claims_marker"/);
+  assert.throws(() => prompts.renderPrompt('nope'), /Unknown prompt template "nope"/);
+});
+
+test('broken templates are reported', () => {
+  write({ 'loop.v1.txt': '{{> self}}', 'partials/self.txt': '{{> self}}', 'broken.v1.txt': '{{#a}}never closed', 'stray.v1.txt': 'x{{/a}}' });
+  try {
+    assert.throws(() => prompts.renderPrompt('loop'), /includes itself/);
+    assert.throws(() => prompts.renderPrompt('broken', { a: 1 }), /never closed/);
+    assert.throws(() => prompts.renderPrompt('stray'), /unexpected \{\{\/a\}\}/);
+  } finally {
+    for (const f of ['loop.v1.txt', 'partials/self.txt', 'broken.v1.txt', 'stray.v1.txt']) fs.removeSync(path.join(dir, f));
+    prompts.reloadPrompts();
+  }
+});
+
+test('the newest version is used unless another is pinned', t => {
+  assert.strictEqual(prompts.renderPrompt('ask', { question: 'q' }, { version: 1 }).text, 'Old: q');
+  keepPins(t);
+  process.env.PROMPT_VERSIONS = 'ask=1, other=3';
+  assert.strictEqual(prompts.renderPrompt('ask', { question: 'q' }).id, 'ask@1');
+  assert.deepStrictEqual(prompts.listPrompts().filter(p => p.name === 'ask').map(p => [p.id, p.active]), [['ask@2', false], ['ask@1', true]]);
+  process.env.PROMPT_VERSIONS = 'ask=5';
+  assert.throws(() => prompts.renderPrompt('ask', { question: 'q' }), /has no version 5/);
+});
+
+test('a changed partial changes the hash; previews show what is missing', () => {
+  const before = prompts.listPrompts().find(p => p.id === 'ask@2');
+  assert.strictEqual(before.description, 'Answers questions about meetings');
+  assert.deepStrictEqual(before.variables, ['question', 'tasks', 'claims_marker']);
+
+  write({ 'partials/marker.txt': 'Finish with {{claims_marker}}.' });
+  const after = prompts.listPrompts().find(p => p.id === 'ask@2');
+  assert.notStrictEqual(after.hash, before.hash);
+
+  const preview = prompts.previewPrompt('ask', { question: 'Budget?' });
+  assert.deepStrictEqual(preview.missing, ['tasks', 'claims_marker']);
+  assert.strictEqual(preview.text, 'Question: Budget?\nOpen tasks:\n{{tasks}}\nCite sources as [n].\nFinish with {{claims_marker}}.\n');
+});
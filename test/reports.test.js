@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer } = require('./helpers/server');
+
+test('partner filters are matched by Supabase, so paging and totals are right', async t => {
+  // Supabase that records the meetings queries and has 7 matching rows
+  const queries = [];
+  const supabase = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/rest/v1/meetings') queries.push(url.searchParams);
+    const rows = [{ id: 1, type: 'Report', countries: 'Spain' }, { id: 2, type: 'Report', countries: 'ES, Peru' }];
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Range': '5-6/7' });
+    res.end(JSON.stringify(rows));
+  });
+  await new Promise(resolve => supabase.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => supabase.close(resolve)));
+
+  const server = await startServer({ SUPABASE_URL: `http://127.0.0.1:${supabase.address().port}`, SUPABASE_KEY: 'test' });
+  t.after(() => server.stop());
+
+  const created = await server.request('/api/v1/partners', { method: 'POST', body: { country: 'España', aliases: 'ES' } });
+  assert.strictEqual(created.status, 201);
+
+  const res = await server.get('/api/v1/reports?countries=ES,Narnia&limit=5&offset=5');
+  assert.strictEqual(res.status, 200);
+  // Every row Supabase returned is kept, with its total
+  assert.deepStrictEqual(res.body.reports.map(r => r.id), [1, 2]);
+  assert.strictEqual(res.body.total, 7);
+
+  const q = queries[queries.length - 1];
+  assert.strictEqual(q.get('limit'), '5');
+  assert.strictEqual(q.get('offset'), '5');
+  const or = q.get('or');
+  assert.ok(or.startsWith('(partner_ids.ov.{espana},'), or);
+  // The partner's names as whole words, with and without accents
+  assert.ok(or.includes('countries.imatch."(^|[^[:alnum:]])España([^[:alnum:]]|$)"'), or);
+  assert.ok(or.includes('countries.imatch."(^|[^[:alnum:]])Espana([^[:alnum:]]|$)"'), or);
+  assert.ok(or.includes('countries.imatch."(^|[^[:alnum:]])ES([^[:alnum:]]|$)"'), or);
+  // Other terms stay substring matches
+  assert.ok(or.endsWith(',countries.ilike.*Narnia*)'), or);
+});
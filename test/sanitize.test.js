@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeHtml, sanitizeStream } = require('../lib/sanitize');
+
+// Nothing in the output that a browser would run
+function assertInert(html, input) {
+  assert.doesNotMatch(html, /<\s*(script|style|svg|math|iframe|img|textarea|noscript)/i, input);
+  assert.doesNotMatch(html, /<[^>]*\son\w+\s*=/i, input);
+  assert.doesNotMatch(html, /<[^>]*(javascript|vbscript|data):/i, input);
+}
+
+test('script and style elements are removed with their content', () => {
+  const cases = [
+    ['<p>ok<script>alert(1)</script>after</p>', '<p>okafter</p>'],
+    ['<script src=x></script><p>x</p>', '<p>x</p>'],
+    ['<SCRIPT>alert(1)</SCRIPT >t', 't'],
+    ['<style>p{x:expression(alert(1))}</style>t', 't'],
+    ['<iframe src="javascript:alert(1)"></iframe>t', 't'],
+    ['<textarea><script>alert(1)</script></textarea>t', 't'],
+    ['<!-- <script>alert(1)</script> -->t', 't'],
+    ['<script>never closed', '']
+  ];
+  for (const [input, expected] of cases) assert.strictEqual(sanitizeHtml(input), expected, input);
+});
+
+test('on* attributes and styles are dropped', () => {
+  const cases = [
+    ['<p onclick="alert(1)" onmouseover=alert(1)>x</p>', '<p>x</p>'],
+    ['<p title="a>b" onclick="x">t</p>', '<p>t</p>'],
+    ['<p style="background:url(javascript:alert(1))">t</p>', '<p>t</p>'],
+    ['<img src=x onerror=alert(1)>', ''],
+    ['<a href="https://ok.example/" onclick="x">ok</a>', '<a href="https://ok.example/" target="_blank" rel="noopener noreferrer">ok</a>']
+  ];
+  for (const [input, expected] of cases) assert.strictEqual(sanitizeHtml(input), expected, input);
+});
+
+test('links keep only http(s), mailto and in-page hrefs', () => {
+  assert.strictEqual(sanitizeHtml('<a href="https://ok.example/?a=1&b=2">ok</a>'),
+    '<a href="https://ok.example/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">ok</a>');
+  assert.strictEqual(sanitizeHtml('<a href="mailto:a@b.c">m</a>'), '<a href="mailto:a@b.c" target="_blank" rel="noopener noreferrer">m</a>');
+  assert.strictEqual(sanitizeHtml('<a href="#s1">c</a>'), '<a href="#s1">c</a>');
+  for (const href of [
+    'javascript:alert(1)',
+    ' JaVaScRiPt:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    '//evil.example/',
+    ''
+  ]) {
+    assert.strictEqual(sanitizeHtml(`<a href="${href}">x</a>`), 'x', href);
+  }
+  assert.strictEqual(sanitizeHtml('<a href=javascript:alert(1)>x</a>'), 'x');
+  assert.strictEqual(sanitizeHtml("<a href='javascript:alert(1)'>x</a>"), 'x');
+  assert.strictEqual(sanitizeHtml('<a>x</a>'), 'x');
+});
+
+test('entity-encoded schemes are decoded before the check', () => {
+  for (const href of [
+    '&#106;avascript:alert(1)',
+    '&#x6A;avascript&#58;alert(1)',
+    '&#X6a;&#X61;vascript:alert(1)',
+    '&#0000106&#0000097vascript:alert(1)',
+    'javascript&colon;alert(1)',
+    'java&tab;script:alert(1)',
+    'java&#9;script:alert(1)',
+    'data&colon;text/html,x',
+    '&amp;#106;avascript:alert(1)'
+  ]) {
+    assert.strictEqual(sanitizeHtml(`<a href="${href}">x</a>`), 'x', href);
+  }
+});
+
+test('SVG and MathML are removed with their content', () => {
+  const cases = [
+    ['<svg><script>alert(1)</script></svg>t', 't'],
+    ['<svg onload=alert(1)>t', ''],
+    ['<svg><a xlink:href="javascript:alert(1)">x</a></svg>after', 'after'],
+    ['<SVG><animate attributeName=href values="javascript:alert(1)"/></SVG>after', 'after'],
+    ['<math><mi xlink:href="javascript:alert(1)">x</mi></math>after', 'after'],
+    ['<math><maction actiontype="statusline">x</maction></math>after', 'after']
+  ];
+  for (const [input, expected] of cases) assert.strictEqual(sanitizeHtml(input), expected, input);
+});
+
+test('nested, stray and unclosed tags give balanced output', () => {
+  const cases = [
+    ['<p><strong>a<em>b</p>c', '<p><strong>a<em>b</em></strong></p>c'],
+    ['</p>text</strong>', 'text'],
+    ['<p>unclosed', '<p>unclosed</p>'],
+    ['<h4>T</h4><br/><b>b</b>', '<h4>T</h4><br><b>b</b>'],
+    ['<div><p>x</p></div>', '<p>x</p>'],
+    ['a < b & c > d &amp; &lt;', 'a &lt; b &amp; c &gt; d &amp; &lt;'],
+    ['```html\n<p>x</p>\n```', '<p>x</p>']
+  ];
+  for (const [input, expected] of cases) assert.strictEqual(sanitizeHtml(input), expected, input);
+  assert.strictEqual(sanitizeHtml('<p>open', { closeOpen: false }), '<p>open');
+
+  // Tags split or doubled to slip past a single pass end up as text
+  for (const input of [
+    '<scr<script>ipt>alert(1)</script>',
+    '<<script>script>alert(1)<</script>/script>',
+    '<a/href="javascript:alert(1)">x</a>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<!--unterminated <script>alert(1)</script>',
+    '<p <script>alert(1)</script>>x</p>'
+  ]) {
+    assertInert(sanitizeHtml(input), input);
+  }
+});
+
+test('sanitizeStream sends a prefix-safe stream equal to the full sanitization', () => {
+  const input = '<p>Hi <strong>there</strong> &amp; <a href="javascript:alert(1)">bad</a><script>alert(1)</script>' +
+    '<a href="https://ok.example/">ok</a><img src=x onerror=alert(1)></p>';
+  for (const size of [1, 3, 7]) {
+    let sent = '';
+    const push = sanitizeStream(t => { sent += t; });
+    for (let i = 0; i < input.length; i += size) push(input.slice(i, i + size));
+    assertInert(sent, input);
+    assert.ok(sanitizeHtml(input).startsWith(sent), `chunks of ${size}: ${sent}`);
+  }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Tasks in a JSON file under a temp DATA_DIR
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tfa-tasks-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = dir;
+const tasks = require('../lib/tasks');
+
+test.after(() => fs.remove(dir));
+
+const user = { id: 'ana' };
+
+test('the same item extracted twice from a source is stored once', async () => {
+  const source = { type: 'transcript', id: 'calls/2025-03-01.txt', title: 'Call', date: '2025-03-01' };
+  const first = await tasks.addTasks([
+    { title: 'Send the budget to Ben', owner: 'Ana', due_date: '2025-03-10', country: 'Peru' },
+    { title: 'send the budget to Ben!', owner: 'Ana' },
+    { title: '  ' },
+    { title: 'Book the venue', due_date: 'next week' }
+  ], source, user);
+  assert.deepStrictEqual(first.created.map(t => [t.title, t.due_date]), [['Send the budget to Ben', '2025-03-10'], ['Book the venue', null]]);
+  assert.strictEqual(first.skipped, 2);
+  assert.deepStrictEqual(first.created.map(t => [t.status, t.source_id, t.source_date, t.created_by]), [
+    ['open', 'calls/2025-03-01.txt', '2025-03-01', 'ana'],
+    ['open', 'calls/2025-03-01.txt', '2025-03-01', 'ana']
+  ]);
+
+  // Extracting again only adds what is new
+  const again = await tasks.addTasks([{ title: 'SEND THE BUDGET TO BEN' }, { title: 'Call the ministry' }], source, user);
+  assert.deepStrictEqual(again.created.map(t => t.title), ['Call the ministry']);
+  assert.strictEqual(again.skipped, 1);
+
+  // Other sources can have the same item
+  const other = await tasks.addTasks([{ title: 'Book the venue' }], { type: 'meeting', id: 42, title: 'Notes' }, user);
+  assert.deepStrictEqual(other.created.map(t => [t.title, t.source_id]), [['Book the venue', '42']]);
+
+  assert.strictEqual((await tasks.listTasks({ sourceId: source.id })).length, 3);
+  assert.strictEqual((await tasks.listTasks()).length, 4);
+});
+
+test('open tasks come first, soonest due first', async () => {
+  const { created } = await tasks.addTasks([
+    { title: 'Later', due_date: '2025-06-01' },
+    { title: 'No date' },
+    { title: 'Soon', due_date: '2025-04-01', country: 'Chile' }
+  ], { type: 'meeting', id: 'list', title: 'List' }, user);
+  await tasks.updateTask(created[0].id, { status: 'done' }, user);
+  const list = await tasks.listTasks({ sourceId: 'list' });
+  assert.deepStrictEqual(list.map(t => [t.title, t.status]), [['Soon', 'open'], ['No date', 'open'], ['Later', 'done']]);
+  assert.strictEqual(list[2].completed_by, 'ana');
+  assert.deepStrictEqual((await tasks.listTasks({ sourceId: 'list', status: 'open', country: 'chile' })).map(t => t.title), ['Soon']);
+  await assert.rejects(tasks.updateTask(created[1].id, { due_date: 'soon' }, user), /YYYY-MM-DD/);
+  await assert.rejects(tasks.updateTask('missing', { title: 'x' }, user), /not found/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitTranscript, selectParts } = require('../lib/transcriptChunks');
+
+// 30 turns of about 90 characters, a minute apart
+function transcript(turns = 30) {
+  return Array.from({ length: turns }, (_, i) => `[00:${String(i).padStart(2, '0')}:00] ${i % 2 ? 'Ana' : 'Ben'}: ${'word '.repeat(15)}${i}`).join('\n');
+}
+
+// Parts cover the text in order, without gaps or overlap
+function assertCovers(parts, text) {
+  let pos = 0;
+  for (const p of parts) {
+    assert.strictEqual(p.text, text.slice(p.startChar, p.endChar));
+    assert.ok(p.startChar === pos || p.startChar === pos + 1, `part ${p.index} starts at ${p.startChar}, after ${pos}`);
+    pos = p.endChar;
+  }
+  assert.strictEqual(pos, text.length);
+}
+
+test('parts stay under the limit and start at a speaker turn', () => {
+  const text = transcript();
+  const parts = splitTranscript(text, 300);
+  assert.strictEqual(parts.length, 10);
+  assertCovers(parts, text);
+  for (const p of parts) {
+    assert.ok(p.text.length <= 300, p.label);
+    assert.match(p.text, /^\[00:\d\d:00\] (Ana|Ben): /);
+  }
+  assert.deepStrictEqual(parts.map(p => [p.startLine, p.endLine]).slice(0, 2), [[1, 3], [4, 6]]);
+  assert.strictEqual(parts[1].label, 'Part 2/10 · 00:03:00–00:05:00 · Ana, Ben');
+  assert.deepStrictEqual(splitTranscript(text, 10000).map(p => p.text), [text]);
+});
+
+test('text with no turn boundaries is cut once it runs 25% over', () => {
+  const text = Array.from({ length: 20 }, (_, i) => `and then more was said about item ${i}`).join('\n');
+  const parts = splitTranscript(text, 200);
+  assertCovers(parts, text);
+  for (const p of parts) assert.ok(p.text.length <= 250, String(p.text.length));
+  assert.ok(parts.some(p => p.text.length > 200));
+  assert.strictEqual(parts[0].label, `Part 1/${parts.length} · lines 1–${parts[0].endLine}`);
+});
+
+test('a turn longer than the limit is split hard', () => {
+  const text = 'x'.repeat(250) + '\nAna: hi';
+  const parts = splitTranscript(text, 100);
+  assert.deepStrictEqual(parts.map(p => [p.startChar, p.endChar, p.startLine, p.endLine]), [[0, 100, 1, 1], [100, 200, 1, 1], [200, 258, 1, 2]]);
+  assertCovers(parts, text);
+  assert.deepStrictEqual(splitTranscript('', 100), []);
+  assert.deepStrictEqual(splitTranscript('\n\n', 100), []);
+});
+
+test('selectParts keeps the parts that mention the question most, in transcript order', () => {
+  const parts = splitTranscript([
+    'Ana: we talked about the weather',
+    'Ben: the budget was approved, budget for next year',
+    'Ana: hiring plans and the budget',
+    'Ben: closing remarks'
+  ].join('\n'), 50);
+  assert.strictEqual(parts.length, 4);
+  assert.deepStrictEqual(selectParts(parts, 'What was the budget?', 2).map(p => p.index), [1, 2]);
+  assert.deepStrictEqual(selectParts(parts, 'hiring budget', 1).map(p => p.index), [2]);
+  // Stopwords don't count, ties keep the earlier part
+  assert.deepStrictEqual(selectParts(parts, 'what was the', 1).map(p => p.index), [0]);
+  assert.strictEqual(selectParts(parts, 'anything', 10).length, 4);
+});
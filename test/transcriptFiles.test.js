@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { localTranscriptPath } = require('../lib/transcriptFiles');
+
+test('localTranscriptPath only resolves transcript files inside the folder', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tfa-transcripts-'));
+  t.after(() => fs.remove(dir));
+  const folder = path.join(dir, 'transcripts');
+  await fs.outputFile(path.join(folder, 'call.txt'), 'hello');
+  await fs.outputFile(path.join(folder, 'uploads', 'up.vtt'), 'WEBVTT');
+  await fs.outputFile(path.join(folder, 'notes.json'), '{}');
+  await fs.outputFile(path.join(dir, 'secret.txt'), 'secret');
+  await fs.ensureDir(path.join(folder, 'dir.txt'));
+  await fs.symlink(path.join(dir, 'secret.txt'), path.join(folder, 'link.txt'));
+  const real = await fs.realpath(folder);
+
+  assert.strictEqual(await localTranscriptPath(path.join(folder, 'call.txt'), folder), path.join(real, 'call.txt'));
+  assert.strictEqual(await localTranscriptPath(path.join(folder, 'uploads', 'up.vtt'), folder), path.join(real, 'uploads', 'up.vtt'));
+
+  for (const id of [
+    '/etc/passwd',
+    '/etc/hostname',
+    path.join(dir, 'secret.txt'),
+    path.join(folder, '..', 'secret.txt'),
+    path.join(folder, 'notes.json'),
+    path.join(folder, 'missing.txt'),
+    path.join(folder, 'dir.txt'),
+    path.join(folder, 'link.txt'),
+    path.join(folder, 'call.txt\0.txt'),
+    folder,
+    '',
+    undefined
+  ]) {
+    assert.strictEqual(await localTranscriptPath(id, folder), null, String(id));
+  }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createTranscriptIndex, parseQuery, tokenize } = require('../lib/transcriptIndex');
+
+// An index in a temp DATA_DIR, holding these transcripts
+async function setup(t, items) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tfa-index-'));
+  const saved = process.env.DATA_DIR;
+  process.env.DATA_DIR = dir;
+  t.after(async () => {
+    if (saved === undefined) delete process.env.DATA_DIR;
+    else process.env.DATA_DIR = saved;
+    await fs.remove(dir);
+  });
+  const index = createTranscriptIndex('transcripts');
+  await index.sync(items);
+  return { index, dir };
+}
+
+function doc(id, text, extra = {}) {
+  return { id, name: `${id}.txt`, version: '1', date: '2025-01-01T00:00:00.000Z', read: async () => text, ...extra };
+}
+
+const DOCS = [
+  doc('a', 'We agreed the budget review happens in March. Budget approved.', { date: '2025-01-10T00:00:00.000Z' }),
+  doc('b', 'The review of the budget is late, and hiring is on hold.', { date: '2025-02-10T00:00:00.000Z' }),
+  doc('c', 'Hiring plans for Perú and the school year.', { date: '2025-03-10T00:00:00.000Z' }),
+  doc('d', 'Weather small talk, nothing about money.', { date: '2025-04-10T00:00:00.000Z' })
+];
+
+function ids(results) {
+  return results.map(r => r.doc.id);
+}
+
+test('queries parse into phrases, AND, OR, NOT and groups', () => {
+  assert.deepStrictEqual(tokenize('Perú, São-Paulo 2025'), ['peru', 'sao', 'paulo', '2025']);
+  assert.deepStrictEqual(parseQuery('"budget review" -hiring'), {
+    op: 'and',
+    a: { op: 'phrase', terms: ['budget', 'review'] },
+    b: { op: 'not', e: { op: 'term', term: 'hiring' } }
+  });
+  assert.deepStrictEqual(parseQuery('a AND (b OR c) NOT d'), {
+    op: 'and',
+    a: { op: 'and', a: { op: 'term', term: 'a' }, b: { op: 'or', a: { op: 'term', term: 'b' }, b: { op: 'term', term: 'c' } } },
+    b: { op: 'not', e: { op: 'term', term: 'd' } }
+  });
+  // Stray operators, unclosed quotes and punctuation-only words are tolerated
+  assert.deepStrictEqual(parseQuery('OR "budget review'), { op: 'phrase', terms: ['budget', 'review'] });
+  assert.strictEqual(parseQuery(' , "" AND '), null);
+});
+
+test('phrases, AND and negation select the right transcripts', async t => {
+  const { index } = await setup(t, DOCS);
+  assert.deepStrictEqual(ids(index.search('"budget review"')), ['a']);
+  assert.deepStrictEqual(ids(index.search('budget AND review')).sort(), ['a', 'b']);
+  assert.deepStrictEqual(ids(index.search('budget -hiring')), ['a']);
+  assert.deepStrictEqual(ids(index.search('NOT budget')).sort(), ['c', 'd']);
+  assert.deepStrictEqual(ids(index.search('(budget OR weather) NOT "budget approved"')).sort(), ['b', 'd']);
+  // Accents don't matter
+  assert.deepStrictEqual(ids(index.search('peru')), ['c']);
+  assert.deepStrictEqual(ids(index.search('nonexistent')), []);
+});
+
+test('results are ranked by BM25, then newest first', async t => {
+  const { index } = await setup(t, DOCS);
+  // a mentions budget twice
+  assert.deepStrictEqual(ids(index.search('budget')), ['a', 'b']);
+  // c matches both terms of "hiring plans", b only one
+  assert.deepStrictEqual(ids(index.search('hiring plans')), ['c', 'b']);
+  // Same score: newer first
+  const { index: same } = await setup(t, [doc('old', 'budget', { date: '2024-01-01' }), doc('new', 'budget', { date: '2025-01-01' })]);
+  assert.deepStrictEqual(ids(same.search('budget')), ['new', 'old']);
+  // No query: newest first, within the date range
+  assert.deepStrictEqual(ids(index.search('', { fromMs: Date.parse('2025-02-01'), toMs: Date.parse('2025-04-01') })), ['c', 'b']);
+  // Filename terms count more
+  const { index: named } = await setup(t, [doc('x', 'budget budget'), doc('budget notes', 'nothing here')]);
+  assert.deepStrictEqual(ids(named.search('budget')), ['budget notes', 'x']);
+});
+
+test('snippets mark the matches and escape the text', async t => {
+  const { index } = await setup(t, [doc('a', 'Intro <b> & ' + 'filler '.repeat(60) + 'the budget review, then budget.')]);
+  const [r] = index.search('budget review');
+  assert.match(r.snippet, /^…/);
+  assert.match(r.snippet, /<mark>budget<\/mark> <mark>review<\/mark>, then <mark>budget<\/mark>\.$/);
+  assert.ok(index.search('intro')[0].snippet.startsWith('<mark>Intro</mark> &lt;b&gt; &amp; filler'));
+});
+
+test('sync reads only new or changed transcripts and survives a restart', async t => {
+  let reads = [];
+  const item = (id, version, text) => doc(id, text, { version, read: async () => { reads.push(id); return text; } });
+  const { index } = await setup(t, [item('a', '1', 'alpha'), item('b', '1', 'beta')]);
+  assert.deepStrictEqual(reads, ['a', 'b']);
+
+  reads = [];
+  assert.deepStrictEqual(await index.sync([item('a', '1', 'alpha'), item('b', '2', 'gamma')]), { changed: 1, size: 2 });
+  assert.deepStrictEqual(reads, ['b']);
+  assert.deepStrictEqual(ids(index.search('gamma')), ['b']);
+  assert.deepStrictEqual(ids(index.search('beta')), []);
+
+  assert.deepStrictEqual(await index.sync([item('b', '2', 'gamma')]), { changed: 1, size: 1 });
+  const reloaded = createTranscriptIndex('transcripts');
+  await reloaded.load();
+  assert.strictEqual(reloaded.size(), 1);
+  assert.deepStrictEqual(ids(reloaded.search('gamma')), ['b']);
+});
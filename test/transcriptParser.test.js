@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTranscript, mergeTurns, toPlainText, formatTimestamp, parseTime } = require('../lib/transcriptParser');
+
+test('WebVTT: voice tags, speaker prefixes, markup, BOM and CRLF', () => {
+  const raw = '﻿WEBVTT\r\n\r\n1\r\n00:00:01.000 --> 00:00:03.500\r\n<v Maria Lopez>Hello <b>all</b></v>\r\n\r\n' +
+    '00:01:02.000 --> 00:01:04.000\r\nJuan: Hi there\r\n\r\nNOTE a comment\r\n\r\n00:01:05.000 --> 00:01:06.000\r\n<i></i>\r\n';
+  assert.deepStrictEqual(parseTranscript(raw, 'call.vtt'), {
+    format: 'vtt',
+    segments: [
+      { start: 1, end: 3.5, speaker: 'Maria Lopez', text: 'Hello all' },
+      { start: 62, end: 64, speaker: 'Juan', text: 'Hi there' }
+    ],
+    speakers: ['Maria Lopez', 'Juan']
+  });
+});
+
+test('SRT: comma decimals, hours, and headings that are not speakers', () => {
+  const raw = '1\n00:00:01,000 --> 00:00:02,000\nAgenda: budget review\n\n2\n01:00:00,500 --> 01:00:02,000\nPeter: yes\nand no';
+  // Detected from the content, whatever the name
+  const parsed = parseTranscript(raw, 'export.txt');
+  assert.strictEqual(parsed.format, 'srt');
+  assert.deepStrictEqual(parsed.segments, [
+    { start: 1, end: 2, speaker: null, text: 'Agenda: budget review' },
+    { start: 3600.5, end: 3602, speaker: 'Peter', text: 'yes and no' }
+  ]);
+});
+
+test('plain text: Zoom headers, timed lines, bare timestamps and continuations', () => {
+  const raw = [
+    '[Maria Lopez] 00:01:05',
+    'Hello everyone',
+    'second line',
+    '',
+    '[12:34] Juan: ok then',
+    'Well, this sentence ends: with a colon',
+    '',
+    '00:15',
+    'Maria: back',
+    'Notes: not a speaker'
+  ].join('\n');
+  assert.deepStrictEqual(parseTranscript(raw, 'meeting.txt'), {
+    format: 'txt',
+    segments: [
+      { start: 65, end: null, speaker: 'Maria Lopez', text: 'Hello everyone second line' },
+      { start: 754, end: null, speaker: 'Juan', text: 'ok then Well, this sentence ends: with a colon' },
+      { start: 15, end: null, speaker: 'Maria', text: 'back Notes: not a speaker' }
+    ],
+    speakers: ['Maria Lopez', 'Juan', 'Maria']
+  });
+  assert.deepStrictEqual(parseTranscript('', 'empty.txt'), { format: 'txt', segments: [], speakers: [] });
+  assert.deepStrictEqual(parseTranscript('Just a paragraph.', 'x').segments, [{ start: null, end: null, speaker: null, text: 'Just a paragraph.' }]);
+});
+
+test('turns merge consecutive cues by the same speaker', () => {
+  const segments = [
+    { start: 1, end: 2, speaker: 'Ana', text: 'one' },
+    { start: 2, end: 3, speaker: 'Ana', text: 'two' },
+    { start: 3, end: 4, speaker: 'Ben', text: 'three' },
+    { start: 4, end: 5, speaker: null, text: 'four' },
+    { start: 5, end: 6, speaker: null, text: 'five' },
+    { start: 6, end: 7, speaker: 'Ben', text: 'x'.repeat(20) }
+  ];
+  assert.deepStrictEqual(mergeTurns(segments, 15).map(t => [t.speaker, t.text, t.start, t.end]), [
+    ['Ana', 'one two', 1, 3],
+    ['Ben', 'three', 3, 4],
+    [null, 'four', 4, 5],
+    [null, 'five', 5, 6],
+    ['Ben', 'x'.repeat(20), 6, 7]
+  ]);
+  assert.strictEqual(segments[0].text, 'one');
+  assert.strictEqual(toPlainText({ segments }), '[00:01] Ana: one two\n[00:03] Ben: three\n[00:04] four\n[00:05] five\n[00:06] Ben: ' + 'x'.repeat(20));
+});
+
+test('timestamps', () => {
+  assert.strictEqual(formatTimestamp(754), '12:34');
+  assert.strictEqual(formatTimestamp(3723.9), '1:02:03');
+  assert.strictEqual(formatTimestamp(null), '');
+  assert.strictEqual(parseTime('1:02:03,5'), 3723.5);
+  assert.strictEqual(parseTime('12:34'), 754);
+  assert.strictEqual(parseTime('x:10'), null);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+test('transcript routes only read known transcripts', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const file = path.join(server.dir, 'transcripts', '2024-03-01 10.00.00 Call.txt');
+  await fs.outputFile(file, '[00:01] Ana: Hello there');
+  await fs.outputJson(path.join(server.dir, 'data', 'users.json'), [{ id: 'x', hash: 'secret' }]);
+
+  const ok = await server.get('/api/v1/transcripts/' + encodeURIComponent(file));
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.body.turns[0].speaker, 'Ana');
+
+  for (const id of [
+    '/etc/hostname',
+    path.join(server.dir, 'data', 'users.json'),
+    path.join(server.dir, 'transcripts', '..', 'data', 'users.json'),
+    'storage:notes/1/secret.txt',
+    'gdrive:unknown'
+  ]) {
+    const res = await server.get('/api/v1/transcripts/' + encodeURIComponent(id));
+    assert.strictEqual(res.status, 404, id);
+    assert.strictEqual(res.body.ok, false);
+
+    const legacy = await server.get('/api?action=gettranscript&id=' + encodeURIComponent(id));
+    assert.strictEqual(legacy.body.ok, false, id);
+    assert.strictEqual(legacy.body.error, 'Transcript not found');
+  }
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+test('an upload whose meetings row fails is not kept', async t => {
+  // Supabase that rejects every request
+  const supabase = http.createServer((req, res) => {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'database is down' }));
+  });
+  await new Promise(resolve => supabase.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => supabase.close(resolve)));
+
+  const server = await startServer({ SUPABASE_URL: `http://127.0.0.1:${supabase.address().port}`, SUPABASE_KEY: 'test' });
+  t.after(() => server.stop());
+
+  for (let i = 0; i < 2; i++) {
+    const form = new FormData();
+    form.append('files', new Blob(['[00:01] Ana: Hello there']), '2024-03-01 10.00.00 Call.txt');
+    const res = await fetch(server.url + '/api/v1/transcripts', { method: 'POST', body: form });
+    const body = await res.json();
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(body.results[0].ok, false);
+  }
+
+  const folder = path.join(server.dir, 'transcripts', 'uploads');
+  assert.deepStrictEqual(await fs.pathExists(folder) ? await fs.readdir(folder) : [], []);
+});